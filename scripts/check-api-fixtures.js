@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+
+/**
+ * Script to run imports against the bundled API fixtures, without any network
+ *
+ * This script:
+ * 1. Loads the game sources through Vite with VITE_API_FIXTURES=replay
+ * 2. Verifies and imports the fixture accounts into an opening graph
+ * 3. Checks that the failing accounts fail with their user-facing errors
+ *
+ * Usage: npm run check:fixtures
+ */
+
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import { createServer } from 'vite';
+
+// Get current directory for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+process.env.VITE_API_FIXTURES = 'replay';
+
+const IMPORT_SETTINGS = {
+  selectedTimeControls: ['bullet', 'blitz', 'rapid', 'classical', 'daily', 'correspondence'],
+  selectedDateRange: 'all',
+  maxGames: 'all',
+  ratedFilter: 'all'
+};
+
+// What should happen to each edgecaseplayer game: skipped for a reason, or imported with
+// these normalized fields
+const EDGE_CASE_GAMES = {
+  edGame0005: { skipped: 'timeControl' }, // Unlimited game: no clock and no days per turn
+  edGame0004: { imported: { black_username: 'Anonymous', black_title: null, rated: false } },
+  edGame0003: { imported: { white_username: 'Stockfish level 3', white_title: 'BOT' } },
+  edGame0002: { imported: { time_control: '1/259200', time_class: 'correspondence', result: 'draw' } },
+  edGame0001: { skipped: 'malformed' } // No players
+};
+
+// Each check resolves with a short summary or throws with what went wrong
+const expectError = async (run, expectedMessage) => {
+  try {
+    await run();
+  } catch (error) {
+    if (!error.message.includes(expectedMessage)) {
+      throw new Error(`expected an error containing "${expectedMessage}", got "${error.message}"`);
+    }
+    return `failed as expected: ${error.message}`;
+  }
+  throw new Error(`expected an error containing "${expectedMessage}", but it succeeded`);
+};
+
+const importAccount = async ({ getGameSource, OpeningGraph }, platform, username) => {
+  const source = getGameSource(platform);
+  const profile = await source.verifyAccount(username);
+  if (profile.username.toLowerCase() !== username) {
+    throw new Error(`verified as ${profile.username}`);
+  }
+
+  const skipped = [];
+  const games = await source.fetchGames(username, IMPORT_SETTINGS, null, {
+    onSkippedGame: (reason) => skipped.push(reason)
+  });
+  if (games.length === 0) {
+    throw new Error('no games imported');
+  }
+
+  const graph = new OpeningGraph(username);
+  for (const game of games) {
+    await graph.addGame(game);
+  }
+  const positions = graph.whiteGraph.nodes.size + graph.blackGraph.nodes.size;
+  if (positions === 0) {
+    throw new Error('the graph has no positions');
+  }
+
+  return `${games.length} games, ${positions} positions${skipped.length > 0 ? `, skipped: ${skipped.join(', ')}` : ''}`;
+};
+
+const importEdgeCases = async ({ OpeningGraph, getGameSource }) => {
+  const skipped = {};
+  const games = await getGameSource('lichess').fetchGames('edgecaseplayer', IMPORT_SETTINGS, null, {
+    onSkippedGame: (reason, details = {}) => {
+      skipped[details.gameId] = reason;
+    }
+  });
+  const imported = new Map(games.map(game => [game.game_id, game]));
+
+  const problems = [];
+  Object.entries(EDGE_CASE_GAMES).forEach(([gameId, expected]) => {
+    const outcome = imported.has(gameId) ? 'imported' : skipped[gameId] || 'missing';
+    if (expected.skipped) {
+      if (outcome !== expected.skipped) problems.push(`${gameId} should be skipped as ${expected.skipped}, got ${outcome}`);
+      return;
+    }
+    if (outcome !== 'imported') {
+      problems.push(`${gameId} should be imported, got ${outcome}`);
+      return;
+    }
+    Object.entries(expected.imported).forEach(([field, value]) => {
+      const actual = imported.get(gameId)[field];
+      if (actual !== value) problems.push(`${gameId} ${field} should be ${JSON.stringify(value)}, got ${JSON.stringify(actual)}`);
+    });
+  });
+  const unexpected = [...imported.keys(), ...Object.keys(skipped)].filter(gameId => !EDGE_CASE_GAMES[gameId]);
+  if (unexpected.length > 0) problems.push(`unexpected games: ${unexpected.join(', ')}`);
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+
+  const graph = new OpeningGraph('edgecaseplayer');
+  for (const game of games) {
+    await graph.addGame(game);
+  }
+
+  const skippedSummary = Object.entries(skipped).map(([gameId, reason]) => `${gameId} (${reason})`).join(', ');
+  return `imported ${[...imported.keys()].join(', ')}, skipped ${skippedSummary}`;
+};
+
+const CHECKS = [
+  { name: 'Lichess fixtureplayer imports', run: (modules) => importAccount(modules, 'lichess', 'fixtureplayer') },
+  { name: 'Chess.com fixtureplayer imports', run: (modules) => importAccount(modules, 'chess.com', 'fixtureplayer') },
+  { name: 'Lichess edgecaseplayer games are imported or skipped as expected', run: importEdgeCases },
+  {
+    name: 'Lichess missingplayer is not found',
+    run: ({ getGameSource }) => expectError(() => getGameSource('lichess').verifyAccount('missingplayer'), 'not found')
+  },
+  {
+    name: 'Chess.com missingplayer is not found',
+    run: ({ getGameSource }) => expectError(() => getGameSource('chess.com').verifyAccount('missingplayer'), 'not found')
+  },
+  {
+    name: 'Lichess ratelimitedplayer is rate limited',
+    run: ({ getGameSource }) => expectError(() => getGameSource('lichess').verifyAccount('ratelimitedplayer'), 'Too many requests')
+  },
+  {
+    name: 'Lichess offlineplayer cannot connect',
+    run: ({ getGameSource }) => expectError(() => getGameSource('lichess').verifyAccount('offlineplayer'), 'Unable to connect')
+  },
+  {
+    name: 'Chess.com offlineplayer cannot connect',
+    run: ({ getGameSource }) => expectError(() => getGameSource('chess.com').verifyAccount('offlineplayer'), 'Failed to fetch')
+  },
+  {
+    name: 'Lichess busyplayer games are rate limited',
+    run: ({ getGameSource }) => expectError(() => getGameSource('lichess').fetchGames('busyplayer', IMPORT_SETTINGS), 'Too many requests')
+  },
+  {
+    name: 'Lichess brokenplayer games are unavailable',
+    run: ({ getGameSource }) => expectError(() => getGameSource('lichess').fetchGames('brokenplayer', IMPORT_SETTINGS), 'temporarily unavailable')
+  }
+];
+
+const server = await createServer({
+  root: path.join(__dirname, '..'),
+  logLevel: 'error',
+  server: { middlewareMode: true, hmr: false },
+  optimizeDeps: { noDiscovery: true, include: [] }
+});
+
+// The game sources log every step; only the results are printed
+const log = console.log;
+const silence = () => {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+};
+
+let failures = 0;
+try {
+  const { getGameSource } = await server.ssrLoadModule('/src/api/gameSources/index.js');
+  const { OpeningGraph } = await server.ssrLoadModule('/src/api/openingGraph.js');
+
+  silence();
+  for (const check of CHECKS) {
+    const startTime = Date.now();
+    try {
+      const summary = await check.run({ getGameSource, OpeningGraph });
+      log(`✅ ${check.name} (${Date.now() - startTime}ms): ${summary}`);
+    } catch (error) {
+      failures++;
+      log(`❌ ${check.name} (${Date.now() - startTime}ms): ${error.message}`);
+    }
+  }
+} finally {
+  await server.close();
+}
+
+log(failures === 0 ? `\n🎉 All ${CHECKS.length} fixture checks passed` : `\n💥 ${failures} of ${CHECKS.length} fixture checks failed`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,118 @@
+// Schemas for the game data coming in from every source. Raw Chess.com archive games and
+// Lichess NDJSON games are checked before they're read, and every game record the sources
+// produce is checked against the canonical game record schema before it reaches the graph.
+// Games that don't fit are rejected with a readable error (reported as 'malformed' in the
+// import report) instead of crashing the import.
+
+import { z } from 'zod';
+
+// Helper schemas for optional fields, normalized to null when missing
+const nullableString = z.string().nullish().transform(value => value || null);
+
+// Ratings arrive as numbers (APIs) or header strings (PGN); anything unreadable becomes null
+const rating = z.preprocess(value => {
+  const number = typeof value === 'string' ? parseInt(value) : value;
+  return Number.isFinite(number) ? number : null;
+}, z.number().nullable());
+
+// Raw Chess.com monthly archive game (https://api.chess.com/pub/player/{username}/games/{YYYY}/{MM})
+const chessComPlayerSchema = z.object({
+  username: z.string().min(1),
+  rating: z.number().optional(),
+  result: z.string().min(1)
+}).passthrough();
+
+export const chessComGameSchema = z.object({
+  url: z.string().min(1),
+  pgn: z.string().min(1),
+  time_control: z.string().min(1), // "base+increment" or "1/seconds-per-move" for daily games
+  end_time: z.number(),
+  rated: z.boolean().optional(),
+  time_class: z.string().min(1),
+  rules: z.string().default('chess'),
+  initial_setup: z.string().optional(),
+  uuid: z.string().optional(),
+  white: chessComPlayerSchema,
+  black: chessComPlayerSchema
+}).passthrough();
+
+// Raw Lichess export game. Anonymous players have no user and the Stockfish AI only an
+// aiLevel; correspondence games have daysPerTurn instead of a clock (unlimited games neither).
+const lichessPlayerSchema = z.object({
+  user: z.object({
+    name: z.string().min(1),
+    title: z.string().nullish()
+  }).passthrough().optional(),
+  aiLevel: z.number().optional(),
+  rating: z.number().optional()
+}).passthrough();
+
+export const lichessGameSchema = z.object({
+  id: z.string().min(1),
+  rated: z.boolean().default(false),
+  variant: z.string().default('standard'),
+  speed: z.string().min(1),
+  createdAt: z.number().optional(),
+  lastMoveAt: z.number(),
+  status: z.string().optional(),
+  winner: z.enum(['white', 'black']).optional(),
+  players: z.object({
+    white: lichessPlayerSchema,
+    black: lichessPlayerSchema
+  }),
+  moves: z.string().default(''),
+  initialFen: z.string().optional(),
+  clock: z.object({
+    initial: z.number(),
+    increment: z.number()
+  }).passthrough().optional(),
+  daysPerTurn: z.number().optional(),
+  clocks: z.array(z.number()).optional()
+}).passthrough();
+
+// Canonical game record, as stored in the graph. Other fields (mainline, event, source, ...)
+// are passed through unchecked.
+export const gameRecordSchema = z.object({
+  username: z.string().min(1),
+  game_id: z.union([z.string().min(1), z.number()]),
+  url: nullableString,
+  time_control: nullableString, // null for unlimited games
+  end_time: z.union([z.number(), z.string()]).nullish().transform(value => value ?? null), // Unix seconds or ISO string
+  rated: z.boolean().nullish().transform(value => value ?? false),
+  time_class: z.string().nullish().transform(value => value || 'unknown'),
+  rules: nullableString,
+  variant: z.enum(['standard', 'chess960', 'fromPosition']).nullable(), // null: can't be replayed
+  start_fen: nullableString,
+  white_rating: rating,
+  black_rating: rating,
+  white_username: z.string().min(1),
+  black_username: z.string().min(1),
+  white_title: nullableString,
+  black_title: nullableString,
+  moves: z.array(z.string().min(1)),
+  clocks: z.array(z.number().nullable()).nullish().transform(value => value ?? null),
+  player_color: z.enum(['white', 'black']),
+  result: z.enum(['win', 'lose', 'draw']),
+  termination: z.string().default('other'),
+  unknown_result: nullableString,
+  platform: z.string().min(1)
+}).passthrough();
+
+// Helper function to describe the first problems of a failed parse ("players.white.user.name: Required")
+const formatSchemaError = (error) => {
+  return error.issues
+    .slice(0, 3)
+    .map(issue => `${issue.path.join('.') || 'game'}: ${issue.message}`)
+    .join('; ');
+};
+
+// Check data against a schema. Returns { success: true, data } with the normalized data,
+// or { success: false, error } with a readable description of what's wrong.
+export const parseGameData = (schema, data) => {
+  const parsed = schema.safeParse(data);
+  if (parsed.success) return { success: true, data: parsed.data };
+  return { success: false, error: formatSchemaError(parsed.error) };
+};
+
+// Check and normalize one game record before it's handed to the graph builder
+export const validateGameRecord = (game) => parseGameData(gameRecordSchema, game);
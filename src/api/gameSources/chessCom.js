@@ -0,0 +1,430 @@
+// Chess.com game source: account verification through the public player API and games
+// from the monthly archives, cached in IndexedDB
+
+import { extractGameDataGeneric } from '../../components/chess/PgnParser';
+import { loadCachedArchive, saveCachedArchive } from '../graphStorage';
+import { getMaxGames, matchesImportFilters, throwIfCancelled } from './common';
+import { QUICK_RETRY_OPTIONS, fetchWithRetry } from './httpClient';
+import { chessComGameSchema, parseGameData, validateGameRecord } from '../gameSchemas';
+
+// Function to verify Chess.com account and fetch real data
+const verifyChessComAccount = async (username) => {
+  try {
+    // Fetch user profile from Chess.com API (a rate limit fails right away instead of waiting)
+    const profileResponse = await fetchWithRetry(`https://api.chess.com/pub/player/${username}`, {}, QUICK_RETRY_OPTIONS);
+    if (!profileResponse.ok) {
+      throw new Error('User not found on Chess.com');
+    }
+    const profileData = await profileResponse.json();
+    
+    // Fetch user stats from Chess.com API
+    const statsResponse = await fetchWithRetry(`https://api.chess.com/pub/player/${username}/stats`, {}, QUICK_RETRY_OPTIONS);
+    if (!statsResponse.ok) {
+      throw new Error('Could not fetch user stats');
+    }
+    const statsData = await statsResponse.json();
+    
+    // Get the most relevant rating (rapid, blitz, or bullet - whichever is highest/most recent)
+    let rating = null;
+    let gameType = 'unrated';
+    
+    if (statsData.chess_rapid?.last?.rating) {
+      rating = statsData.chess_rapid.last.rating;
+      gameType = 'rapid';
+    } else if (statsData.chess_blitz?.last?.rating) {
+      rating = statsData.chess_blitz.last.rating;
+      gameType = 'blitz';
+    } else if (statsData.chess_bullet?.last?.rating) {
+      rating = statsData.chess_bullet.last.rating;
+      gameType = 'bullet';
+    } else if (statsData.chess_daily?.last?.rating) {
+      rating = statsData.chess_daily.last.rating;
+      gameType = 'daily';
+    }
+    
+    return {
+      username: profileData.username,
+      rating: rating || 'Unrated',
+      gameType,
+      country: profileData.country ? profileData.country.split('/').pop() : 'Unknown',
+      verified: true,
+      joinDate: profileData.joined,
+      lastOnline: profileData.last_online
+    };
+  } catch (error) {
+    console.error('Chess.com API error:', error);
+    throw new Error(`Failed to verify Chess.com account: ${error.message}`);
+  }
+};
+
+// Helper function to keep the Chess.com archive fields used by the game extractor
+const formatChessComGame = (game, index) => ({
+  id: game.uuid || index,
+  white: game.white, // Keep full white object with result property
+  black: game.black, // Keep full black object with result property
+  date: new Date(game.end_time * 1000).toISOString(),
+  timeControl: game.time_control,
+  gameType: getGameType(game.time_control),
+  url: game.url,
+  pgn: game.pgn,
+  time_control: game.time_control,
+  end_time: game.end_time,
+  rated: game.rated,
+  time_class: game.time_class,
+  rules: game.rules || "chess",
+  initial_setup: game.initial_setup // Starting FEN (differs from the standard one for Chess960)
+});
+
+// Helper function to check and normalize a game from a Chess.com monthly archive. Returns
+// { game } or { game: null, reason, error } for games that can't be imported for the player.
+const normalizeChessComGame = (rawGame, username, index = 0) => {
+  const parsedGame = parseGameData(chessComGameSchema, rawGame);
+  if (!parsedGame.success) {
+    return { game: null, reason: 'malformed', error: parsedGame.error };
+  }
+  
+  const { white, black } = parsedGame.data;
+  const normalizedUsername = username.toLowerCase();
+  if (white.username.toLowerCase() !== normalizedUsername && black.username.toLowerCase() !== normalizedUsername) {
+    return { game: null, reason: 'unreadable', error: `${username} did not play this game` };
+  }
+  
+  const extractedGame = extractGameDataGeneric(formatChessComGame(parsedGame.data, index), username, 'chess.com');
+  if (!extractedGame) {
+    return { game: null, reason: 'malformed', error: 'The game PGN could not be read' };
+  }
+  
+  const record = validateGameRecord(extractedGame);
+  if (!record.success) {
+    return { game: null, reason: 'malformed', error: record.error };
+  }
+  return { game: record.data };
+};
+
+// A monthly archive downloaded at least this long after its month ended can no longer change
+// (games finishing around midnight UTC can still show up in it shortly after)
+const ARCHIVE_SETTLE_TIME = 24 * 60 * 60 * 1000;
+
+// Helper function to tell whether a cached Chess.com monthly archive is final
+const isArchiveFinal = (url, fetchedAt) => {
+  const match = url.match(/\/games\/(\d{4})\/(\d{2})$/);
+  if (!match || !fetchedAt) return false;
+  
+  // Months in archive URLs are 1-based, so this is the first day of the following month
+  const monthEnd = Date.UTC(parseInt(match[1]), parseInt(match[2]), 1);
+  return fetchedAt >= monthEnd + ARCHIVE_SETTLE_TIME;
+};
+
+// Helper function to fetch a Chess.com API document through the IndexedDB archive cache.
+// Final monthly archives are served from the cache without a request; anything else (the
+// current month, the archive list) is revalidated with its ETag/Last-Modified validators.
+// Resolves with { data, fromCache }; onRetry is passed on to fetchWithRetry.
+const fetchChessComCached = async (url, { signal = null, onRetry = null } = {}) => {
+  let cached = null;
+  try {
+    cached = await loadCachedArchive(url);
+  } catch (error) {
+    console.warn('Failed to read Chess.com archive cache:', error);
+  }
+  
+  if (cached && isArchiveFinal(url, cached.fetchedAt)) {
+    return { data: cached.data, fromCache: true };
+  }
+  
+  const headers = {};
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+  
+  // Conditional headers need a CORS preflight; if it's refused the request falls back to a
+  // plain one, which is where network errors get retried
+  const hasValidators = Object.keys(headers).length > 0;
+  let response;
+  try {
+    response = await fetchWithRetry(url, { headers, signal }, { onRetry, retryNetworkErrors: !hasValidators });
+  } catch (error) {
+    throwIfCancelled(signal);
+    if (!hasValidators) throw error;
+    response = await fetchWithRetry(url, { signal }, { onRetry });
+  }
+  
+  const cacheArchive = async (archive) => {
+    try {
+      await saveCachedArchive(archive);
+    } catch (error) {
+      console.warn('Failed to cache Chess.com archive:', error);
+    }
+  };
+  
+  if (response.status === 304 && cached) {
+    await cacheArchive({ ...cached, fetchedAt: Date.now() });
+    return { data: cached.data, fromCache: true };
+  }
+  if (!response.ok) {
+    throw new Error(`Request failed (Error ${response.status})`);
+  }
+  
+  const data = await response.json();
+  await cacheArchive({
+    url,
+    data,
+    etag: response.headers.get('ETag'),
+    lastModified: response.headers.get('Last-Modified'),
+    fetchedAt: Date.now()
+  });
+  
+  return { data, fromCache: false };
+};
+
+// Function to fetch recent Chess.com games as normalized game data (most recent first, up to
+// importSettings.maxGames games that pass the import filters)
+// Pass options.since (ms timestamp) to only fetch games that ended after that time, and
+// options.onGames to receive each monthly archive as a batch (with its archive URL) instead
+// of one combined array. options.skipArchives lists archive URLs that were already imported,
+// options.maxGames overrides the limit and options.signal aborts the download.
+// Archives that still fail after retrying are skipped and passed to options.onArchiveFailed;
+// options.retryArchives lists previously failed archives to fetch again on incremental syncs.
+// options.onSkippedGame(reason, details) is called for every game that isn't returned.
+const fetchChessComGames = async (username, importSettings = {}, onProgress = null, options = {}) => {
+  const { since = null, onGames = null, signal = null, skipArchives = [], retryArchives = [], onArchiveFailed = null, onSkippedGame = null } = options;
+  const skipGame = (reason, details = {}) => {
+    if (onSkippedGame) onSkippedGame(reason, details);
+  };
+  
+  try {
+    const maxGames = options.maxGames ?? getMaxGames(importSettings);
+    const {
+      selectedTimeControls = ['rapid', 'blitz', 'bullet'],
+      selectedDateRange = '3',
+      customDateRange = { from: null, to: null }
+    } = importSettings;
+
+    let games = [];
+    let gameCount = 0;
+    
+    // Report initial fetch start
+    if (onProgress) {
+      onProgress({ phase: 'download', progress: 0, status: 'Fetching archive list from Chess.com...' });
+    }
+    
+    // Calculate how many months back to fetch based on selectedDateRange
+    let monthsToFetch = 3; // default
+    if (selectedDateRange === "custom") {
+      if (customDateRange.from && customDateRange.to) {
+        const fromDate = new Date(customDateRange.from);
+        const toDate = new Date(customDateRange.to);
+        monthsToFetch = Math.ceil((toDate - fromDate) / (1000 * 60 * 60 * 24 * 30)); // approximate months
+      }
+    } else {
+      monthsToFetch = parseInt(selectedDateRange);
+    }
+    
+    // First, get the archives list (revalidated against the cached copy)
+    let archivesData;
+    try {
+      ({ data: archivesData } = await fetchChessComCached(`https://api.chess.com/pub/player/${username}/games/archives`, { signal }));
+    } catch (archivesError) {
+      throwIfCancelled(signal);
+      console.warn('Failed to fetch Chess.com archive list:', archivesError);
+      throw new Error("Username not found or API error");
+    }
+    
+    const allArchives = archivesData.archives || [];
+    
+    // Get the most recent archives based on months to fetch (or all of them), or every
+    // archive from the month of the last synced game onwards for incremental syncs
+    let recentArchives;
+    if (since) {
+      recentArchives = allArchives.filter(archiveUrl =>
+        getArchiveMonthKey(archiveUrl) >= getMonthKey(new Date(since)) || retryArchives.includes(archiveUrl)
+      );
+    } else if (selectedDateRange === 'all') {
+      recentArchives = allArchives;
+    } else {
+      recentArchives = allArchives.slice(-monthsToFetch);
+    }
+    
+    // Archives imported before an interrupted import stopped don't need to be fetched again
+    recentArchives = recentArchives.filter(archiveUrl => !skipArchives.includes(archiveUrl));
+    
+    if (onProgress) {
+      onProgress({ 
+        phase: 'download', 
+        progress: 5, 
+        status: `Found ${recentArchives.length} archives to check...` 
+      });
+    }
+    
+    // Fetch games from multiple months
+    let archivesProcessed = 0;
+    let failedArchives = 0;
+    for (let i = 0; i < recentArchives.length && gameCount < maxGames; i++) {
+      const archiveUrl = recentArchives[recentArchives.length - 1 - i]; // Start from most recent
+      const archiveProgress = 5 + (archivesProcessed / recentArchives.length) * 35; // 5% to 40%
+      
+      if (onProgress) {
+        onProgress({ 
+          phase: 'download', 
+          progress: archiveProgress,
+          status: `Downloading archive ${archivesProcessed + 1}/${recentArchives.length}...`
+        });
+      }
+      
+      // Finished months come straight from the cache, so changing filters doesn't refetch them.
+      // Transient errors are retried by the HTTP client; an archive that still fails is
+      // reported so it can be fetched again later instead of silently missing a month.
+      let gamesData;
+      let fromCache;
+      try {
+        ({ data: gamesData, fromCache } = await fetchChessComCached(archiveUrl, {
+          signal,
+          onRetry: onProgress && (({ delay }) => onProgress({
+            phase: 'download',
+            progress: archiveProgress,
+            status: `Chess.com is busy, retrying archive ${archivesProcessed + 1}/${recentArchives.length} in ${Math.ceil(delay / 1000)}s...`
+          }))
+        }));
+      } catch (archiveError) {
+        throwIfCancelled(signal);
+        console.warn(`Failed to fetch archive ${archiveUrl}:`, archiveError);
+        archivesProcessed++;
+        failedArchives++;
+        if (onArchiveFailed) onArchiveFailed(archiveUrl, archiveError);
+        continue;
+      }
+      const monthGames = gamesData.games || [];
+      
+      // Previously failed archives are older than the since boundary, so all their games count
+      const sinceTime = retryArchives.includes(archiveUrl) ? null : since;
+      
+      // Filter games by selected time controls as we fetch, most recent first, then
+      // normalize them and apply the import filters before the game limit.
+      // Games before the since boundary were imported already and aren't reported as skipped.
+      const filteredMonthGames = [];
+      monthGames
+        .filter(game => !sinceTime || game?.end_time * 1000 > sinceTime)
+        .sort((a, b) => (b?.end_time || 0) - (a?.end_time || 0))
+        .forEach((game, index) => {
+          const gameId = game?.url || null;
+          const rules = game?.rules || "chess";
+          if (rules !== "chess" && rules !== "chess960") {
+            skipGame('variant', { gameId });
+            return;
+          }
+          if (!selectedTimeControls.includes(getGameType(game?.time_control))) {
+            skipGame('timeControl', { gameId });
+            return;
+          }
+          
+          const { game: normalizedGame, reason, error } = normalizeChessComGame(game, username, index);
+          if (!normalizedGame) {
+            console.warn(`Skipping Chess.com game ${gameId || index}: ${error}`);
+            skipGame(reason, { gameId, error });
+          } else if (!normalizedGame.variant) {
+            skipGame('variant', { gameId });
+          } else if (!matchesImportFilters(normalizedGame, importSettings)) {
+            skipGame('filtered', { gameId });
+          } else if (gameCount + filteredMonthGames.length >= maxGames) {
+            skipGame('limit', { gameId });
+          } else {
+            filteredMonthGames.push(normalizedGame);
+          }
+        });
+      
+      gameCount += filteredMonthGames.length;
+      archivesProcessed++;
+      
+      // Hand the month over as a batch, or collect it when the caller wants one array
+      if (onGames) {
+        await onGames(filteredMonthGames, { archiveUrl });
+      } else {
+        games = games.concat(filteredMonthGames);
+      }
+      
+      if (onProgress) {
+        onProgress({ 
+          phase: 'download', 
+          progress: 5 + (archivesProcessed / recentArchives.length) * 40,
+          status: `Found ${gameCount} ${selectedTimeControls.join('/')} games so far...`
+        });
+      }
+      
+      // Small delay to prevent API rate limiting
+      if (!fromCache) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+    
+    // A partial result is fine, but nothing at all means the download failed
+    if (failedArchives > 0 && failedArchives === archivesProcessed) {
+      throw new Error('No game archive could be downloaded, please try again later');
+    }
+    
+    if (onProgress) {
+      onProgress({ 
+        phase: 'complete', 
+        progress: 45, 
+        status: `Downloaded ${gameCount} games from Chess.com` 
+      });
+    }
+    
+    return games;
+  } catch (error) {
+    throwIfCancelled(signal);
+    console.error('Failed to fetch Chess.com games:', error);
+    // Fail the import rather than returning no games, which would look like an empty history
+    throw new Error(`Unable to fetch games from Chess.com: ${error.message}`);
+  }
+};
+
+// Helper functions to compare Chess.com monthly archives (URLs end in /YYYY/MM) with dates
+const getArchiveMonthKey = (archiveUrl) => {
+  const [year, month] = archiveUrl.split('/').slice(-2);
+  return `${year}-${month}`;
+};
+
+const getMonthKey = (date) => {
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+// Helper function to determine game type from time control
+const getGameType = (timeControl) => {
+  if (!timeControl) return 'unknown';
+  
+  if (timeControl.includes('+')) {
+    const [baseTime] = timeControl.split('+');
+    const minutes = parseInt(baseTime) / 60;
+    
+    if (minutes < 3) return 'bullet';
+    if (minutes <= 10) return 'blitz';
+    if (minutes <= 30) return 'rapid';
+    return 'classical';
+  }
+  
+  if (timeControl === '1/86400') return 'daily';
+  
+  // Fallback logic
+  const seconds = parseInt(timeControl) || 0;
+  const minutes = seconds / 60;
+  
+  if (minutes < 3) return 'bullet';
+  if (minutes <= 10) return 'blitz';
+  if (minutes <= 30) return 'rapid';
+  if (minutes > 30) return 'classical';
+  
+  return 'daily';
+};
+
+export const chessComSource = {
+  id: 'chess.com',
+  name: 'Chess.com',
+  timeControls: [
+    { id: 'bullet', label: 'Bullet', desc: '< 3 minutes' },
+    { id: 'blitz', label: 'Blitz', desc: '3-10 minutes' },
+    { id: 'rapid', label: 'Rapid', desc: '10-30 minutes' },
+    { id: 'daily', label: 'Daily', desc: 'Correspondence' }
+  ],
+  defaultTimeControls: ['rapid', 'blitz', 'bullet'],
+  verifyAccount: verifyChessComAccount,
+  fetchGames: fetchChessComGames,
+  normalizeGame: normalizeChessComGame
+};
@@ -0,0 +1,88 @@
+// Import settings shared by every game source: the per-account game limit, cancellation
+// and the per-game import filters
+
+// Default number of games imported per account (importSettings.maxGames, or 'all' for no limit)
+export const DEFAULT_MAX_GAMES = 1500;
+
+// Games are handed to the graph builder in batches of this size so full histories are never held in memory
+export const GAME_BATCH_SIZE = 200;
+
+// Helper function to read the per-account game limit from the import settings
+export const getMaxGames = (importSettings = {}) => {
+  const { maxGames = DEFAULT_MAX_GAMES } = importSettings;
+  if (maxGames === 'all') return Infinity;
+  return parseInt(maxGames) || DEFAULT_MAX_GAMES;
+};
+
+// Error message used when the user cancels an import
+export const IMPORT_CANCELLED_MESSAGE = 'Import cancelled';
+
+// Helper function to stop an import once its AbortController has been aborted
+export const throwIfCancelled = (signal) => {
+  if (signal?.aborted) {
+    throw new Error(IMPORT_CANCELLED_MESSAGE);
+  }
+};
+
+// Import filters (importSettings fields) applied to every game from every source before the
+// game limit; all of them are off by default
+const DEFAULT_IMPORT_FILTERS = {
+  ratedFilter: 'all', // 'all', 'rated' or 'casual'
+  minOpponentRating: null,
+  maxOpponentRating: null,
+  minMoves: 0, // Full moves, to skip aborted games
+  excludeBots: false, // Lichess BOT accounts
+  opponentBlocklist: [] // Lowercase opponent usernames
+};
+
+// Helper function to fill in the import filters that import settings leave unset
+export const getImportFilters = (importSettings = {}) => ({ ...DEFAULT_IMPORT_FILTERS, ...importSettings });
+
+// Helper function to store an explicit rated filter on import settings created or saved without
+// one. Lichess imports were rated-only before the filter existed, so Lichess accounts keep that.
+export const withRatedFilter = (importSettings, platform) => {
+  if (!importSettings || importSettings.ratedFilter) return importSettings;
+  return { ...importSettings, ratedFilter: platform === 'lichess' ? 'rated' : DEFAULT_IMPORT_FILTERS.ratedFilter };
+};
+
+// Helper function to get the opponent's name, rating and title from a normalized game
+const getOpponent = (game) => {
+  const color = game.player_color === 'white' ? 'black' : 'white';
+  return {
+    username: game[`${color}_username`] || '',
+    rating: parseInt(game[`${color}_rating`]) || null,
+    title: game[`${color}_title`] || null
+  };
+};
+
+// Helper function to check whether a normalized game passes the import filters
+export const matchesImportFilters = (game, importSettings = {}) => {
+  const {
+    ratedFilter,
+    minOpponentRating,
+    maxOpponentRating,
+    minMoves,
+    excludeBots,
+    opponentBlocklist
+  } = getImportFilters(importSettings);
+  
+  if (ratedFilter === 'rated' && !game.rated) return false;
+  if (ratedFilter === 'casual' && game.rated) return false;
+  
+  // Games without a known opponent rating don't fit in a rating band
+  const opponent = getOpponent(game);
+  if (minOpponentRating && (!opponent.rating || opponent.rating < minOpponentRating)) return false;
+  if (maxOpponentRating && (!opponent.rating || opponent.rating > maxOpponentRating)) return false;
+  
+  if (minMoves > 0 && Math.ceil((game.moves?.length || 0) / 2) < minMoves) return false;
+  if (excludeBots && opponent.title === 'BOT') return false;
+  if (opponentBlocklist.length > 0 && opponentBlocklist.includes(opponent.username.toLowerCase())) return false;
+  
+  return true;
+};
+
+// Helper function to tell whether any filter that can only be checked per game is active
+export const hasGameImportFilters = (importSettings = {}) => {
+  const { minOpponentRating, maxOpponentRating, minMoves, excludeBots, opponentBlocklist } = getImportFilters(importSettings);
+  return Boolean(minOpponentRating || maxOpponentRating || minMoves > 0 || excludeBots || opponentBlocklist.length > 0);
+};
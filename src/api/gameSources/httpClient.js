@@ -0,0 +1,216 @@
+// HTTP client behind every game-source request. Transient failures (network errors, 429 and
+// 5xx responses) are retried with exponential backoff, Retry-After is honored, and each host
+// gets a limited number of concurrent requests (streamed downloads keep their slot until the
+// body has been read). A host that answered 429 is paused for every request until its
+// Retry-After time has passed.
+
+import { RETRY_WAIT_SCALE, sourceFetch } from './sourceFetch';
+
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30 * 1000;
+
+// Retry-After values above this are not waited for; the response is returned instead
+const MAX_RETRY_AFTER = 2 * 60 * 1000;
+
+// Retry options for requests the user waits on without progress or a way to cancel (account
+// checks): a rate limit that needs a long pause fails right away with the source's error
+export const QUICK_RETRY_OPTIONS = { retries: 1, maxDelay: 5 * 1000 };
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Per-host limits. Lichess asks for one request at a time and a full minute of waiting
+// after a 429 when no Retry-After is sent.
+const HOST_LIMITS = {
+  'lichess.org': { concurrency: 1, rateLimitDelay: 60 * 1000 },
+  'api.chess.com': { concurrency: 2, rateLimitDelay: null }
+};
+const DEFAULT_HOST_LIMITS = { concurrency: 4, rateLimitDelay: null };
+
+const hostStates = new Map();
+
+const getHostState = (host) => {
+  if (!hostStates.has(host)) {
+    hostStates.set(host, { ...(HOST_LIMITS[host] || DEFAULT_HOST_LIMITS), active: 0, waiting: [], pausedUntil: 0 });
+  }
+  return hostStates.get(host);
+};
+
+const createAbortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+// Helper function to wait, stopping early (with an AbortError) when the signal is aborted
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Helper functions to take and give back one of a host's request slots
+const acquireSlot = (hostState, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  if (hostState.active < hostState.concurrency) {
+    hostState.active++;
+    resolve();
+    return;
+  }
+
+  const onAbort = () => {
+    hostState.waiting = hostState.waiting.filter(waiter => waiter !== start);
+    reject(createAbortError());
+  };
+  const start = () => {
+    signal?.removeEventListener('abort', onAbort);
+    hostState.active++;
+    resolve();
+  };
+  hostState.waiting.push(start);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const releaseSlot = (hostState) => {
+  hostState.active--;
+  const next = hostState.waiting.shift();
+  if (next) next();
+};
+
+// Helper function to hand out a response whose body gives the host slot back once it has been
+// read to the end, failed or been cancelled
+const releaseSlotAfterBody = (response, hostState) => {
+  const reader = response.body.getReader();
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    releaseSlot(hostState);
+  };
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          release();
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        release();
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      release();
+      return reader.cancel(reason);
+    }
+  });
+
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+};
+
+// Helper function to read Retry-After (seconds or an HTTP date) in milliseconds
+const getRetryAfter = (response) => {
+  const value = response.headers.get('retry-after');
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+// Helper function to compute the exponential backoff delay (with jitter) for a retry
+const getBackoffDelay = (attempt) => {
+  const delay = BASE_RETRY_DELAY * 2 ** attempt + Math.random() * BASE_RETRY_DELAY / 4;
+  return Math.min(delay, MAX_RETRY_DELAY);
+};
+
+const isNetworkError = (error) => error instanceof TypeError;
+
+// Fetch a game-source URL, retrying transient failures. Resolves with the final response
+// (which can still be an error response once the retries are used up, so callers keep their
+// status-specific error messages) and rejects with the last network error.
+// Options: retries, maxDelay (longest wait for a retry; longer ones return the response),
+// retryNetworkErrors (false for requests with their own fallback), onRetry({ attempt, delay,
+// status }) called before waiting for a retry and streamBody.
+// The host's request slot is held until the response headers arrive, or with streamBody until
+// a successful response's body has been read or cancelled (callers must do one of the two).
+export const fetchWithRetry = async (url, init = {}, {
+  retries = MAX_RETRIES,
+  maxDelay = MAX_RETRY_AFTER,
+  retryNetworkErrors = true,
+  onRetry = null,
+  streamBody = false
+} = {}) => {
+  const hostState = getHostState(new URL(url).host);
+  const { signal } = init;
+
+  for (let attempt = 0; ; attempt++) {
+    // Another request to this host may have been rate limited in the meantime
+    const pause = hostState.pausedUntil - Date.now();
+    if (pause > 0) await sleep(pause, signal);
+
+    await acquireSlot(hostState, signal);
+    let response;
+    let networkError = null;
+    try {
+      response = await sourceFetch(url, init);
+    } catch (error) {
+      networkError = error;
+    }
+    if (streamBody && response?.ok && response.body) {
+      return releaseSlotAfterBody(response, hostState);
+    }
+    releaseSlot(hostState);
+
+    if (networkError) {
+      if (!retryNetworkErrors || !isNetworkError(networkError) || attempt >= retries) {
+        throw networkError;
+      }
+
+      const delay = getBackoffDelay(attempt);
+      console.warn(`🔁 Network error for ${url}, retrying in ${Math.round(delay)}ms (${attempt + 1}/${retries})`);
+      if (onRetry) onRetry({ attempt: attempt + 1, delay, status: null });
+      await sleep(delay * RETRY_WAIT_SCALE, signal);
+      continue;
+    }
+
+    if (!RETRYABLE_STATUSES.includes(response.status) || attempt >= retries) {
+      return response;
+    }
+
+    let delay = getRetryAfter(response);
+    if (delay === null) {
+      delay = response.status === 429 && hostState.rateLimitDelay ? hostState.rateLimitDelay : getBackoffDelay(attempt);
+    }
+    if (delay > maxDelay) {
+      return response;
+    }
+
+    if (response.status === 429) {
+      hostState.pausedUntil = Math.max(hostState.pausedUntil, Date.now() + delay * RETRY_WAIT_SCALE);
+    }
+
+    console.warn(`🔁 ${url} answered ${response.status}, retrying in ${Math.round(delay)}ms (${attempt + 1}/${retries})`);
+    if (onRetry) onRetry({ attempt: attempt + 1, delay, status: response.status });
+
+    // Let the connection go before waiting
+    response.body?.cancel().catch(() => {});
+    await sleep(delay * RETRY_WAIT_SCALE, signal);
+  }
+};
@@ -0,0 +1,49 @@
+// Registry of online game sources. Each source is one module exporting an adapter:
+//
+//   id                   platform key stored on users, linked accounts and game source tags
+//   name                 display name
+//   timeControls         [{ id, label, desc }] offered in the import settings
+//   defaultTimeControls  time control ids selected for new accounts
+//   verifyAccount(username)
+//                        resolves with the account profile ({ username, rating, ... }) or
+//                        throws a user-friendly error
+//   fetchGames(username, importSettings, onProgress, options)
+//                        resolves with the account's games as normalized game records, most
+//                        recent first, limited by importSettings.maxGames and filtered with
+//                        matchesImportFilters. onProgress receives { phase, progress (0-45),
+//                        status }. options: since, until, maxGames, signal, skipArchives,
+//                        retryArchives, onArchiveFailed(url, error), onSkippedGame(reason,
+//                        details) for games left out (reasons as in ../importReport) and
+//                        onGames(games, batchInfo) to stream batches instead of returning them
+//   normalizeGame(rawGame, username)
+//                        checks one game from the source's API against its schema
+//                        (../gameSchemas) and returns { game } with the normalized game record,
+//                        or { game: null, reason, error } when the game can't be imported
+//
+// Adapters make their requests with fetchWithRetry (./httpClient). Adding a source means
+// writing its adapter and registering it below.
+
+import { chessComSource } from './chessCom';
+import { lichessSource } from './lichess';
+
+const gameSources = new Map();
+
+export const registerGameSource = (source) => {
+  gameSources.set(source.id, source);
+};
+
+// Returns null for platforms without an adapter (e.g. PGN file imports)
+export const findGameSource = (id) => gameSources.get(id) || null;
+
+export const getGameSource = (id) => {
+  const source = findGameSource(id);
+  if (!source) {
+    throw new Error(`Unsupported platform: ${id}`);
+  }
+  return source;
+};
+
+export const getGameSources = () => Array.from(gameSources.values());
+
+registerGameSource(chessComSource);
+registerGameSource(lichessSource);
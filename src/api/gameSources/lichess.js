@@ -0,0 +1,535 @@
+// Lichess game source: account verification and games streamed from the NDJSON export API
+
+import { normalizeLichessResult, normalizeVariant } from '../../components/chess/PgnParser';
+import { GAME_BATCH_SIZE, getImportFilters, getMaxGames, hasGameImportFilters, matchesImportFilters, throwIfCancelled } from './common';
+import { QUICK_RETRY_OPTIONS, fetchWithRetry } from './httpClient';
+import { lichessGameSchema, parseGameData, validateGameRecord } from '../gameSchemas';
+
+// Function to verify Lichess account and fetch real data
+const verifyLichessAccount = async (username) => {
+  try {
+    // Validate username format
+    if (!username || username.trim().length === 0) {
+      throw new Error('Username cannot be empty');
+    }
+    
+    if (username.length < 3 || username.length > 20) {
+      throw new Error('Username must be between 3 and 20 characters');
+    }
+    
+    // Fetch user profile from Lichess API (a rate limit fails right away instead of waiting)
+    const profileResponse = await fetchWithRetry(`https://lichess.org/api/user/${username}`, {
+      headers: {
+        'Accept': 'application/json'
+      }
+    }, QUICK_RETRY_OPTIONS);
+    
+    // Handle specific HTTP status codes
+    if (profileResponse.status === 404) {
+      throw new Error(`User "${username}" not found on Lichess. Please check the username and try again.`);
+    } else if (profileResponse.status === 429) {
+      throw new Error('Too many requests to Lichess API. Please wait a moment and try again.');
+    } else if (profileResponse.status >= 500) {
+      throw new Error('Lichess servers are currently unavailable. Please try again later.');
+    } else if (!profileResponse.ok) {
+      throw new Error(`Lichess API error (${profileResponse.status}): Unable to verify account`);
+    }
+    
+    const profileData = await profileResponse.json();
+    
+    // Validate response structure
+    if (!profileData || !profileData.username) {
+      throw new Error('Invalid response from Lichess API. Please try again.');
+    }
+    
+    // Check if the account is closed/banned
+    if (profileData.disabled || profileData.tosViolation) {
+      throw new Error('This Lichess account is disabled or has violated terms of service.');
+    }
+    
+    // Get the most relevant rating (rapid, blitz, or bullet - whichever is highest/most recent)
+    let rating = null;
+    let gameType = 'unrated';
+    
+    if (profileData.perfs?.rapid?.rating) {
+      rating = profileData.perfs.rapid.rating;
+      gameType = 'rapid';
+    } else if (profileData.perfs?.blitz?.rating) {
+      rating = profileData.perfs.blitz.rating;
+      gameType = 'blitz';
+    } else if (profileData.perfs?.bullet?.rating) {
+      rating = profileData.perfs.bullet.rating;
+      gameType = 'bullet';
+    } else if (profileData.perfs?.classical?.rating) {
+      rating = profileData.perfs.classical.rating;
+      gameType = 'classical';
+    } else if (profileData.perfs?.correspondence?.rating) {
+      rating = profileData.perfs.correspondence.rating;
+      gameType = 'correspondence';
+    }
+    
+    return {
+      username: profileData.username,
+      rating: rating || 'Unrated',
+      gameType,
+      country: profileData.profile?.country || 'Unknown',
+      verified: true,
+      joinDate: profileData.createdAt,
+      lastOnline: profileData.seenAt,
+      title: profileData.title || null
+    };
+  } catch (error) {
+    console.error('Lichess API error:', error);
+    
+    // Handle network errors
+    if (error.name === 'TypeError' && error.message.includes('fetch')) {
+      throw new Error('Network error: Unable to connect to Lichess. Please check your internet connection.');
+    }
+    
+    // Re-throw with our custom message if it's already a user-friendly error
+    if (error.message.includes('not found') || 
+        error.message.includes('Too many requests') || 
+        error.message.includes('servers are currently unavailable') ||
+        error.message.includes('disabled') ||
+        error.message.includes('Username must be') ||
+        error.message.includes('Username cannot be') ||
+        error.message.includes('Invalid response')) {
+      throw error;
+    }
+    
+    // Generic fallback error
+    throw new Error(`Failed to verify Lichess account: ${error.message || 'Unknown error occurred'}`);
+  }
+};
+
+// Without a game limit, Lichess download progress is estimated from the number of games
+// received: halfway through the download phase after this many games
+const LICHESS_PROGRESS_SCALE = 500;
+
+// Helper function to read an NDJSON response body line by line while it downloads.
+// Only the current partial line is buffered; onLine is awaited for every complete line
+// and can return false to stop the download early.
+const readNdjsonStream = async (stream, onLine) => {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      
+      for (const line of lines) {
+        if (await onLine(line) === false) {
+          await reader.cancel();
+          return;
+        }
+      }
+    }
+    
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+      await onLine(buffer);
+    }
+  } catch (error) {
+    // Stop the download when a line can't be handled (e.g. the import was cancelled)
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+};
+
+// Helper function to name a Lichess player: an account, an anonymous player (no user) or
+// the Stockfish AI (aiLevel only)
+const getLichessPlayerName = (player) => {
+  if (player.user) return player.user.name;
+  if (player.aiLevel) return `Stockfish level ${player.aiLevel}`;
+  return 'Anonymous';
+};
+
+// Bot accounts have the "BOT" title; the Stockfish AI counts as a bot too, so the
+// Exclude Bots filter covers games against it
+const getLichessPlayerTitle = (player) => {
+  if (player.user) return player.user.title || null;
+  return player.aiLevel ? 'BOT' : null;
+};
+
+// Helper function to build a time control in the Chess.com format: "base+increment" for
+// clock games, "1/seconds-per-move" for correspondence games and null for unlimited ones
+const getLichessTimeControl = (gameData) => {
+  if (gameData.clock) return `${gameData.clock.initial}+${gameData.clock.increment}`;
+  if (gameData.daysPerTurn) return `1/${gameData.daysPerTurn * 24 * 60 * 60}`;
+  return null;
+};
+
+// Helper function to turn a checked game from the Lichess NDJSON export into a game record
+const formatLichessGame = (gameData, username, playerColor) => {
+  const { white, black } = gameData.players;
+  const variant = normalizeVariant(gameData.variant, gameData.initialFen);
+  const { result, termination, unknownResult } = normalizeLichessResult(gameData.status, gameData.winner, playerColor);
+  
+  return {
+    username,
+    game_id: gameData.id,
+    url: `https://lichess.org/${gameData.id}`,
+    time_control: getLichessTimeControl(gameData),
+    start_time: gameData.createdAt ? new Date(gameData.createdAt).toISOString() : null, // What Lichess' since filter compares
+    end_time: new Date(gameData.lastMoveAt).toISOString(),
+    rated: gameData.rated,
+    time_class: gameData.speed,
+    rules: gameData.variant,
+    variant, // null for variants that can't be replayed with standard rules
+    start_fen: variant === 'standard' ? null : gameData.initialFen || null,
+    white_rating: white.rating,
+    black_rating: black.rating,
+    white_username: getLichessPlayerName(white),
+    black_username: getLichessPlayerName(black),
+    white_title: getLichessPlayerTitle(white), // "BOT" for bot accounts and the AI
+    black_title: getLichessPlayerTitle(black),
+    moves: gameData.moves.split(' ').filter(m => m.trim()),
+    clocks: gameData.clocks ? gameData.clocks.map(clock => clock / 100) : null, // Centiseconds -> seconds
+    player_color: playerColor,
+    result,
+    termination,
+    unknown_result: unknownResult || null, // Status the importer didn't recognize
+    platform: 'lichess'
+  };
+};
+
+// Helper function to check and normalize a raw Lichess export game. Returns { game } or
+// { game: null, reason, error } for games that can't be imported for the player.
+const normalizeLichessGame = (rawGame, username) => {
+  const parsedGame = parseGameData(lichessGameSchema, rawGame);
+  if (!parsedGame.success) {
+    return { game: null, reason: 'malformed', error: parsedGame.error };
+  }
+  
+  // The player has to be one of the accounts (the other side can be anonymous or the AI)
+  const { white, black } = parsedGame.data.players;
+  const normalizedUsername = username.toLowerCase();
+  let playerColor = null;
+  if (white.user?.name.toLowerCase() === normalizedUsername) playerColor = 'white';
+  else if (black.user?.name.toLowerCase() === normalizedUsername) playerColor = 'black';
+  if (!playerColor) {
+    return { game: null, reason: 'unreadable', error: `${username} did not play this game` };
+  }
+  
+  const record = validateGameRecord(formatLichessGame(parsedGame.data, username, playerColor));
+  if (!record.success) {
+    return { game: null, reason: 'malformed', error: record.error };
+  }
+  return { game: record.data };
+};
+
+// Function to fetch recent Lichess games (most recent first, up to importSettings.maxGames)
+// Pass options.since (ms timestamp) to only fetch games played after that time, and
+// options.onGames to receive the games in batches instead of one combined array.
+// options.until (ms timestamp) resumes an interrupted import below its oldest game,
+// options.maxGames overrides the limit and options.signal aborts the download.
+// options.onSkippedGame(reason, details) is called for every game that isn't returned.
+const fetchLichessGames = async (username, importSettings = {}, onProgress = null, options = {}) => {
+  const { since = null, onGames = null, signal = null, until = null, onSkippedGame = null } = options;
+  const skipGame = (reason, details = {}) => {
+    if (onSkippedGame) onSkippedGame(reason, details);
+  };
+  
+  try {
+    const maxGames = options.maxGames ?? getMaxGames(importSettings);
+    
+    // Validate inputs
+    if (!username || username.trim().length === 0) {
+      console.warn('Empty username provided to fetchLichessGames');
+      return [];
+    }
+    
+    const {
+      selectedTimeControls = ['rapid', 'blitz', 'bullet'],
+      selectedDateRange = '3',
+      customDateRange = { from: null, to: null }
+    } = importSettings;
+
+    // Validate time controls
+    if (!Array.isArray(selectedTimeControls) || selectedTimeControls.length === 0) {
+      console.warn('No time controls selected for Lichess games fetch');
+      return [];
+    }
+
+    // Calculate date range for Lichess API
+    const currentDate = new Date();
+    let sinceDate = null;
+    let untilDate = null;
+    
+    try {
+      if (selectedDateRange === "custom") {
+        if (customDateRange.from && customDateRange.to) {
+          sinceDate = new Date(customDateRange.from);
+          untilDate = new Date(customDateRange.to);
+          
+          // Validate date range
+          if (sinceDate >= untilDate) {
+            console.warn('Invalid date range: start date must be before end date');
+            sinceDate = null;
+            untilDate = null;
+          }
+        }
+      } else if (selectedDateRange && selectedDateRange !== "all") {
+        // For preset ranges (1, 2, 3 months), only set the since date
+        const monthsBack = parseInt(selectedDateRange);
+        if (!isNaN(monthsBack) && monthsBack > 0) {
+          sinceDate = new Date();
+          sinceDate.setMonth(currentDate.getMonth() - monthsBack);
+        }
+      }
+    } catch (dateError) {
+      console.warn('Error processing date range:', dateError);
+      sinceDate = null;
+      untilDate = null;
+    }
+    
+    // Incremental syncs only need games newer than the last synced game
+    if (since) {
+      sinceDate = new Date(since);
+      untilDate = null;
+    }
+    
+    // Build Lichess API URL like the working openingtree project
+    const lichessBaseURL = 'https://lichess.org/api/games/user/';
+    const playerNameFilter = encodeURIComponent(username);
+    
+    // Map our time controls to Lichess perfType values
+    const getPerfs = (selectedTimeControls) => {
+      if (selectedTimeControls.length === 0 || selectedTimeControls.length >= 4) {
+        return null; // Get all time controls
+      }
+      
+      const perfMapping = {
+        'bullet': 'bullet',
+        'blitz': 'blitz', 
+        'rapid': 'rapid',
+        'classical': 'classical'
+      };
+      
+      // Chess960 is a separate perf type on Lichess; its games are filtered by speed afterwards
+      return [...selectedTimeControls.map(tc => perfMapping[tc]).filter(p => p), 'chess960'].join(',');
+    };
+    
+    const perfs = getPerfs(selectedTimeControls);
+    const perfFilter = perfs ? `&perfType=${perfs}` : '';
+    // Rated/casual is filtered by Lichess; the other import filters are applied to each game,
+    // in which case the game limit can't be left to Lichess either (the download is stopped
+    // once enough games matched)
+    const { ratedFilter } = getImportFilters(importSettings);
+    const ratedParam = ratedFilter === 'all' ? '' : `&rated=${ratedFilter === 'rated'}`;
+    const useMaxParam = Number.isFinite(maxGames) && !hasGameImportFilters(importSettings);
+    const maxFilter = useMaxParam ? `&max=${maxGames}` : ''; // No max = every game
+    
+    // Only add date filters if they exist
+    const timeSinceFilter = sinceDate ? `&since=${sinceDate.getTime()}` : '';
+    let timeUntilFilter = untilDate ? `&until=${untilDate.getTime() + (24 * 60 * 60 * 1000)}` : '';
+    if (until) {
+      timeUntilFilter = `&until=${until}`; // Games older than the ones already imported
+    }
+    
+    const clocksFilter = 'clocks=true'; // Remaining time after each move, for time-usage stats
+    
+    const apiUrl = `${lichessBaseURL}${playerNameFilter}?${clocksFilter}${ratedParam}${maxFilter}${perfFilter}${timeSinceFilter}${timeUntilFilter}`;
+    
+    console.log('Fetching Lichess games from:', apiUrl);
+    
+    // Report initial download start
+    if (onProgress) {
+      onProgress({ phase: 'download', progress: 0, status: 'Connecting to Lichess...' });
+    }
+    
+    // Rate limits and server errors are retried (Lichess asks for a minute's pause after a 429).
+    // The download keeps its Lichess request slot until the stream has been read or cancelled.
+    const response = await fetchWithRetry(apiUrl, {
+      headers: {
+        'Accept': 'application/x-ndjson'
+      },
+      signal
+    }, {
+      streamBody: true,
+      onRetry: onProgress && (({ delay, status }) => onProgress({
+        phase: 'download',
+        progress: 0,
+        status: `${status === 429 ? 'Lichess is rate limiting requests' : 'Lichess is unavailable'}, retrying in ${Math.ceil(delay / 1000)}s...`
+      }))
+    });
+    
+    // Handle specific HTTP status codes
+    if (response.status === 404) {
+      console.warn(`User "${username}" not found on Lichess or has no games`);
+      return [];
+    } else if (response.status === 429) {
+      console.warn('Rate limited by Lichess API');
+      throw new Error('Too many requests to Lichess. Please wait a moment and try again.');
+    } else if (response.status >= 500) {
+      console.warn('Lichess server error');
+      throw new Error('Lichess servers are temporarily unavailable. Please try again later.');
+    } else if (!response.ok) {
+      console.warn(`Lichess API error: ${response.status}`);
+      throw new Error(`Unable to fetch games from Lichess (Error ${response.status})`);
+    }
+    
+    // Report download started
+    if (onProgress) {
+      onProgress({ phase: 'download', progress: 5, status: 'Downloading games from Lichess...' });
+    }
+    
+    // Each NDJSON line is one game. Lines are parsed as they arrive (most recent game first)
+    // and handed to onGames in batches, so games reach the graph while the download runs.
+    let games = [];
+    let batch = [];
+    let receivedGames = 0;
+    let acceptedGames = 0;
+    const results = { win: 0, lose: 0, draw: 0 };
+    
+    const handleGameLine = async (line) => {
+      if (acceptedGames >= maxGames) return false; // Game limit reached, stop downloading
+      if (!line.trim()) return;
+      receivedGames++;
+      
+      let rawGame;
+      try {
+        rawGame = JSON.parse(line);
+      } catch (parseError) {
+        console.warn(`Error parsing game ${receivedGames}:`, parseError);
+        skipGame('malformed', { error: parseError.message });
+        return;
+      }
+      
+      const { game: extractedData, reason, error } = normalizeLichessGame(rawGame, username);
+      if (!extractedData) {
+        console.warn(`Skipping Lichess game ${rawGame?.id || receivedGames}: ${error}`);
+        skipGame(reason, { gameId: rawGame?.id ?? null, error });
+        return;
+      }
+      
+      // Filter by variant, time control (additional safety check) and the import filters
+      const gameType = getLichessGameType(extractedData.time_class);
+      if (!extractedData.variant) {
+        skipGame('variant', { gameId: extractedData.game_id });
+        return;
+      }
+      if (!selectedTimeControls.includes(gameType)) {
+        skipGame('timeControl', { gameId: extractedData.game_id });
+        return;
+      }
+      if (!matchesImportFilters(extractedData, importSettings)) {
+        skipGame('filtered', { gameId: extractedData.game_id });
+        return;
+      }
+      
+      acceptedGames++;
+      results[extractedData.result] = (results[extractedData.result] || 0) + 1;
+      
+      if (onGames) {
+        batch.push(extractedData);
+        if (batch.length >= GAME_BATCH_SIZE) {
+          const fullBatch = batch;
+          batch = [];
+          await onGames(fullBatch);
+        }
+      } else {
+        games.push(extractedData);
+      }
+      
+      // Report progress in games received; without a game limit the total is unknown, so
+      // progress approaches 45% instead
+      if (onProgress && receivedGames % 20 === 0) {
+        const receivedShare = Number.isFinite(maxGames)
+          ? Math.min(receivedGames / maxGames, 1)
+          : receivedGames / (receivedGames + LICHESS_PROGRESS_SCALE);
+        onProgress({ 
+          phase: 'download', 
+          progress: 5 + receivedShare * 40, // 5% to 45% of total
+          status: `Received ${receivedGames} games from Lichess...`
+        });
+      }
+    };
+    
+    await readNdjsonStream(response.body, handleGameLine);
+    
+    if (onGames && batch.length > 0) {
+      await onGames(batch);
+    }
+    
+    // Check if response is empty (no games)
+    if (receivedGames === 0) {
+      console.info(`No games found for user ${username} in the specified date range`);
+      return [];
+    }
+    
+    // Final result summary
+    const { win: finalWins, lose: finalLosses, draw: finalDraws } = results;
+    const total = acceptedGames || 1;
+    console.log(`✅ Final Lichess results: ${finalWins} wins (${((finalWins/total)*100).toFixed(1)}%), ${finalLosses} losses (${((finalLosses/total)*100).toFixed(1)}%), ${finalDraws} draws (${((finalDraws/total)*100).toFixed(1)}%)`);
+    console.log(`Successfully processed ${acceptedGames} of ${receivedGames} games received from Lichess`);
+    
+    if (onProgress) {
+      onProgress({ phase: 'complete', progress: 45, status: `Downloaded ${acceptedGames} games from Lichess` });
+    }
+    
+    return games;
+    
+  } catch (error) {
+    throwIfCancelled(signal);
+    console.error('Failed to fetch Lichess games:', error);
+    
+    // Handle network errors
+    if (error.name === 'TypeError' && error.message.includes('fetch')) {
+      console.warn('Network error fetching Lichess games');
+      throw new Error('Network error: Unable to connect to Lichess. Please check your internet connection.');
+    }
+    
+    // Re-throw user-friendly errors
+    if (error.message.includes('Too many requests') || 
+        error.message.includes('temporarily unavailable') ||
+        error.message.includes('Invalid response format')) {
+      throw error;
+    }
+    
+    // Fail the import on other errors too rather than returning no games
+    throw new Error(`Unable to fetch games from Lichess: ${error.message || 'Unknown error occurred'}`);
+  }
+};
+
+// Helper function to determine Lichess game type from speed
+const getLichessGameType = (speed) => {
+  if (!speed) return 'unknown';
+  
+  switch (speed) {
+    case 'bullet':
+      return 'bullet';
+    case 'blitz':
+      return 'blitz';
+    case 'rapid':
+      return 'rapid';
+    case 'classical':
+      return 'classical';
+    case 'correspondence':
+      return 'correspondence';
+    default:
+      return 'unknown';
+  }
+};
+
+export const lichessSource = {
+  id: 'lichess',
+  name: 'Lichess',
+  timeControls: [
+    { id: 'bullet', label: 'Bullet', desc: '< 3 minutes' },
+    { id: 'blitz', label: 'Blitz', desc: '3-8 minutes' },
+    { id: 'rapid', label: 'Rapid', desc: '8-25 minutes' },
+    { id: 'classical', label: 'Classical', desc: '> 25 minutes' },
+    { id: 'correspondence', label: 'Correspondence', desc: 'Several days' }
+  ],
+  defaultTimeControls: ['rapid', 'blitz', 'bullet', 'classical'],
+  verifyAccount: verifyLichessAccount,
+  fetchGames: fetchLichessGames,
+  normalizeGame: normalizeLichessGame
+};
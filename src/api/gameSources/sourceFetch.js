@@ -0,0 +1,159 @@
+// Fetch layer under the HTTP client (./httpClient) used for every game-source request.
+//
+// VITE_API_FIXTURES selects the mode:
+//   (unset)  requests go to the network
+//   replay   requests are answered from the fixture files in ./fixtures, without any network
+//   record   requests go to the network and the responses are kept; run
+//            chessScopeFixtures.download() in the browser console to save them as a fixture file
+//
+// A fixture file holds { "responses": [...] } where each response has a url and optionally
+// method (GET), status (200), headers and one body: json (any JSON value), ndjson (an array,
+// one line per item) or body (raw text). "error": "network" fails the request like an
+// unreachable server. Responses are matched on the full URL first and then on the URL without
+// its query string, so fixtures for date-dependent requests don't need the exact parameters.
+
+const FIXTURE_MODE = import.meta.env.VITE_API_FIXTURES || null;
+
+// Share of its retry waits the HTTP client actually sleeps. Replayed rate limits and server
+// errors are retried after a hundredth of the wait (a Lichess 429 pauses 0.6s instead of a
+// minute), so the error fixtures finish quickly.
+export const RETRY_WAIT_SCALE = FIXTURE_MODE === 'replay' ? 0.01 : 1;
+
+// Fixture files are only loaded in replay mode
+const fixtureFiles = import.meta.glob('./fixtures/*.json', { import: 'default' });
+
+// Response headers the adapters read, kept when recording
+const RECORDED_HEADERS = ['content-type', 'etag', 'last-modified', 'retry-after'];
+
+const recordedResponses = [];
+let fixtureResponsesPromise = null;
+
+// Helper function to build the lookup keys of a request (with and without query string)
+const getFixtureKeys = (method, url) => {
+  const normalizedUrl = url.toLowerCase();
+  return [`${method} ${normalizedUrl}`, `${method} ${normalizedUrl.split('?')[0]}`];
+};
+
+// Helper function to index the responses of every fixture file by request
+const loadFixtureResponses = async () => {
+  const responses = new Map();
+
+  for (const [path, loadFile] of Object.entries(fixtureFiles)) {
+    const fixture = await loadFile();
+    (fixture.responses || []).forEach(response => {
+      const [key] = getFixtureKeys((response.method || 'GET').toUpperCase(), response.url);
+      if (responses.has(key)) {
+        console.warn(`Duplicate API fixture for ${key} in ${path}`);
+      }
+      responses.set(key, response);
+    });
+  }
+
+  console.log(`🧪 Loaded ${responses.size} API fixture responses`);
+  return responses;
+};
+
+// Helper function to turn a fixture response into a fetch Response
+const createFixtureResponse = (fixture) => {
+  const headers = new Headers(fixture.headers || {});
+  let body = fixture.body ?? null;
+
+  if (fixture.json !== undefined) {
+    body = JSON.stringify(fixture.json);
+    if (!headers.has('content-type')) headers.set('content-type', 'application/json');
+  } else if (fixture.ndjson !== undefined) {
+    body = fixture.ndjson.map(line => JSON.stringify(line)).join('\n') + '\n';
+    if (!headers.has('content-type')) headers.set('content-type', 'application/x-ndjson');
+  }
+
+  const status = fixture.status || 200;
+  // Null-body statuses (304) can't be constructed with a body
+  return new Response(status === 304 ? null : body, { status, headers });
+};
+
+const replayFetch = async (url, init = {}) => {
+  if (init.signal?.aborted) {
+    throw new DOMException('The operation was aborted.', 'AbortError');
+  }
+
+  if (!fixtureResponsesPromise) {
+    fixtureResponsesPromise = loadFixtureResponses();
+  }
+  const responses = await fixtureResponsesPromise;
+
+  const method = (init.method || 'GET').toUpperCase();
+  const key = getFixtureKeys(method, url).find(fixtureKey => responses.has(fixtureKey));
+  if (!key) {
+    console.warn(`🧪 No API fixture for ${method} ${url}`);
+    throw new Error(`No API fixture for ${method} ${url}`);
+  }
+
+  const fixture = responses.get(key);
+  if (fixture.error === 'network') {
+    // Same error fetch throws when the server can't be reached
+    throw new TypeError('Failed to fetch');
+  }
+
+  return createFixtureResponse(fixture);
+};
+
+// Helper function to keep a live response as a fixture, parsing JSON and NDJSON bodies so
+// the saved file stays readable
+const recordResponse = async (method, url, response) => {
+  try {
+    const headers = {};
+    RECORDED_HEADERS.forEach(name => {
+      const value = response.headers.get(name);
+      if (value) headers[name] = value;
+    });
+
+    const recorded = { method, url, status: response.status, headers };
+    const text = await response.text();
+    const contentType = headers['content-type'] || '';
+
+    if (contentType.includes('ndjson')) {
+      recorded.ndjson = text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    } else if (contentType.includes('json') && text) {
+      recorded.json = JSON.parse(text);
+    } else if (text) {
+      recorded.body = text;
+    }
+
+    recordedResponses.push(recorded);
+    console.log(`🧪 Recorded ${method} ${url} (${response.status})`);
+  } catch (error) {
+    console.warn(`Failed to record ${method} ${url}:`, error);
+  }
+};
+
+const recordFetch = async (url, init = {}) => {
+  const response = await fetch(url, init);
+  // The clone is read in full even if the caller stops reading the response early
+  recordResponse((init.method || 'GET').toUpperCase(), url, response.clone());
+  return response;
+};
+
+// Helper function to save the recorded responses as a fixture file
+const downloadRecordedFixtures = (fileName = 'recorded.json') => {
+  const blob = new Blob([JSON.stringify({ responses: recordedResponses }, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+if (FIXTURE_MODE === 'record' && typeof window !== 'undefined') {
+  window.chessScopeFixtures = {
+    responses: recordedResponses,
+    download: downloadRecordedFixtures,
+    clear: () => { recordedResponses.length = 0; }
+  };
+}
+
+// Drop-in replacement for fetch, used by the HTTP client for every game-source request
+export const sourceFetch = (url, init = {}) => {
+  if (FIXTURE_MODE === 'replay') return replayFetch(url, init);
+  if (FIXTURE_MODE === 'record') return recordFetch(url, init);
+  return fetch(url, init);
+};
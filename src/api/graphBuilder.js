@@ -0,0 +1,182 @@
+// Opening graph construction, run inside a Web Worker so large imports don't block the UI
+// The same build loop is used as a main-thread fallback where workers are unavailable
+
+import { OpeningGraph, VARIANT_LABELS } from './openingGraph.js';
+import { identifyOpening } from '../components/chess/OpeningDatabase';
+
+// How often (in games) progress is reported back to the caller
+const PROGRESS_INTERVAL = 10;
+
+// Add normalized games to an opening graph, identifying each game's opening first.
+// Games whose IDs are in knownGameIds (e.g. already in the stored graph) are ignored;
+// the set is updated with every game that gets added.
+// Resolves with { openingGraph, addedGames, issues } where issues lists the games that were
+// skipped or cut short: { index (in games), reason, source, gameId, url, ply, move }.
+export const buildOpeningGraph = async (openingGraph, games, { onProgress = null, knownGameIds = new Set() } = {}) => {
+  const results = { wins: 0, losses: 0, draws: 0 };
+  const totalGames = games.length;
+  const issues = [];
+  let addedGames = 0;
+
+  for (let i = 0; i < totalGames; i++) {
+    const gameData = games[i];
+    const addIssue = (issue) => issues.push({
+      index: i,
+      source: gameData?.source || null,
+      gameId: gameData?.game_id ?? null,
+      url: gameData?.url || null,
+      ...issue
+    });
+
+    if (!gameData || !gameData.moves || gameData.moves.length === 0) {
+      addIssue({ reason: 'noMoves' });
+    } else if (knownGameIds.has(String(gameData.game_id))) {
+      addIssue({ reason: 'duplicate' });
+    } else {
+      // Add opening information (named openings only exist for the standard starting position)
+      gameData.opening = gameData.start_fen
+        ? { eco: '', name: VARIANT_LABELS[gameData.variant] || VARIANT_LABELS.fromPosition, variation: '', pgn: '' }
+        : await identifyOpening(gameData.moves);
+
+      // Add game to the graph; games cut short by an illegal move keep the moves before it
+      const problem = await openingGraph.addGame(gameData);
+      if (problem) addIssue(problem);
+
+      if (problem?.reason !== 'invalidStartPosition') {
+        if (gameData.game_id !== undefined && gameData.game_id !== null) {
+          knownGameIds.add(String(gameData.game_id));
+        }
+        addedGames++;
+
+        if (gameData.result === 'win') results.wins++;
+        else if (gameData.result === 'lose') results.losses++;
+        else results.draws++;
+      }
+    }
+
+    if (onProgress && ((i + 1) % PROGRESS_INTERVAL === 0 || i === totalGames - 1)) {
+      await onProgress({ processed: i + 1, total: totalGames });
+    }
+  }
+
+  if (addedGames > 0) {
+    const { wins, losses, draws } = results;
+    console.log(`📊 Added ${addedGames} games: ${wins} wins (${((wins/addedGames)*100).toFixed(1)}%), ${losses} losses (${((losses/addedGames)*100).toFixed(1)}%), ${draws} draws (${((draws/addedGames)*100).toFixed(1)}%)`);
+  }
+
+  return { openingGraph, addedGames, issues };
+};
+
+// Main-thread builder with the same interface as the worker-backed one
+const createMainThreadGraphBuilder = ({ username, graphData, onProgress }) => {
+  const openingGraph = graphData ? OpeningGraph.deserialize(graphData) : new OpeningGraph(username);
+  const knownGameIds = openingGraph.getGameIds();
+  let processedGames = 0;
+  let addedGames = 0;
+
+  const snapshot = async () => ({
+    username: openingGraph.username,
+    data: openingGraph.serialize(),
+    stats: openingGraph.getOverallStats(),
+    addedGames
+  });
+
+  return {
+    addGames: async (games) => {
+      const result = await buildOpeningGraph(openingGraph, games, {
+        knownGameIds,
+        onProgress: async ({ processed }) => {
+          if (onProgress) onProgress({ processed: processedGames + processed, added: addedGames });
+          // Yield so progress updates can render
+          await new Promise(resolve => setTimeout(resolve, 1));
+        }
+      });
+      processedGames += games.length;
+      addedGames += result.addedGames;
+      return { processed: processedGames, added: addedGames, issues: result.issues };
+    },
+    checkpoint: snapshot,
+    finish: snapshot,
+    terminate: () => {}
+  };
+};
+
+// Start a graph build session in a dedicated worker. Games are streamed in with
+// addGames(batch) (resolves with { processed, added, issues } once the batch is in the graph,
+// so callers never hold more than one batch; issues are the batch's skipped and illegal-move
+// games, see buildOpeningGraph) and finish() resolves with { username, data, stats, addedGames } where
+// data is the serialized graph, ready to be passed to saveOpeningGraph. checkpoint()
+// returns the same snapshot of the partial graph without ending the session.
+// graphData optionally seeds the build with a previously serialized graph (incremental sync,
+// resumed imports); games that graph already contains are skipped.
+export const createGraphBuilder = ({ username, graphData = null, onProgress = null }) => {
+  if (typeof Worker === 'undefined') {
+    console.warn('Web Workers unavailable - building opening graph on the main thread');
+    return createMainThreadGraphBuilder({ username, graphData, onProgress });
+  }
+
+  const worker = new Worker(new URL('../workers/graphBuilder.worker.js', import.meta.url), { type: 'module' });
+  const pendingRequests = new Map();
+  let nextRequestId = 0;
+  let workerError = null;
+
+  const rejectAll = (error) => {
+    workerError = error;
+    pendingRequests.forEach(({ reject }) => reject(error));
+    pendingRequests.clear();
+    worker.terminate();
+  };
+
+  worker.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'progress') {
+      if (onProgress) onProgress({ processed: message.processed, added: message.added });
+      return;
+    }
+
+    const request = pendingRequests.get(message.requestId);
+    if (message.type === 'error') {
+      rejectAll(new Error(message.error));
+      return;
+    }
+    if (!request) return;
+
+    pendingRequests.delete(message.requestId);
+    request.resolve(message.result);
+  };
+
+  worker.onerror = (event) => {
+    rejectAll(new Error(event.message || 'Opening graph worker failed'));
+  };
+
+  const send = (type, payload = {}) => {
+    if (workerError) return Promise.reject(workerError);
+
+    return new Promise((resolve, reject) => {
+      const requestId = nextRequestId++;
+      pendingRequests.set(requestId, { resolve, reject });
+      worker.postMessage({ type, requestId, ...payload });
+    });
+  };
+
+  const started = send('start', { username, graphData });
+
+  return {
+    addGames: async (games) => {
+      await started;
+      return send('addGames', { games });
+    },
+    checkpoint: async () => {
+      await started;
+      return send('checkpoint');
+    },
+    finish: async () => {
+      await started;
+      const result = await send('finish');
+      worker.terminate();
+      return result;
+    },
+    terminate: () => worker.terminate()
+  };
+};
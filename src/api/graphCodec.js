@@ -0,0 +1,136 @@
+// Packing of serialized opening graphs for storage (IndexedDB records, import checkpoints).
+// OpeningGraph.serialize() returns plain data with typed arrays; packGraphData turns it into a
+// single ArrayBuffer (gzip compressed where CompressionStream is available) so loading a large
+// account doesn't have to parse megabytes of JSON:
+//
+//   "CSG2" | uint32 header length | header (JSON, typed arrays replaced by { $typedArray, index })
+//   uint32 section count | per typed array: uint32 byte length, bytes
+//
+// Graphs stored before packing (version '1.0', plain objects holding JSON strings) are passed
+// through by unpackGraphData; OpeningGraph.deserialize reads both.
+
+const FORMAT_NAME = 'chessScopeGraph';
+const MAGIC = 'CSG2';
+
+const TYPED_ARRAYS = { Uint8Array, Uint32Array, Int32Array, Float64Array };
+
+// True for data already packed by packGraphData
+export const isPackedGraphData = (data) => data?.format === FORMAT_NAME && !!data.bytes;
+
+// Helper function to run bytes through a CompressionStream or DecompressionStream
+const transformBytes = async (bytes, stream) => {
+  const transformed = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(transformed).arrayBuffer());
+};
+
+// Helper function to lay out the header and typed array sections in one buffer
+const encodeSections = (header, sections) => {
+  const headerBytes = new TextEncoder().encode(header);
+  const size = MAGIC.length + 4 + headerBytes.length + 4 +
+    sections.reduce((total, section) => total + 4 + section.byteLength, 0);
+
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+
+  bytes.set(new TextEncoder().encode(MAGIC), offset);
+  offset += MAGIC.length;
+  view.setUint32(offset, headerBytes.length, true);
+  offset += 4;
+  bytes.set(headerBytes, offset);
+  offset += headerBytes.length;
+  view.setUint32(offset, sections.length, true);
+  offset += 4;
+
+  sections.forEach(section => {
+    view.setUint32(offset, section.byteLength, true);
+    offset += 4;
+    bytes.set(new Uint8Array(section.buffer, section.byteOffset, section.byteLength), offset);
+    offset += section.byteLength;
+  });
+
+  return bytes;
+};
+
+// Helper function to read the header and sections back (sections are copied, so they're aligned)
+const decodeSections = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (new TextDecoder().decode(bytes.subarray(0, MAGIC.length)) !== MAGIC) {
+    throw new Error('Stored graph data is not in a recognized format');
+  }
+
+  let offset = MAGIC.length;
+  const headerLength = view.getUint32(offset, true);
+  offset += 4;
+  const header = new TextDecoder().decode(bytes.subarray(offset, offset + headerLength));
+  offset += headerLength;
+  const sectionCount = view.getUint32(offset, true);
+  offset += 4;
+
+  const sections = [];
+  for (let i = 0; i < sectionCount; i++) {
+    const byteLength = view.getUint32(offset, true);
+    offset += 4;
+    sections.push(bytes.slice(offset, offset + byteLength).buffer);
+    offset += byteLength;
+  }
+
+  return { header, sections };
+};
+
+// Pack serialized graph data into { format, version, encoding, bytes } for storage.
+// Pass compress: false to skip compression (e.g. for checkpoints written often).
+export const packGraphData = async (data, { compress = true } = {}) => {
+  if (isPackedGraphData(data)) return data;
+
+  const sections = [];
+  const header = JSON.stringify(data, (key, value) => {
+    if (ArrayBuffer.isView(value) && TYPED_ARRAYS[value.constructor.name]) {
+      sections.push(value);
+      return { $typedArray: value.constructor.name, index: sections.length - 1 };
+    }
+    return value;
+  });
+
+  let bytes = encodeSections(header, sections);
+  let encoding = 'none';
+  if (compress && typeof CompressionStream !== 'undefined') {
+    bytes = await transformBytes(bytes, new CompressionStream('gzip'));
+    encoding = 'gzip';
+  }
+
+  return {
+    format: FORMAT_NAME,
+    version: data?.metadata?.version ?? null,
+    encoding,
+    bytes: bytes.buffer
+  };
+};
+
+// Unpack stored graph data for OpeningGraph.deserialize (unpacked data is returned unchanged)
+export const unpackGraphData = async (stored) => {
+  if (!isPackedGraphData(stored)) return stored;
+
+  let bytes = new Uint8Array(stored.bytes);
+  if (stored.encoding === 'gzip') {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot read compressed graph data');
+    }
+    bytes = await transformBytes(bytes, new DecompressionStream('gzip'));
+  }
+
+  const { header, sections } = decodeSections(bytes);
+  return JSON.parse(header, (key, value) => {
+    if (value && typeof value === 'object' && value.$typedArray) {
+      const TypedArray = TYPED_ARRAYS[value.$typedArray];
+      return new TypedArray(sections[value.index]);
+    }
+    return value;
+  });
+};
+
+// Size of stored graph data in bytes
+export const getGraphDataSize = (stored) => {
+  if (isPackedGraphData(stored)) return stored.bytes.byteLength;
+  return new Blob([JSON.stringify(stored)]).size;
+};
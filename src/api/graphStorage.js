@@ -2,10 +2,14 @@
 // This replaces the old approach of storing thousands of individual games and nodes
 
 import { OpeningGraph } from './openingGraph.js';
+import { packGraphData, unpackGraphData, isPackedGraphData, getGraphDataSize } from './graphCodec.js';
 
 const DB_NAME = 'ChessScopeGraph';
-const DB_VERSION = 1;
+const DB_VERSION = 4;
 const GRAPHS_STORE = 'opening_graphs';
+const CHECKPOINTS_STORE = 'import_checkpoints'; // Partial graphs of imports that haven't finished yet
+const SNAPSHOTS_STORE = 'graph_snapshots'; // Graph replaced by the last full import, kept for rollback
+const ARCHIVES_STORE = 'chesscom_archives'; // Downloaded Chess.com monthly archives, keyed by URL
 
 let db = null;
 
@@ -30,27 +34,52 @@ export const initGraphDB = async () => {
         graphStore.createIndex('username', 'username', { unique: true });
         graphStore.createIndex('lastUpdated', 'lastUpdated', { unique: false });
       }
+      
+      // Create import checkpoints store (added in version 2)
+      if (!database.objectStoreNames.contains(CHECKPOINTS_STORE)) {
+        database.createObjectStore(CHECKPOINTS_STORE, { keyPath: 'username' });
+      }
+      
+      // Create rollback snapshots store (added in version 3)
+      if (!database.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+        database.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'username' });
+      }
+      
+      // Create Chess.com archive cache store (added in version 4)
+      if (!database.objectStoreNames.contains(ARCHIVES_STORE)) {
+        database.createObjectStore(ARCHIVES_STORE, { keyPath: 'url' });
+      }
     };
   });
 };
 
+// Helper function to build the stored record for an OpeningGraph, with the graph data packed
+// (see graphCodec). Also accepts an already serialized graph ({ username, data, stats }) as
+// returned by the graph worker.
+// Records are built before opening a transaction: IndexedDB transactions don't survive an await.
+const createGraphRecord = async (openingGraph) => {
+  const isSerialized = !(openingGraph instanceof OpeningGraph);
+  
+  return {
+    username: openingGraph.username,
+    data: await packGraphData(isSerialized ? openingGraph.data : openingGraph.serialize()),
+    lastUpdated: new Date().toISOString(),
+    stats: isSerialized ? openingGraph.stats : openingGraph.getOverallStats()
+  };
+};
+
 // Save an OpeningGraph to storage
 export const saveOpeningGraph = async (openingGraph) => {
   if (!db) {
     await initGraphDB();
   }
 
+  const graphData = await createGraphRecord(openingGraph);
+
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([GRAPHS_STORE], 'readwrite');
     const store = transaction.objectStore(GRAPHS_STORE);
     
-    const graphData = {
-      username: openingGraph.username,
-      data: openingGraph.serialize(),
-      lastUpdated: new Date().toISOString(),
-      stats: openingGraph.getOverallStats()
-    };
-    
     const request = store.put(graphData);
     
     request.onsuccess = () => {
@@ -62,35 +91,129 @@ export const saveOpeningGraph = async (openingGraph) => {
   });
 };
 
-// Load an OpeningGraph from storage
-export const loadOpeningGraph = async (username) => {
+// Replace a user's graph with a freshly built one. The graph being replaced is moved to the
+// snapshot store (together with snapshotState, e.g. the settings it was imported with) in the
+// same transaction, so either both writes happen or the stored graph is left untouched.
+export const replaceOpeningGraph = async (openingGraph, snapshotState = null) => {
   if (!db) {
     await initGraphDB();
   }
 
+  const graphData = await createGraphRecord(openingGraph);
+
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([GRAPHS_STORE], 'readonly');
-    const store = transaction.objectStore(GRAPHS_STORE);
-    const request = store.get(username);
+    const transaction = db.transaction([GRAPHS_STORE, SNAPSHOTS_STORE], 'readwrite');
+    const graphStore = transaction.objectStore(GRAPHS_STORE);
+    const snapshotStore = transaction.objectStore(SNAPSHOTS_STORE);
     
-    request.onsuccess = () => {
-      const result = request.result;
-      if (result) {
-        try {
-          const openingGraph = OpeningGraph.deserialize(result.data);
-          console.log(`Opening graph loaded for user: ${username}`);
-          resolve(openingGraph);
-        } catch (error) {
-          console.error('Error deserializing graph:', error);
-          resolve(null);
-        }
+    const previousRequest = graphStore.get(graphData.username);
+    
+    previousRequest.onsuccess = () => {
+      const previousGraph = previousRequest.result;
+      if (previousGraph) {
+        snapshotStore.put({ ...previousGraph, snapshotState, snapshotDate: new Date().toISOString() });
       } else {
-        resolve(null);
+        snapshotStore.delete(graphData.username);
       }
+      graphStore.put(graphData);
+    };
+    
+    transaction.oncomplete = () => {
+      console.log(`Opening graph replaced for user: ${graphData.username}`);
+      resolve(graphData);
+    };
+    
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Swap a user's graph with the snapshot kept by replaceOpeningGraph. The current graph
+// becomes the new snapshot (with snapshotState), so a rollback can itself be undone.
+// Resolves with the restored snapshot's state, or null if there is no snapshot.
+export const rollbackOpeningGraph = async (username, snapshotState = null) => {
+  if (!db) {
+    await initGraphDB();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([GRAPHS_STORE, SNAPSHOTS_STORE], 'readwrite');
+    const graphStore = transaction.objectStore(GRAPHS_STORE);
+    const snapshotStore = transaction.objectStore(SNAPSHOTS_STORE);
+    let restoredState = null;
+    
+    const snapshotRequest = snapshotStore.get(username);
+    snapshotRequest.onsuccess = () => {
+      const snapshot = snapshotRequest.result;
+      if (!snapshot) return;
+      
+      const currentRequest = graphStore.get(username);
+      currentRequest.onsuccess = () => {
+        const currentGraph = currentRequest.result;
+        const { snapshotState: previousState, snapshotDate, ...previousGraph } = snapshot;
+        
+        graphStore.put({ ...previousGraph, lastUpdated: new Date().toISOString() });
+        if (currentGraph) {
+          snapshotStore.put({ ...currentGraph, snapshotState, snapshotDate: new Date().toISOString() });
+        } else {
+          snapshotStore.delete(username);
+        }
+        restoredState = previousState || {};
+        console.log(`Rolling back opening graph for user: ${username} (snapshot from ${snapshotDate})`);
+      };
     };
     
+    transaction.oncomplete = () => resolve(restoredState);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Helper function to rewrite a record stored in the version '1.0' format in the packed format
+const migrateGraphRecord = async (record, openingGraph) => {
+  try {
+    const migratedRecord = { ...record, data: await packGraphData(openingGraph.serialize()) };
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction([GRAPHS_STORE], 'readwrite');
+      transaction.objectStore(GRAPHS_STORE).put(migratedRecord);
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+    console.log(`📦 Migrated stored opening graph for user: ${record.username}`);
+  } catch (error) {
+    console.warn('Failed to migrate stored opening graph:', error);
+  }
+};
+
+// Load an OpeningGraph from storage. Graphs stored in the old format are read and then
+// saved again in the current one.
+export const loadOpeningGraph = async (username) => {
+  if (!db) {
+    await initGraphDB();
+  }
+
+  const result = await new Promise((resolve, reject) => {
+    const transaction = db.transaction([GRAPHS_STORE], 'readonly');
+    const store = transaction.objectStore(GRAPHS_STORE);
+    const request = store.get(username);
+    
+    request.onsuccess = () => resolve(request.result || null);
     request.onerror = () => reject(request.error);
   });
+
+  if (!result) return null;
+
+  try {
+    const openingGraph = OpeningGraph.deserialize(await unpackGraphData(result.data));
+    console.log(`Opening graph loaded for user: ${username}`);
+    if (!isPackedGraphData(result.data)) {
+      await migrateGraphRecord(result, openingGraph);
+    }
+    return openingGraph;
+  } catch (error) {
+    console.error('Error deserializing graph:', error);
+    return null;
+  }
 };
 
 // Check if a graph exists for a user
@@ -142,9 +265,7 @@ export const getGraphStorageStats = async () => {
     
     request.onsuccess = () => {
       const graphs = request.result;
-      const totalSize = graphs.reduce((size, graph) => {
-        return size + new Blob([JSON.stringify(graph.data)]).size;
-      }, 0);
+      const totalSize = graphs.reduce((size, graph) => size + getGraphDataSize(graph.data), 0);
       
       resolve({
         totalGraphs: graphs.length,
@@ -162,65 +283,170 @@ export const getGraphStorageStats = async () => {
   });
 };
 
+// Helper function to turn a stored graph record into its export form: packed in the version 2
+// format (records still in the '1.0' format are packed first), with the bytes as base64
+const toExportRecord = async (record) => {
+  const data = isPackedGraphData(record.data)
+    ? record.data
+    : await packGraphData(OpeningGraph.deserialize(await unpackGraphData(record.data)).serialize());
+  
+  const bytes = new Uint8Array(data.bytes);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return { ...record, data: { ...data, bytes: btoa(binary), bytesEncoding: 'base64' } };
+};
+
 // Export all graphs as a backup
 export const exportAllGraphs = async () => {
   if (!db) {
     await initGraphDB();
   }
 
-  return new Promise((resolve, reject) => {
+  const graphs = await new Promise((resolve, reject) => {
     const transaction = db.transaction([GRAPHS_STORE], 'readonly');
     const store = transaction.objectStore(GRAPHS_STORE);
     const request = store.getAll();
     
-    request.onsuccess = () => {
-      const graphs = request.result;
-      
-      const exportData = {
-        exportDate: new Date().toISOString(),
-        version: '1.0',
-        graphs: graphs,
-        metadata: {
-          totalGraphs: graphs.length,
-          appVersion: "3.0.0-graph"
-        }
-      };
-      
-      const dataString = JSON.stringify(exportData, null, 2);
-      const blob = new Blob([dataString], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `chesscope-graphs-export-${new Date().toISOString().split('T')[0]}.json`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
-      
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  
+  const exportData = {
+    exportDate: new Date().toISOString(),
+    version: '2.0', // Graph records in the packed version 2 format
+    graphs: await Promise.all(graphs.map(toExportRecord)),
+    metadata: {
+      totalGraphs: graphs.length,
+      appVersion: "3.0.0-graph"
+    }
+  };
+  
+  const dataString = JSON.stringify(exportData, null, 2);
+  const blob = new Blob([dataString], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `chesscope-graphs-export-${new Date().toISOString().split('T')[0]}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+  
+  return true;
+};
+
+// Clear all graph data (including unfinished import checkpoints, rollback snapshots and cached archives)
+export const clearAllGraphs = async () => {
+  if (!db) {
+    await initGraphDB();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([GRAPHS_STORE, CHECKPOINTS_STORE, SNAPSHOTS_STORE, ARCHIVES_STORE], 'readwrite');
+    transaction.objectStore(GRAPHS_STORE).clear();
+    transaction.objectStore(CHECKPOINTS_STORE).clear();
+    transaction.objectStore(SNAPSHOTS_STORE).clear();
+    transaction.objectStore(ARCHIVES_STORE).clear();
+    
+    transaction.oncomplete = () => {
+      console.log('All opening graphs cleared');
       resolve(true);
     };
     
-    request.onerror = () => reject(request.error);
+    transaction.onerror = () => reject(transaction.error);
   });
 };
 
-// Clear all graph data
-export const clearAllGraphs = async () => {
+// Save a checkpoint of an import in progress: the partial serialized graph plus
+// whatever the importer needs to resume (processed archives, game counts, ...)
+export const saveImportCheckpoint = async (checkpoint) => {
   if (!db) {
     await initGraphDB();
   }
 
+  // Checkpoints are rewritten often during an import, so they're packed without compression
+  const data = await packGraphData(checkpoint.data, { compress: false });
+
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([GRAPHS_STORE], 'readwrite');
-    const store = transaction.objectStore(GRAPHS_STORE);
-    const request = store.clear();
+    const transaction = db.transaction([CHECKPOINTS_STORE], 'readwrite');
+    const store = transaction.objectStore(CHECKPOINTS_STORE);
+    const request = store.put({ ...checkpoint, data, lastUpdated: new Date().toISOString() });
     
     request.onsuccess = () => {
-      console.log('All opening graphs cleared');
+      console.log(`Import checkpoint saved for user: ${checkpoint.username}`);
       resolve(true);
     };
     
     request.onerror = () => reject(request.error);
   });
-}; 
\ No newline at end of file
+};
+
+// Load the checkpoint of an unfinished import (null if there is none), with its graph data
+// unpacked for the graph builder
+export const loadImportCheckpoint = async (username) => {
+  if (!db) {
+    await initGraphDB();
+  }
+
+  const checkpoint = await new Promise((resolve, reject) => {
+    const transaction = db.transaction([CHECKPOINTS_STORE], 'readonly');
+    const store = transaction.objectStore(CHECKPOINTS_STORE);
+    const request = store.get(username);
+    
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+
+  return checkpoint ? { ...checkpoint, data: await unpackGraphData(checkpoint.data) } : null;
+};
+
+// Delete the checkpoint once an import has finished (or can't be resumed)
+export const deleteImportCheckpoint = async (username) => {
+  if (!db) {
+    await initGraphDB();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CHECKPOINTS_STORE], 'readwrite');
+    const store = transaction.objectStore(CHECKPOINTS_STORE);
+    const request = store.delete(username);
+    
+    request.onsuccess = () => resolve(true);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Load a cached Chess.com archive ({ url, data, etag, lastModified, fetchedAt }) or null
+export const loadCachedArchive = async (url) => {
+  if (!db) {
+    await initGraphDB();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([ARCHIVES_STORE], 'readonly');
+    const store = transaction.objectStore(ARCHIVES_STORE);
+    const request = store.get(url);
+    
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Cache a downloaded Chess.com archive together with its validators for conditional requests
+export const saveCachedArchive = async (archive) => {
+  if (!db) {
+    await initGraphDB();
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([ARCHIVES_STORE], 'readwrite');
+    const store = transaction.objectStore(ARCHIVES_STORE);
+    const request = store.put(archive);
+    
+    request.onsuccess = () => resolve(true);
+    request.onerror = () => reject(request.error);
+  });
+};
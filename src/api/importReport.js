@@ -0,0 +1,138 @@
+// Import reports record what happened to the games of one import: how many were fetched and
+// imported per account, why the others were skipped, which archives failed to download and
+// which PGN files were skipped and which games had illegal moves or result codes the importer didn't recognize.
+// The latest reports are kept so problems can be diagnosed from Settings.
+
+// Per-game detail lists are capped; the per-source counts always cover every game
+export const REPORT_DETAIL_LIMIT = 100;
+
+export const SKIP_REASON_LABELS = {
+  variant: 'Unsupported variant',
+  timeControl: 'Time control not selected',
+  filtered: 'Excluded by game filters',
+  limit: 'Over the game limit',
+  malformed: 'Malformed game data',
+  unreadable: 'Unfinished, unreadable or not the player\'s game',
+  noMoves: 'No moves',
+  duplicate: 'Already imported',
+  invalidStartPosition: 'Invalid starting position'
+};
+
+// type is 'import' (full imports and re-imports), 'pgn' or 'sync' (background syncs)
+export const createImportReport = (type) => ({
+  type,
+  status: 'running', // 'complete', 'failed' or 'cancelled' once finished
+  error: null,
+  startedAt: new Date().toISOString(),
+  finishedAt: null,
+  resumedGames: 0, // Games imported before an interrupted import was resumed
+  sources: {}, // source -> { fetched, imported, skipped: { reason: count }, illegalMoves, unknownResults }
+  failedArchives: [], // { source, url, error }
+  skippedFiles: [], // { source, name, error } PGN files that were empty or couldn't be read
+  malformedGames: [], // { source, gameId, error }
+  illegalMoveGames: [], // { source, gameId, url, ply, move }
+  unknownResults: [] // { source, gameId, url, code }
+});
+
+const getSourceStats = (report, source) => {
+  const key = source || 'unknown';
+  if (!report.sources[key]) {
+    report.sources[key] = { fetched: 0, imported: 0, skipped: {}, illegalMoves: 0, unknownResults: 0 };
+  }
+  return report.sources[key];
+};
+
+const addDetail = (list, entry) => {
+  if (list.length < REPORT_DETAIL_LIMIT) list.push(entry);
+};
+
+// A game the source adapter dropped before it reached the graph
+export const recordSkippedGame = (report, source, reason, details = {}) => {
+  if (!report) return;
+  const stats = getSourceStats(report, source);
+  stats.fetched++;
+  stats.skipped[reason] = (stats.skipped[reason] || 0) + 1;
+
+  if (reason === 'malformed') {
+    addDetail(report.malformedGames, { source, gameId: details.gameId ?? null, error: details.error || null });
+  }
+};
+
+// Several skipped games at once (e.g. the summary of a PGN file)
+export const recordSkippedGames = (report, source, reason, count) => {
+  if (!report || !count) return;
+  const stats = getSourceStats(report, source);
+  stats.fetched += count;
+  stats.skipped[reason] = (stats.skipped[reason] || 0) + count;
+};
+
+export const recordFailedArchive = (report, source, url, error) => {
+  if (!report) return;
+  addDetail(report.failedArchives, { source, url, error: error?.message || String(error || '') });
+};
+
+export const recordSkippedFile = (report, source, name, error) => {
+  if (!report) return;
+  addDetail(report.skippedFiles, { source, name, error: error?.message || String(error || '') });
+};
+
+// A batch of games handed to the graph builder together with the issues it found: games it
+// skipped (duplicates, no moves, invalid start) and games cut short by an illegal move
+export const recordImportedBatch = (report, games, issues = []) => {
+  if (!report) return;
+  const skippedIds = new Set();
+
+  issues.forEach(issue => {
+    const stats = getSourceStats(report, issue.source);
+    if (issue.reason === 'illegalMove') {
+      stats.illegalMoves++;
+      addDetail(report.illegalMoveGames, {
+        source: issue.source,
+        gameId: issue.gameId,
+        url: issue.url,
+        ply: issue.ply,
+        move: issue.move
+      });
+    } else {
+      stats.skipped[issue.reason] = (stats.skipped[issue.reason] || 0) + 1;
+      skippedIds.add(issue.index);
+    }
+  });
+
+  games.forEach((game, index) => {
+    const stats = getSourceStats(report, game?.source);
+    stats.fetched++;
+    if (!skippedIds.has(index)) stats.imported++;
+
+    if (game?.unknown_result) {
+      stats.unknownResults++;
+      addDetail(report.unknownResults, {
+        source: game.source,
+        gameId: game.game_id,
+        url: game.url,
+        code: game.unknown_result
+      });
+    }
+  });
+};
+
+export const finishImportReport = (report, status, error = null) => {
+  if (!report) return report;
+  report.status = status;
+  report.error = error;
+  report.finishedAt = new Date().toISOString();
+  return report;
+};
+
+// Totals over every source, for summaries
+export const getReportTotals = (report) => {
+  const totals = { fetched: 0, imported: 0, skipped: 0, illegalMoves: 0, unknownResults: 0 };
+  Object.values(report?.sources || {}).forEach(stats => {
+    totals.fetched += stats.fetched;
+    totals.imported += stats.imported;
+    totals.skipped += Object.values(stats.skipped).reduce((sum, count) => sum + count, 0);
+    totals.illegalMoves += stats.illegalMoves;
+    totals.unknownResults += stats.unknownResults;
+  });
+  return totals;
+};
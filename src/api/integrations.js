@@ -2,13 +2,56 @@
 // Since we're now using local SQLite database, we don't need external integrations
 // These can be implemented later if needed for specific features
 
+import { parsePgnGames, extractGameDataFromPgn } from '@/components/chess/PgnParser';
+import { validateGameRecord } from '@/api/gameSchemas';
+
 export const Core = {
   // Placeholder for future local integrations
   InvokeLLM: async () => { throw new Error('LLM integration not implemented in local version'); },
   SendEmail: async () => { throw new Error('Email integration not implemented in local version'); },
-  UploadFile: async () => { throw new Error('File upload integration not implemented in local version'); },
   GenerateImage: async () => { throw new Error('Image generation not implemented in local version'); },
-  ExtractDataFromUploadedFile: async () => { throw new Error('File extraction not implemented in local version'); }
+
+  // Read a local file in the browser (nothing is uploaded anywhere)
+  UploadFile: async ({ file }) => {
+    if (!file) throw new Error('No file provided');
+    const content = await file.text();
+    return { file_name: file.name, file_size: file.size, content };
+  },
+
+  // Extract game records for the given player names from uploaded PGN content
+  ExtractDataFromUploadedFile: async ({ content, player_names = [] }) => {
+    // An empty file has no games; the caller skips it instead of failing the whole upload
+    if (!content || !content.trim()) {
+      return { status: 'empty', output: { games: [], skipped: 0, skippedByReason: {}, total: 0 } };
+    }
+
+    const pgnGames = parsePgnGames(content);
+    const games = [];
+    let skipped = 0;
+    // Skipped games per import report reason (see @/api/importReport)
+    const skippedByReason = { unreadable: 0, malformed: 0, variant: 0, noMoves: 0 };
+
+    for (const pgnGame of pgnGames) {
+      const gameData = extractGameDataFromPgn(pgnGame, player_names);
+      // Records that don't match the game record schema (e.g. empty player names) are rejected
+      const record = gameData ? validateGameRecord(gameData) : null;
+      // Games in variants that can't be replayed with standard rules are skipped too
+      if (record?.success && record.data.variant && record.data.moves.length > 0) {
+        games.push(record.data);
+        continue;
+      }
+
+      skipped++;
+      if (!gameData) skippedByReason.unreadable++;
+      else if (!record.success) {
+        console.warn(`Skipping PGN game ${gameData.game_id}: ${record.error}`);
+        skippedByReason.malformed++;
+      } else if (!record.data.variant) skippedByReason.variant++;
+      else skippedByReason.noMoves++;
+    }
+
+    return { status: 'success', output: { games, skipped, skippedByReason, total: pgnGames.length } };
+  }
 };
 
 // Re-export for backwards compatibility
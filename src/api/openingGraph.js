@@ -7,10 +7,302 @@ import { Chess } from 'chess.js';
 const GLOBAL_OPENING_CACHE = new Map();
 let GLOBAL_OPENING_DATABASE = null;
 
-// GraphNode represents a chess position (FEN) with statistics
+// Standard starting position; games from any other start position (Chess960, "from position")
+// go into separate graphs keyed by their normalized starting FEN
+export const STANDARD_START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// Display names for the variants stored in separate graphs
+export const VARIANT_LABELS = {
+  standard: 'Standard',
+  chess960: 'Chess960',
+  fromPosition: 'From Position'
+};
+
+// Time classes offered by the view filter; Lichess' ultraBullet counts as bullet and its
+// correspondence games as daily
+export const TIME_CLASS_FILTERS = [
+  { id: 'bullet', label: 'Bullet', timeClasses: ['bullet', 'ultraBullet'] },
+  { id: 'blitz', label: 'Blitz', timeClasses: ['blitz'] },
+  { id: 'rapid', label: 'Rapid', timeClasses: ['rapid'] },
+  { id: 'classical', label: 'Classical', timeClasses: ['classical'] },
+  { id: 'daily', label: 'Daily', timeClasses: ['daily', 'correspondence'] }
+];
+
+// Period, time class and rated fields of the view filter, as set by the game filter popover.
+// period ('all', a number of days or 'custom' with dateFrom/dateTo) is what the user picked;
+// since/until is the resulting window in milliseconds that gameMatchesFilter checks.
+export const DEFAULT_GAME_FILTER = {
+  period: 'all',
+  dateFrom: '',
+  dateTo: '',
+  since: null,
+  until: null,
+  timeClasses: null, // null = every time class
+  ratedOnly: false
+};
+
+// Helper function to find the view filter time class of a stored game's time class
+const getTimeClassFilter = (timeClass) => {
+  return TIME_CLASS_FILTERS.find(filter => filter.timeClasses.includes(timeClass))?.id || null;
+};
+
+// Helper function to read a stored game's end time (Unix seconds or ISO string) in milliseconds
+const getGameEndTimestamp = (game) => {
+  if (typeof game.end_time === 'number') return game.end_time * 1000;
+  const timestamp = game.end_time ? Date.parse(game.end_time) : NaN;
+  return Number.isNaN(timestamp) ? null : timestamp;
+};
+
+// Positions are keyed by their EPD: the FEN without the halfmove and fullmove counters, so a
+// position reached by different move orders (transpositions) or at a different move number
+// is a single node. chess.js only writes an en passant square when the capture is legal, so
+// EPDs of positions it produced are already normalized.
+export const toPositionKey = (fen) => (fen ? fen.split(' ').slice(0, 4).join(' ') : fen);
+
+// Version of the format written by serialize (graphs saved before it are version '1.0')
+export const GRAPH_FORMAT_VERSION = 2;
+
+// Most move orders listed per position by getMoveOrders
+const MAX_MOVE_ORDERS = 20;
+
+// File (0-7) of a king on a FEN rank, or -1 if it isn't there
+const getKingFile = (rankText, king) => {
+  let file = 0;
+  for (const char of rankText) {
+    if (/\d/.test(char)) {
+      file += parseInt(char);
+    } else if (char === king) {
+      return file;
+    } else {
+      file++;
+    }
+  }
+  return -1;
+};
+
+// chess.js only understands KQkq castling rights, so Shredder-FEN/X-FEN rook files used by
+// Chess960 ("HAha") are mapped to the king or queen side of the king
+const normalizeCastlingRights = (board, castling) => {
+  if (!castling || castling === '-' || /^K?Q?k?q?$/.test(castling)) return castling || '-';
+
+  const ranks = board.split('/');
+  const rights = new Set();
+  for (const char of castling) {
+    if ('KQkq'.includes(char)) {
+      rights.add(char);
+      continue;
+    }
+    const isWhite = char === char.toUpperCase();
+    const kingFile = getKingFile(isWhite ? ranks[7] : ranks[0], isWhite ? 'K' : 'k');
+    const side = char.toLowerCase().charCodeAt(0) - 97 > kingFile ? 'k' : 'q';
+    rights.add(isWhite ? side.toUpperCase() : side);
+  }
+
+  return ['K', 'Q', 'k', 'q'].filter(right => rights.has(right)).join('') || '-';
+};
+
+// Normalize a game's starting FEN so games from the same start position share a graph.
+// Missing FENs mean the standard position; returns null for FENs chess.js can't load.
+// Chess960 castling is replayed with standard rules, so a game stops being replayed at a
+// castling move chess.js can't make.
+export const normalizeStartFen = (fen) => {
+  if (!fen) return STANDARD_START_FEN;
+
+  try {
+    const [board, turn = 'w', castling = '-', enPassant = '-', halfmoves = '0', fullmoves = '1'] = fen.trim().split(/\s+/);
+    const normalizedFen = [board, turn, normalizeCastlingRights(board, castling), enPassant, halfmoves, fullmoves].join(' ');
+    return new Chess(normalizedFen).fen();
+  } catch (error) {
+    console.warn(`Invalid starting position "${fen}":`, error.message);
+    return null;
+  }
+};
+
+// A player is in time trouble when their final clock is below 10% of the base time (at least 10s)
+const TIME_TROUBLE_FRACTION = 0.1;
+const TIME_TROUBLE_MIN_SECONDS = 10;
+
+// Parse "base+increment" time controls (seconds). Daily and multi-period controls return null.
+const parseTimeControl = (timeControl) => {
+  if (!timeControl || typeof timeControl !== 'string' || timeControl.includes('/')) return null;
+
+  const [base, increment] = timeControl.split(':')[0].split('+').map(part => parseInt(part));
+  if (isNaN(base)) return null;
+
+  return { base, increment: isNaN(increment) ? 0 : increment };
+};
+
+// Time spent on each ply: previous clock of the same side - clock after the move + increment
+const getTimeSpentPerPly = (clocks, timeControl) => {
+  if (!clocks) return null;
+
+  const control = parseTimeControl(timeControl);
+  return clocks.map((clock, ply) => {
+    const previousClock = ply >= 2 ? clocks[ply - 2] : control?.base;
+    if (clock === null || clock === undefined || previousClock === null || previousClock === undefined) {
+      return null;
+    }
+    return Math.max(0, previousClock - clock + (control?.increment || 0));
+  });
+};
+
+const createTimeStats = () => ({
+  thinkTimeSamples: 0,
+  totalThinkTime: 0,
+  clockSamples: 0,
+  totalTimeRemaining: 0,
+  timeTroubleLosses: 0
+});
+
+// Order of the clock statistics in the packed time stats of serialized graphs
+const TIME_STAT_FIELDS = Object.keys(createTimeStats());
+
+// Helper function to write time stats into a packed Float64Array at a record index
+const packTimeStats = (packed, index, timeStats) => {
+  TIME_STAT_FIELDS.forEach((field, offset) => {
+    packed[index * TIME_STAT_FIELDS.length + offset] = timeStats?.[field] || 0;
+  });
+};
+
+// Helper function to read time stats back from a packed Float64Array
+const unpackTimeStats = (packed, index) => {
+  const timeStats = createTimeStats();
+  TIME_STAT_FIELDS.forEach((field, offset) => {
+    timeStats[field] = packed[index * TIME_STAT_FIELDS.length + offset];
+  });
+  return timeStats;
+};
+
+// Helper function to pack lists of game indices into one Uint32Array plus offsets
+// (list i is indices[offsets[i]] to indices[offsets[i + 1]])
+const packIndexLists = (lists) => {
+  const offsets = new Uint32Array(lists.length + 1);
+  lists.forEach((list, i) => {
+    offsets[i + 1] = offsets[i] + list.length;
+  });
+  const indices = new Uint32Array(offsets[lists.length]);
+  lists.forEach((list, i) => indices.set(list, offsets[i]));
+  return { offsets, indices };
+};
+
+// Helper function to read one list back from packIndexLists output
+const unpackIndexList = ({ offsets, indices }, i) => Array.from(indices.subarray(offsets[i], offsets[i + 1]));
+
+// Helper function to add up the clock statistics of merged positions or moves
+const sumTimeStats = (first, second) => {
+  const sum = createTimeStats();
+  Object.keys(sum).forEach(field => {
+    sum[field] = (first?.[field] || 0) + (second?.[field] || 0);
+  });
+  return sum;
+};
+
+// Helper function to merge two sorted game index lists without duplicates
+const mergeGameIndices = (first, second) => Array.from(new Set([...first, ...second])).sort((a, b) => a - b);
+
+// Averages for display; values are null when no clock data was recorded
+const summarizeTimeStats = (timeStats) => {
+  if (!timeStats) return { averageThinkTime: null, averageTimeRemaining: null, timeTroubleLosses: 0 };
+
+  return {
+    averageThinkTime: timeStats.thinkTimeSamples > 0 ? timeStats.totalThinkTime / timeStats.thinkTimeSamples : null,
+    averageTimeRemaining: timeStats.clockSamples > 0 ? timeStats.totalTimeRemaining / timeStats.clockSamples : null,
+    timeTroubleLosses: timeStats.timeTroubleLosses || 0
+  };
+};
+
+// z of the 95% confidence intervals given with win rates
+const WIN_RATE_CONFIDENCE_Z = 1.96;
+
+// Games' worth of weight the parent position's win rate gets when a move's win rate is adjusted
+const WIN_RATE_PRIOR_GAMES = 10;
+
+// Wilson score interval (%) of a win rate: the range the true win rate is likely in given this
+// many games. Unlike the normal approximation it stays within 0-100% and widens for small samples.
+export const getWinRateInterval = (wins, totalGames, z = WIN_RATE_CONFIDENCE_Z) => {
+  if (totalGames === 0) return { low: 0, high: 100 };
+
+  const rate = wins / totalGames;
+  const zSquared = z * z;
+  const center = (rate + zSquared / (2 * totalGames)) / (1 + zSquared / totalGames);
+  const margin = (z / (1 + zSquared / totalGames)) *
+    Math.sqrt((rate * (1 - rate)) / totalGames + zSquared / (4 * totalGames * totalGames));
+  return {
+    low: Math.max(0, center - margin) * 100,
+    high: Math.min(1, center + margin) * 100
+  };
+};
+
+// Confidence-adjusted win rate (%): the win rate shrunk toward a prior win rate (the parent
+// position's) as if priorGames games had been played at it, so a move with a handful of games
+// stays close to the prior and one with hundreds keeps its own win rate
+export const getAdjustedWinRate = (wins, totalGames, priorWinRate, priorGames = WIN_RATE_PRIOR_GAMES) => {
+  return ((wins + (priorGames * priorWinRate) / 100) / (totalGames + priorGames)) * 100;
+};
+
+// Performance ratings are worked out from a score clamped to 1-99%, so a perfect (or zero)
+// score stays within 800 points of the average opponent
+const PERFORMANCE_SCORE_LIMIT = 0.01;
+
+// Elo expected score (0-1) of a player against an opponent
+export const getExpectedScore = (playerRating, opponentRating) => {
+  return 1 / (1 + Math.pow(10, (opponentRating - playerRating) / 400));
+};
+
+// Ratings at game time of the games through a position; only games where both the player's
+// and the opponent's rating are known are counted
+const createRatingStats = () => ({
+  ratedGames: 0,
+  totalScore: 0,
+  totalExpectedScore: 0,
+  totalPlayerRating: 0,
+  totalOpponentRating: 0
+});
+
+// Helper function to add one game to rating stats
+const addRatingSample = (ratingStats, result, playerRating, opponentRating) => {
+  if (!(playerRating > 0) || !(opponentRating > 0)) return;
+
+  ratingStats.ratedGames++;
+  ratingStats.totalScore += result === 'win' ? 1 : result === 'lose' ? 0 : 0.5;
+  ratingStats.totalExpectedScore += getExpectedScore(playerRating, opponentRating);
+  ratingStats.totalPlayerRating += playerRating;
+  ratingStats.totalOpponentRating += opponentRating;
+};
+
+// Rating-aware metrics for display; all null when none of the games were rated:
+//   expectedScore        Elo-expected score (%) from the ratings at game time
+//   scoreDelta           actual score (wins plus half the draws, %) minus expectedScore
+//   performanceRating    rating the actual score corresponds to against these opponents
+//   averagePlayerRating  the player's average rating in these games
+const summarizeRatingStats = (ratingStats) => {
+  if (!ratingStats || ratingStats.ratedGames === 0) {
+    return { expectedScore: null, scoreDelta: null, performanceRating: null, averagePlayerRating: null };
+  }
+
+  const { ratedGames, totalScore, totalExpectedScore, totalPlayerRating, totalOpponentRating } = ratingStats;
+  const score = Math.min(1 - PERFORMANCE_SCORE_LIMIT, Math.max(PERFORMANCE_SCORE_LIMIT, totalScore / ratedGames));
+  return {
+    expectedScore: (totalExpectedScore / ratedGames) * 100,
+    scoreDelta: ((totalScore - totalExpectedScore) / ratedGames) * 100,
+    performanceRating: Math.round(totalOpponentRating / ratedGames + 400 * Math.log10(score / (1 - score))),
+    averagePlayerRating: Math.round(totalPlayerRating / ratedGames)
+  };
+};
+
+// Helper function to read the player's and opponent's ratings of a stored game
+const getGameRatings = (game) => {
+  const whiteRating = game.white_rating || 0;
+  const blackRating = game.black_rating || 0;
+  return game.player_color === 'black'
+    ? { playerRating: blackRating, opponentRating: whiteRating }
+    : { playerRating: whiteRating, opponentRating: blackRating };
+};
+
+// GraphNode represents a chess position (keyed by EPD) with statistics
 class GraphNode {
   constructor(fen) {
-    this.fen = fen;
+    this.fen = fen; // Full FEN of the first game that reached the position (for display)
     this.gameResults = []; // Array of game indices that reached this position
     this.details = {
       totalGames: 0,
@@ -18,14 +310,19 @@ class GraphNode {
       losses: 0,
       draws: 0,
       winRate: 0,
+      winRateInterval: getWinRateInterval(0, 0), // 95% Wilson score interval of winRate
       averageOpponentRating: 0,
-      openingInfo: null // ECO, name, variation
+      ratingStats: createRatingStats(), // Ratings at game time (see summarizeRatingStats)
+      ...summarizeRatingStats(null),
+      openingInfo: null, // ECO, name, variation
+      timeStats: createTimeStats(), // Player's clock usage at this position
+      terminations: {} // termination -> { wins, losses, draws }
     };
     this.playedByMax = 0; // Most frequent move from this position
   }
 
   // Add a game result to this position
-  addGameResult(gameIndex, result, opponentRating = 0, openingInfo = null) {
+  addGameResult(gameIndex, result, opponentRating = 0, openingInfo = null, termination = null, playerRating = 0) {
     this.gameResults.push(gameIndex);
     this.details.totalGames++;
     
@@ -50,10 +347,23 @@ class GraphNode {
         break;
     }
     
+    // Track how games through this position ended (older graphs have no terminations yet)
+    if (termination) {
+      if (!this.details.terminations) this.details.terminations = {};
+      if (!this.details.terminations[termination]) {
+        this.details.terminations[termination] = { wins: 0, losses: 0, draws: 0 };
+      }
+      const terminationStats = this.details.terminations[termination];
+      if (result === 'win') terminationStats.wins++;
+      else if (result === 'lose') terminationStats.losses++;
+      else terminationStats.draws++;
+    }
+    
     // Update win rate
     this.details.winRate = this.details.totalGames > 0 
       ? (this.details.wins / this.details.totalGames) * 100 
       : 0;
+    this.details.winRateInterval = getWinRateInterval(this.details.wins, this.details.totalGames);
     
     // Update average opponent rating
     if (opponentRating > 0) {
@@ -61,55 +371,155 @@ class GraphNode {
       this.details.averageOpponentRating = Math.round(totalRating / this.details.totalGames);
     }
     
+    // Update the rating-aware metrics (graphs saved before them have no ratingStats yet)
+    if (!this.details.ratingStats) this.details.ratingStats = createRatingStats();
+    addRatingSample(this.details.ratingStats, result, playerRating, opponentRating);
+    Object.assign(this.details, summarizeRatingStats(this.details.ratingStats));
+    
     // Store opening info (usually from the root positions)
     if (openingInfo && !this.details.openingInfo) {
       this.details.openingInfo = openingInfo;
     }
   }
+
+  // Record the player's clock usage at this position (graphs saved before clock support lack timeStats)
+  addTimeSample({ thinkTime = null, timeRemaining = null, timeTroubleLoss = false }) {
+    if (!this.details.timeStats) this.details.timeStats = createTimeStats();
+    const timeStats = this.details.timeStats;
+
+    if (thinkTime !== null) {
+      timeStats.thinkTimeSamples++;
+      timeStats.totalThinkTime += thinkTime;
+    }
+    if (timeRemaining !== null) {
+      timeStats.clockSamples++;
+      timeStats.totalTimeRemaining += timeRemaining;
+    }
+    if (timeTroubleLoss) {
+      timeStats.timeTroubleLosses++;
+    }
+  }
 }
 
 // Graph represents the complete opening tree
 class Graph {
-  constructor(username, playerColor) {
-    this.nodes = new Map(); // FEN -> GraphNode
-    this.moves = new Map(); // `${fromFen}:${toFen}` -> moveData
+  constructor(username, playerColor, startFen = STANDARD_START_FEN) {
+    this.nodes = new Map(); // Position key (EPD) -> GraphNode
+    this.moves = new Map(); // `${fromKey}:${toKey}` -> moveData (fromFen/toFen hold position keys)
     this.pgnStats = []; // Game-level metadata (minimal, just for reference)
     this.username = username;
     this.playerColor = playerColor; // 'white' or 'black'
+    this.startFen = startFen; // Position every game in this graph starts from
+    
+    // Adjacency indexes over this.moves, so expanding a position only touches its own moves.
+    // They aren't stored: deserialize rebuilds them.
+    this.outgoingMoves = new Map(); // Position key -> moveData played from it
+    this.incomingMoves = new Map(); // Position key -> moveData leading into it
+  }
+
+  // Add a new move to the adjacency indexes
+  indexMove(moveData) {
+    if (!this.outgoingMoves.has(moveData.fromFen)) this.outgoingMoves.set(moveData.fromFen, []);
+    if (!this.incomingMoves.has(moveData.toFen)) this.incomingMoves.set(moveData.toFen, []);
+    
+    this.outgoingMoves.get(moveData.fromFen).push(moveData);
+    this.incomingMoves.get(moveData.toFen).push(moveData);
+  }
+
+  // Rebuild the adjacency indexes from this.moves (after loading or merging moves)
+  rebuildIndexes() {
+    this.outgoingMoves.clear();
+    this.incomingMoves.clear();
+    
+    this.moves.forEach(moveData => this.indexMove(moveData));
+  }
+
+  // Get the moves played from a position
+  getOutgoingMoves(fen) {
+    return this.outgoingMoves.get(toPositionKey(fen)) || [];
+  }
+
+  // Get the moves leading into a position (from every position they were played in)
+  getIncomingMoves(fen) {
+    return this.incomingMoves.get(toPositionKey(fen)) || [];
+  }
 
+  // Follow a move (SAN) from a position through the graph; null when it was never played there
+  findMove(fen, san) {
+    return this.getOutgoingMoves(fen).find(moveData => moveData.san === san) || null;
+  }
+
+  // Get the node of a position (any FEN of it: move counters are ignored)
+  getNode(fen) {
+    return this.nodes.get(toPositionKey(fen)) || null;
   }
 
   // Get or create a node for a FEN position
   getOrCreateNode(fen) {
-    if (!this.nodes.has(fen)) {
-      this.nodes.set(fen, new GraphNode(fen));
+    const key = toPositionKey(fen);
+    if (!this.nodes.has(key)) {
+      this.nodes.set(key, new GraphNode(fen));
     }
-    return this.nodes.get(fen);
+    return this.nodes.get(key);
   }
 
-  // Add a move edge between two positions
-  addMove(fromFen, toFen, moveSan, pgnStatsIndex) {
-    const moveKey = `${fromFen}:${toFen}`;
+  // Add a move edge between two positions.
+  // timeSpent/timeRemaining are the mover's clock data for this ply (null when unknown).
+  addMove(fromFen, toFen, moveSan, pgnStatsIndex, timeSpent = null, timeRemaining = null) {
+    const fromKey = toPositionKey(fromFen);
+    const toKey = toPositionKey(toFen);
+    const moveKey = `${fromKey}:${toKey}`;
     
     if (!this.moves.has(moveKey)) {
-      this.moves.set(moveKey, {
+      const newMove = {
         san: moveSan,
-        fromFen,
-        toFen,
-        gameIndices: []
-      });
+        fromFen: fromKey,
+        toFen: toKey,
+        gameIndices: [],
+        timeStats: createTimeStats()
+      };
+      this.moves.set(moveKey, newMove);
+      this.indexMove(newMove);
     }
     
-    this.moves.get(moveKey).gameIndices.push(pgnStatsIndex);
+    // A game that repeats a position can play the same move twice; it's counted once,
+    // time samples included, so they stay in line with the move's game count
+    const moveData = this.moves.get(moveKey);
+    if (moveData.gameIndices[moveData.gameIndices.length - 1] === pgnStatsIndex) return;
+    moveData.gameIndices.push(pgnStatsIndex);
+    
+    if (!moveData.timeStats) moveData.timeStats = createTimeStats();
+    if (timeSpent !== null) {
+      moveData.timeStats.thinkTimeSamples++;
+      moveData.timeStats.totalThinkTime += timeSpent;
+    }
+    if (timeRemaining !== null) {
+      moveData.timeStats.clockSamples++;
+      moveData.timeStats.totalTimeRemaining += timeRemaining;
+    }
   }
 
-  // Add a complete PGN game to the graph
+  // Add a complete PGN game to the graph.
+  // moves is either an array of SAN strings or parsed mainline moves ({ san, commands, ... })
+  // Returns null, or { reason: 'illegalMove', ply, move } when the game stopped at an illegal
+  // move (the moves before it are kept).
   async addPGN(moves, gameResult, opponentRating = 0, gameOpeningInfo = null, gameMetadata = {}) {
-    if (!moves || moves.length === 0) return;
+    if (!moves || moves.length === 0) return null;
     
     // Add this game to pgnStats for reference with full metadata
     const gameIndex = this.pgnStats.length;
     
+    // Clock data: remaining seconds after each ply and the time spent on it
+    const clocks = gameMetadata.clocks || null;
+    const timeSpent = getTimeSpentPerPly(clocks, gameMetadata.time_control);
+    const playerParity = this.playerColor === 'white' ? 0 : 1;
+    const playerClocks = clocks ? clocks.filter((clock, ply) => ply % 2 === playerParity && ply < moves.length && clock !== null) : [];
+    const finalClock = playerClocks.length > 0 ? playerClocks[playerClocks.length - 1] : null;
+    const baseTime = parseTimeControl(gameMetadata.time_control)?.base;
+    const timeTrouble = finalClock !== null && baseTime !== undefined &&
+      finalClock <= Math.max(TIME_TROUBLE_MIN_SECONDS, baseTime * TIME_TROUBLE_FRACTION);
+    const timeTroubleLoss = timeTrouble && gameResult === 'lose';
+    
     // Debug logging for Lichess games
     if (gameIndex < 5) { // Only log first 5 games to avoid spam
       console.log(`🎮 DEBUG addPGN - Game ${gameIndex}: result="${gameResult}", player="${this.playerColor}", moves: ${moves.length}`);
@@ -130,16 +540,27 @@ class Graph {
       white_rating: gameMetadata.white_rating,
       black_rating: gameMetadata.black_rating,
       player_color: gameMetadata.player_color,
-      game_id: gameMetadata.game_id
+      game_id: gameMetadata.game_id,
+      termination: gameMetadata.termination || null,
+      source: gameMetadata.source || null, // Account the game was imported from ("platform:username")
+      final_clock: finalClock,
+      time_trouble: timeTrouble
     });
 
-    const chess = new Chess();
+    const chess = new Chess(this.startFen);
     let currentFen = chess.fen();
     
     // Add starting position - use a basic opening info for the starting position
     const startNode = this.getOrCreateNode(currentFen);
     const startingOpeningInfo = { name: 'Starting Position', eco: '' };
-    startNode.addGameResult(gameIndex, gameResult, opponentRating, startingOpeningInfo);
+    const { playerRating } = getGameRatings(gameMetadata);
+    startNode.addGameResult(gameIndex, gameResult, opponentRating, startingOpeningInfo, gameMetadata.termination, playerRating);
+    startNode.addTimeSample({ timeRemaining: clocks ? baseTime ?? null : null, timeTroubleLoss });
+    
+    // The player's most recent clock reading while walking through the game
+    let playerClock = baseTime ?? null;
+    // Positions that already have the player's think time from this game
+    const thinkTimePositions = new Set();
     
     // Load the opening database once globally for super fast FEN-based lookups
     if (!GLOBAL_OPENING_DATABASE) {
@@ -158,28 +579,37 @@ class Graph {
     // Process each move - use direct FEN lookup for blazing fast opening identification
     for (let i = 0; i < moves.length; i++) {
       try {
-        const move = chess.move(moves[i]);
-        if (!move) break; // Invalid move
+        const san = typeof moves[i] === 'string' ? moves[i] : moves[i].san;
+        const move = chess.move(san);
+        if (!move) return { reason: 'illegalMove', ply: i + 1, move: san };
         
         const newFen = chess.fen();
+        const plyClock = clocks && clocks[i] !== undefined ? clocks[i] : null;
+        const plyTimeSpent = timeSpent ? timeSpent[i] : null;
+        const isPlayerMove = i % 2 === playerParity;
         
         // Add the move edge
-        this.addMove(currentFen, newFen, move.san, gameIndex);
+        this.addMove(currentFen, newFen, move.san, gameIndex, plyTimeSpent, plyClock);
+        
+        // The player's think time belongs to the position they were thinking in
+        if (isPlayerMove) {
+          const positionKey = toPositionKey(currentFen);
+          if (!thinkTimePositions.has(positionKey)) {
+            thinkTimePositions.add(positionKey);
+            this.getNode(currentFen)?.addTimeSample({ thinkTime: plyTimeSpent });
+          }
+          if (plyClock !== null) playerClock = plyClock;
+        }
         
         // Fast opening identification using direct FEN lookup
         let positionOpeningInfo = null;
         
         // Check global cache first
-        if (GLOBAL_OPENING_CACHE.has(newFen)) {
-          positionOpeningInfo = GLOBAL_OPENING_CACHE.get(newFen);
+        const epd = toPositionKey(newFen);
+        if (GLOBAL_OPENING_CACHE.has(epd)) {
+          positionOpeningInfo = GLOBAL_OPENING_CACHE.get(epd);
         } else {
           // Direct FEN lookup - much faster than identifyOpening()
-          const fenToEpd = (fen) => {
-            const parts = fen.split(' ');
-            return parts.slice(0, 4).join(' ');
-          };
-          
-          const epd = fenToEpd(newFen);
           const opening = GLOBAL_OPENING_DATABASE?.get(epd) || GLOBAL_OPENING_DATABASE?.get(newFen);
           
           if (opening) {
@@ -195,7 +625,7 @@ class Graph {
             let inheritedOpeningInfo = { eco: "", name: "Unknown Opening", variation: "", pgn: "", moves: "" };
             
             // Get the previous position's opening info to inherit from (INCLUDING ECO CODE)
-            const previousNode = this.nodes.get(currentFen);
+            const previousNode = this.getNode(currentFen);
             if (previousNode && previousNode.details.openingInfo) {
               // Inherit the COMPLETE opening info from the previous position (ECO + name)
               inheritedOpeningInfo = {
@@ -205,7 +635,7 @@ class Graph {
                 pgn: previousNode.details.openingInfo.pgn || "",
                 moves: previousNode.details.openingInfo.moves || ""
               };
-            } else if (i === 0) {
+            } else if (i === 0 && this.startFen === STANDARD_START_FEN) {
               // First move fallbacks - use well-known opening names (no ECO for starting moves)
               let fallbackName = "Unknown Opening";
               switch (move.san) {
@@ -243,7 +673,7 @@ class Graph {
           }
           
           // Cache the result for future use
-          GLOBAL_OPENING_CACHE.set(newFen, positionOpeningInfo);
+          GLOBAL_OPENING_CACHE.set(epd, positionOpeningInfo);
           
           // Debug logging for first move e4
           if (i === 0 && move.san === 'e4') {
@@ -257,61 +687,199 @@ class Graph {
         }
         
         // Add or update the target position node with position-specific opening info
+        // (a game that comes back to a position is only counted the first time, time samples too)
         const targetNode = this.getOrCreateNode(newFen);
-        targetNode.addGameResult(gameIndex, gameResult, opponentRating, positionOpeningInfo);
+        if (targetNode.gameResults[targetNode.gameResults.length - 1] !== gameIndex) {
+          targetNode.addGameResult(gameIndex, gameResult, opponentRating, positionOpeningInfo, gameMetadata.termination, playerRating);
+          targetNode.addTimeSample({ timeRemaining: clocks ? playerClock : null, timeTroubleLoss });
+        }
         
         currentFen = newFen;
       } catch (error) {
-        console.warn(`Invalid move in game ${gameIndex}:`, moves[i]);
-        break;
+        const san = typeof moves[i] === 'string' ? moves[i] : moves[i]?.san;
+        console.warn(`Invalid move in game ${gameIndex}:`, san, error.message);
+        return { reason: 'illegalMove', ply: i + 1, move: san };
       }
     }
+    
+    return null;
+  }
+
+  // Check a stored game against a view filter; null (or missing) fields match everything:
+  //   sources      source tags ("platform:username") to include
+  //   since/until  end time window, in milliseconds (games without an end time are left out)
+  //   timeClasses  TIME_CLASS_FILTERS ids to include
+  //   ratedOnly    only rated games
+  //   gameIndices  Set restricting the view to the games that followed one move order (see getGamesAlongPath)
+  gameMatchesFilter(gameIndex, filter) {
+    if (!filter) return true;
+    const game = this.pgnStats[gameIndex];
+    if (!game) return false;
+    
+    if (filter.sources && !filter.sources.includes(game.source)) return false;
+    if (filter.gameIndices && !filter.gameIndices.has(gameIndex)) return false;
+    if (filter.ratedOnly && !game.rated) return false;
+    if (filter.timeClasses && !filter.timeClasses.includes(getTimeClassFilter(game.time_class))) return false;
+    
+    if (filter.since || filter.until) {
+      const endTimestamp = getGameEndTimestamp(game);
+      if (endTimestamp === null) return false;
+      if (filter.since && endTimestamp < filter.since) return false;
+      if (filter.until && endTimestamp > filter.until) return false;
+    }
+    
+    return true;
+  }
+
+  // True when the filter would exclude at least some games
+  isFilterActive(filter) {
+    return !!filter && (
+      !!filter.sources || !!filter.gameIndices || !!filter.ratedOnly ||
+      !!filter.timeClasses || !!filter.since || !!filter.until
+    );
+  }
+
+  // Win/loss and rating statistics for a subset of the games stored in this graph
+  getStatsForGames(gameIndices) {
+    let wins = 0, losses = 0, draws = 0, ratingTotal = 0, ratedGames = 0;
+    const ratingStats = createRatingStats();
+    
+    gameIndices.forEach(gameIndex => {
+      const game = this.pgnStats[gameIndex];
+      if (game.result === 'win') wins++;
+      else if (game.result === 'lose') losses++;
+      else draws++;
+      
+      if (game.opponentRating > 0) {
+        ratingTotal += game.opponentRating;
+        ratedGames++;
+      }
+      
+      const { playerRating, opponentRating } = getGameRatings(game);
+      addRatingSample(ratingStats, game.result, playerRating, opponentRating);
+    });
+    
+    const totalGames = gameIndices.length;
+    return {
+      totalGames,
+      wins,
+      losses,
+      draws,
+      winRate: totalGames > 0 ? (wins / totalGames) * 100 : 0,
+      winRateInterval: getWinRateInterval(wins, totalGames),
+      averageOpponentRating: ratedGames > 0 ? Math.round(ratingTotal / ratedGames) : 0,
+      ratingStats,
+      ...summarizeRatingStats(ratingStats)
+    };
+  }
+
+  // How a set of stored games ended: termination -> { wins, losses, draws }
+  countTerminations(gameIndices) {
+    const terminations = {};
+    gameIndices.forEach(gameIndex => {
+      const game = this.pgnStats[gameIndex];
+      if (!game?.termination) return;
+      if (!terminations[game.termination]) terminations[game.termination] = { wins: 0, losses: 0, draws: 0 };
+      const terminationStats = terminations[game.termination];
+      if (game.result === 'win') terminationStats.wins++;
+      else if (game.result === 'lose') terminationStats.losses++;
+      else terminationStats.draws++;
+    });
+    return terminations;
+  }
+
+  // Node details restricted to the games matching a filter
+  getFilteredDetails(node, filter) {
+    if (!this.isFilterActive(filter)) return node.details;
+    
+    const gameIndices = node.gameResults.filter(gameIndex => this.gameMatchesFilter(gameIndex, filter));
+    return {
+      ...node.details,
+      ...this.getStatsForGames(gameIndices)
+    };
   }
 
   // Get details for a specific FEN position
-  getDetailsForFen(fen) {
-    const node = this.nodes.get(fen);
+  getDetailsForFen(fen, filter = null) {
+    const node = this.getNode(fen);
     if (!node) return null;
     
     return {
-      ...node.details,
+      ...this.getFilteredDetails(node, filter),
+      ...summarizeTimeStats(node.details.timeStats),
       position: fen,
       gameCount: node.gameResults.length
     };
   }
 
-  // Get all possible moves from a FEN position
-  getMovesFromFen(fen) {
+  // Get all possible moves from a FEN position (optionally only counting games matching a filter).
+  // A move's details cover the games that played it here, like its gameCount; games that reached
+  // the resulting position by another move order aren't included. Their adjustedWinRate is the
+  // win rate shrunk toward this position's (see getAdjustedWinRate).
+  getMovesFromFen(fen, filter = null) {
     const moves = [];
+    const filterActive = this.isFilterActive(filter);
+    const parentNode = this.getNode(fen);
+    const parentWinRate = parentNode ? this.getFilteredDetails(parentNode, filter).winRate : null;
     
-    for (const [moveKey, moveData] of this.moves.entries()) {
-      if (moveData.fromFen === fen) {
-        const targetNode = this.nodes.get(moveData.toFen);
-        
-        // Get opening info from the target position
-        let openingInfo = targetNode.details.openingInfo;
-        
-        // Use stored opening info from when the game was imported
-        // No need to look up again since we store it during import
-        
-        moves.push({
-          san: moveData.san,
-          toFen: moveData.toFen,
-          gameCount: moveData.gameIndices.length,
-          details: targetNode.details,
-          openingInfo
-        });
-      }
+    for (const moveData of this.getOutgoingMoves(fen)) {
+      const targetNode = this.nodes.get(moveData.toFen);
+      const moveGameIndices = filterActive
+        ? moveData.gameIndices.filter(gameIndex => this.gameMatchesFilter(gameIndex, filter))
+        : moveData.gameIndices;
+      const gameCount = moveGameIndices.length;
+      
+      if (gameCount === 0) continue;
+      
+      // Get opening info from the target position
+      let openingInfo = targetNode.details.openingInfo;
+      
+      // Use stored opening info from when the game was imported
+      // No need to look up again since we store it during import
+      
+      // Mover's think time and clock for this move; time-trouble losses through the resulting position
+      const moveTimeStats = summarizeTimeStats(moveData.timeStats);
+      
+      const details = { ...targetNode.details, ...this.getStatsForGames(moveGameIndices) };
+      
+      moves.push({
+        san: moveData.san,
+        toFen: targetNode.fen,
+        positionKey: moveData.toFen,
+        gameCount,
+        continuations: this.getOutgoingMoves(moveData.toFen).length, // Moves played from the resulting position (all games)
+        details: {
+          ...details,
+          adjustedWinRate: getAdjustedWinRate(details.wins, details.totalGames, parentWinRate ?? details.winRate)
+        },
+        openingInfo,
+        timeStats: {
+          ...moveTimeStats,
+          timeTroubleLosses: summarizeTimeStats(targetNode.details.timeStats).timeTroubleLosses
+        }
+      });
     }
     
     return moves.sort((a, b) => b.gameCount - a.gameCount);
   }
 
-  // Get position after applying a sequence of moves from starting position
+  // Get position after applying a sequence of moves from starting position.
+  // Moves played in these games are followed through the graph; anything else is replayed.
   getPositionAfterMoves(moves) {
     if (!moves || moves.length === 0) return this.getStartingPosition();
     
-    const chess = new Chess();
+    let positionKey = toPositionKey(this.startFen);
+    for (const move of moves) {
+      const moveData = this.findMove(positionKey, move);
+      if (!moveData) {
+        positionKey = null;
+        break;
+      }
+      positionKey = moveData.toFen;
+    }
+    if (positionKey) return this.nodes.get(positionKey).fen;
+    
+    const chess = new Chess(this.startFen);
     
     for (const move of moves) {
       try {
@@ -327,7 +895,72 @@ class Graph {
 
   // Get the starting position FEN
   getStartingPosition() {
-    return 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+    return this.startFen;
+  }
+
+  // Get the indices of the games that played exactly this move order from the start position
+  // (null for the start position itself, which every game reached)
+  getGamesAlongPath(moves) {
+    if (!moves || moves.length === 0) return null;
+    
+    let positionKey = toPositionKey(this.startFen);
+    let games = null;
+    
+    for (const move of moves) {
+      const moveData = this.findMove(positionKey, move);
+      if (!moveData) return new Set();
+      positionKey = moveData.toFen;
+      games = games
+        ? new Set(moveData.gameIndices.filter(gameIndex => games.has(gameIndex)))
+        : new Set(moveData.gameIndices);
+      if (games.size === 0) break;
+    }
+    
+    return games;
+  }
+
+  // Get every move order from the start position that reached a position, with the number of
+  // games (matching the filter) that played it, most played first. Repeated positions are not
+  // walked through twice.
+  getMoveOrders(fen, filter = null, limit = MAX_MOVE_ORDERS) {
+    const node = this.getNode(fen);
+    if (!node) return [];
+    
+    const startKey = toPositionKey(this.startFen);
+    const moveOrders = [];
+    const path = [];
+    const visited = new Set();
+    
+    // Walk back towards the start, keeping only the games that played every move on the way
+    const walkBack = (positionKey, games) => {
+      if (moveOrders.length >= limit) return;
+      if (positionKey === startKey) {
+        moveOrders.push({ moves: [...path].reverse(), gameCount: games.length });
+        return;
+      }
+      
+      const candidates = this.getIncomingMoves(positionKey)
+        .filter(moveData => !visited.has(moveData.fromFen))
+        .sort((a, b) => b.gameIndices.length - a.gameIndices.length);
+      
+      for (const moveData of candidates) {
+        const moveGames = new Set(moveData.gameIndices);
+        const remainingGames = games.filter(gameIndex => moveGames.has(gameIndex));
+        if (remainingGames.length === 0) continue;
+        
+        visited.add(moveData.fromFen);
+        path.push(moveData.san);
+        walkBack(moveData.fromFen, remainingGames);
+        path.pop();
+        visited.delete(moveData.fromFen);
+      }
+    };
+    
+    const key = toPositionKey(fen);
+    visited.add(key);
+    walkBack(key, node.gameResults.filter(gameIndex => this.gameMatchesFilter(gameIndex, filter)));
+    
+    return moveOrders.sort((a, b) => b.gameCount - a.gameCount);
   }
 
   // Get statistics summary
@@ -349,54 +982,129 @@ class Graph {
   }
 
   // Get all games that reached a specific position
-  getGamesForPosition(fen) {
-    const node = this.nodes.get(fen);
+  getGamesForPosition(fen, filter = null) {
+    const node = this.getNode(fen);
     if (!node) return [];
     
-    return node.gameResults.map(gameIndex => ({
-      ...this.pgnStats[gameIndex],
-      gameIndex
-    }));
+    return node.gameResults
+      .filter(gameIndex => this.gameMatchesFilter(gameIndex, filter))
+      .map(gameIndex => ({
+        ...this.pgnStats[gameIndex],
+        gameIndex
+      }));
   }
 
-  // Serialize the graph for storage (like OpeningTree's compression)
+  // Serialize the graph for storage (version 2). Every position is written once, in a string
+  // table the moves refer to by index; game index lists and clock stats are typed arrays, and
+  // opening info is shared through a table. Node statistics and terminations aren't stored,
+  // they're recounted from the games on load. See graphCodec for how it's packed.
   serialize() {
-    const data = {
+    const positions = Array.from(this.nodes.keys());
+    const positionIndex = new Map(positions.map((key, index) => [key, index]));
+    const nodes = Array.from(this.nodes.values());
+    const moves = Array.from(this.moves.values());
+    
+    const openings = [];
+    const openingIndex = new Map(); // JSON of an opening info -> index in openings
+    const getOpeningIndex = (openingInfo) => {
+      if (!openingInfo) return -1;
+      const openingKey = JSON.stringify(openingInfo);
+      if (!openingIndex.has(openingKey)) {
+        openingIndex.set(openingKey, openings.length);
+        openings.push(openingInfo);
+      }
+      return openingIndex.get(openingKey);
+    };
+    
+    const nodeTimeStats = new Float64Array(nodes.length * TIME_STAT_FIELDS.length);
+    nodes.forEach((node, index) => packTimeStats(nodeTimeStats, index, node.details.timeStats));
+    const moveTimeStats = new Float64Array(moves.length * TIME_STAT_FIELDS.length);
+    moves.forEach((moveData, index) => packTimeStats(moveTimeStats, index, moveData.timeStats));
+    
+    return {
+      version: GRAPH_FORMAT_VERSION,
       username: this.username,
       playerColor: this.playerColor,
-      nodes: Array.from(this.nodes.entries()).map(([fen, node]) => ({
-        fen,
-        gameResults: node.gameResults,
-        details: node.details
-      })),
-      moves: Array.from(this.moves.entries()).map(([key, moveData]) => ({
-        key,
-        ...moveData
-      })),
-      pgnStats: this.pgnStats,
-      metadata: {
-        created: new Date().toISOString(),
-        version: '1.0'
-      }
+      startFen: this.startFen,
+      positions,
+      nodes: {
+        moveCounters: nodes.map(node => node.fen.split(' ').slice(4).join(' ')), // Completes the FEN of each position
+        games: packIndexLists(nodes.map(node => node.gameResults)),
+        openings: Int32Array.from(nodes, node => getOpeningIndex(node.details.openingInfo)),
+        timeStats: nodeTimeStats
+      },
+      moves: {
+        san: moves.map(moveData => moveData.san),
+        from: Uint32Array.from(moves, moveData => positionIndex.get(moveData.fromFen)),
+        to: Uint32Array.from(moves, moveData => positionIndex.get(moveData.toFen)),
+        games: packIndexLists(moves.map(moveData => moveData.gameIndices)),
+        timeStats: moveTimeStats
+      },
+      games: this.pgnStats.map(({ openingInfo, ...game }) => ({ ...game, opening: getOpeningIndex(openingInfo) })),
+      openings
     };
+  }
+
+  // Deserialize the graph from storage (a version 2 object, or the JSON string of version 1)
+  static deserialize(serialized) {
+    if (typeof serialized === 'string') return Graph.deserializeVersion1(JSON.parse(serialized));
+    
+    const graph = new Graph(serialized.username, serialized.playerColor, serialized.startFen || STANDARD_START_FEN);
+    const { positions, nodes, moves, openings } = serialized;
+    
+    graph.pgnStats = serialized.games.map(({ opening, ...game }) => ({ ...game, openingInfo: openings[opening] || null }));
     
-    return JSON.stringify(data);
+    positions.forEach((key, index) => {
+      const moveCounters = nodes.moveCounters[index];
+      const node = new GraphNode(moveCounters ? `${key} ${moveCounters}` : key);
+      node.gameResults = unpackIndexList(nodes.games, index);
+      node.details = {
+        ...node.details,
+        ...graph.getStatsForGames(node.gameResults),
+        openingInfo: openings[nodes.openings[index]] || null,
+        timeStats: unpackTimeStats(nodes.timeStats, index),
+        terminations: graph.countTerminations(node.gameResults)
+      };
+      graph.nodes.set(key, node);
+    });
+    
+    moves.san.forEach((san, index) => {
+      const fromKey = positions[moves.from[index]];
+      const toKey = positions[moves.to[index]];
+      graph.moves.set(`${fromKey}:${toKey}`, {
+        san,
+        fromFen: fromKey,
+        toFen: toKey,
+        gameIndices: unpackIndexList(moves.games, index),
+        timeStats: unpackTimeStats(moves.timeStats, index)
+      });
+    });
+    
+    graph.rebuildIndexes();
+    return graph;
   }
 
-  // Deserialize the graph from storage
-  static deserialize(jsonString) {
-    const data = JSON.parse(jsonString);
-    const graph = new Graph(data.username, data.playerColor);
+  // Restore a graph saved in the version 1 format ({ nodes, moves, pgnStats } as JSON)
+  static deserializeVersion1(data) {
+    const graph = new Graph(data.username, data.playerColor, data.startFen || STANDARD_START_FEN);
     
     // Restore pgnStats
     graph.pgnStats = data.pgnStats || [];
     
-    // Restore nodes
+    // Graphs saved before positions were keyed by EPD have no node keys
+    if (data.nodes.length > 0 && !data.nodes[0].key) {
+      graph.restoreLegacyPositions(data);
+      graph.rebuildIndexes();
+      return graph;
+    }
+    
+    // Restore nodes (results are recounted from the stored games, since version 1 graphs
+    // have no rating statistics)
     data.nodes.forEach(nodeData => {
       const node = new GraphNode(nodeData.fen);
       node.gameResults = nodeData.gameResults;
-      node.details = nodeData.details;
-      graph.nodes.set(nodeData.fen, node);
+      node.details = { ...nodeData.details, ...graph.getStatsForGames(nodeData.gameResults) };
+      graph.nodes.set(nodeData.key, node);
     });
     
     // Restore moves
@@ -405,25 +1113,97 @@ class Graph {
         san: moveData.san,
         fromFen: moveData.fromFen,
         toFen: moveData.toFen,
-        gameIndices: moveData.gameIndices
+        gameIndices: moveData.gameIndices,
+        timeStats: moveData.timeStats || createTimeStats()
       });
     });
     
+    graph.rebuildIndexes();
     return graph;
   }
+
+  // Restore a graph saved with one node per full FEN: nodes and moves of the same position
+  // (differing only in move counters) are merged, with their results recounted from the games
+  restoreLegacyPositions(data) {
+    const mergedNodes = new Set();
+    
+    data.nodes.forEach(nodeData => {
+      const key = toPositionKey(nodeData.fen);
+      const existingNode = this.nodes.get(key);
+      if (!existingNode) {
+        const node = new GraphNode(nodeData.fen);
+        node.gameResults = nodeData.gameResults;
+        node.details = nodeData.details;
+        this.nodes.set(key, node);
+        return;
+      }
+      
+      existingNode.gameResults = mergeGameIndices(existingNode.gameResults, nodeData.gameResults);
+      existingNode.details.timeStats = sumTimeStats(existingNode.details.timeStats, nodeData.details.timeStats);
+      existingNode.details.openingInfo = existingNode.details.openingInfo || nodeData.details.openingInfo;
+      mergedNodes.add(key);
+    });
+    
+    // Every node gets its results recounted from the stored games (these graphs have no rating
+    // statistics); merged nodes also get their terminations recounted
+    this.nodes.forEach((node, key) => {
+      node.details = {
+        ...node.details,
+        ...this.getStatsForGames(node.gameResults),
+        ...(mergedNodes.has(key) ? { terminations: this.countTerminations(node.gameResults) } : {})
+      };
+    });
+    
+    data.moves.forEach(moveData => {
+      const fromKey = toPositionKey(moveData.fromFen);
+      const toKey = toPositionKey(moveData.toFen);
+      const moveKey = `${fromKey}:${toKey}`;
+      const existingMove = this.moves.get(moveKey);
+      
+      if (existingMove) {
+        existingMove.gameIndices = mergeGameIndices(existingMove.gameIndices, moveData.gameIndices);
+        existingMove.timeStats = sumTimeStats(existingMove.timeStats, moveData.timeStats);
+      } else {
+        this.moves.set(moveKey, {
+          san: moveData.san,
+          fromFen: fromKey,
+          toFen: toKey,
+          gameIndices: moveData.gameIndices,
+          timeStats: moveData.timeStats || createTimeStats()
+        });
+      }
+    });
+    
+    console.log(`🔀 Merged ${mergedNodes.size} transposed positions in a graph saved by FEN`);
+  }
 }
 
 // OpeningGraph - Main class that manages white and black trees (like OpeningTree)
+// Games that don't start from this graph's position are stored in a separate OpeningGraph
+// per starting position (variantGraphs), with the same API as the standard one.
 export class OpeningGraph {
-  constructor(username) {
+  constructor(username, startFen = STANDARD_START_FEN, variant = 'standard') {
     this.username = username;
-    this.whiteGraph = new Graph(username, 'white');
-    this.blackGraph = new Graph(username, 'black');
+    this.startFen = startFen;
+    this.variant = variant; // 'standard', 'chess960' or 'fromPosition'
+    this.whiteGraph = new Graph(username, 'white', startFen);
+    this.blackGraph = new Graph(username, 'black', startFen);
+    this.variantGraphs = new Map(); // Normalized start FEN -> OpeningGraph
   }
 
   // Add a PGN game to the appropriate graph
+  // Returns null, or the problem that kept the game (or its end) out of the graph:
+  // { reason: 'invalidStartPosition', fen } or { reason: 'illegalMove', ply, move }
   async addGame(gameData) {
-    const { moves, player_color, result, opening } = gameData;
+    const { moves, mainline, player_color, result, opening } = gameData;
+    
+    // Chess960 and "from position" games go into the graph for their starting position
+    const startFen = normalizeStartFen(gameData.start_fen);
+    if (!startFen) return { reason: 'invalidStartPosition', fen: gameData.start_fen };
+    if (startFen !== this.startFen) {
+      const variantGraph = this.getVariantGraph(startFen, gameData.variant || 'fromPosition', true);
+      return variantGraph.addGame(gameData);
+    }
     
     // Debug logging for first few games
     if (this.whiteGraph.pgnStats.length + this.blackGraph.pgnStats.length < 5) {
@@ -447,22 +1227,44 @@ export class OpeningGraph {
       white_rating: gameData.white_rating,
       black_rating: gameData.black_rating,
       player_color: gameData.player_color,
-      game_id: gameData.game_id
+      game_id: gameData.game_id,
+      termination: gameData.termination,
+      source: gameData.source,
+      clocks: gameData.clocks // Used while building, not stored per game
     };
     
     // Add to the appropriate graph
     const targetGraph = player_color === 'white' ? this.whiteGraph : this.blackGraph;
-    await targetGraph.addPGN(moves, result, opponentRating, opening, gameMetadata);
+    // Prefer the parsed mainline (SAN plus annotations) when the game came from a PGN
+    return targetGraph.addPGN(mainline || moves, result, opponentRating, opening, gameMetadata);
+  }
+
+  // With filter.mergeTranspositions === false, a position's stats only count the games that
+  // reached it by this move order; otherwise they cover every move order
+  applyMoveOrderFilter(graph, moves, filter) {
+    if (filter?.mergeTranspositions !== false) return filter;
+    const gameIndices = graph.getGamesAlongPath(moves);
+    return gameIndices ? { ...filter, gameIndices } : filter;
   }
 
   // Get moves from a position for a specific color
-  getMovesFromPosition(moves, isWhite) {
+  getMovesFromPosition(moves, isWhite, filter = null) {
+    const graph = isWhite ? this.whiteGraph : this.blackGraph;
+    const fen = graph.getPositionAfterMoves(moves);
+    
+    if (!fen) return [];
+    
+    return graph.getMovesFromFen(fen, this.applyMoveOrderFilter(graph, moves, filter));
+  }
+
+  // Get every move order that reached the position after these moves (transpositions included)
+  getMoveOrders(moves, isWhite, filter = null) {
     const graph = isWhite ? this.whiteGraph : this.blackGraph;
     const fen = graph.getPositionAfterMoves(moves);
     
     if (!fen) return [];
     
-    return graph.getMovesFromFen(fen);
+    return graph.getMoveOrders(fen, filter);
   }
 
   // Get child positions from a move sequence (compatible with Dashboard)
@@ -524,8 +1326,8 @@ export class OpeningGraph {
 
   // Get a node with stats for both colors (compatible with Dashboard)
   getNode(fen) {
-    const whiteNode = this.whiteGraph.nodes.get(fen);
-    const blackNode = this.blackGraph.nodes.get(fen);
+    const whiteNode = this.whiteGraph.getNode(fen);
+    const blackNode = this.blackGraph.getNode(fen);
     
     if (!whiteNode && !blackNode) return null;
     
@@ -561,30 +1363,87 @@ export class OpeningGraph {
   }
 
   // Get position details
-  getPositionDetails(moves, isWhite) {
+  getPositionDetails(moves, isWhite, filter = null) {
     const graph = isWhite ? this.whiteGraph : this.blackGraph;
     const fen = graph.getPositionAfterMoves(moves);
     
     if (!fen) return null;
     
-    return graph.getDetailsForFen(fen);
+    return graph.getDetailsForFen(fen, this.applyMoveOrderFilter(graph, moves, filter));
   }
 
   // Get all games that reached a specific position
-  getGamesForPosition(moves, isWhite) {
+  getGamesForPosition(moves, isWhite, filter = null) {
     const graph = isWhite ? this.whiteGraph : this.blackGraph;
     const fen = graph.getPositionAfterMoves(moves);
     
     if (!fen) return [];
     
-    return graph.getGamesForPosition(fen);
+    return graph.getGamesForPosition(fen, this.applyMoveOrderFilter(graph, moves, filter));
   }
 
   // Get root moves (first moves in the opening)
-  getRootMoves(isWhite) {
+  getRootMoves(isWhite, filter = null) {
     const graph = isWhite ? this.whiteGraph : this.blackGraph;
     const startingFen = graph.getStartingPosition();
-    return graph.getMovesFromFen(startingFen);
+    return graph.getMovesFromFen(startingFen, filter);
+  }
+
+  // Get every account that contributed games, with game counts (for the source filter)
+  getSources() {
+    const counts = new Map();
+    [...this.whiteGraph.pgnStats, ...this.blackGraph.pgnStats].forEach(game => {
+      if (!game.source) return;
+      counts.set(game.source, (counts.get(game.source) || 0) + 1);
+    });
+    return Array.from(counts.entries()).map(([source, gameCount]) => ({ source, gameCount }));
+  }
+
+  // Get the view filter time classes of the stored games, with game counts (for the time class filter)
+  getTimeClasses() {
+    const counts = new Map();
+    [...this.whiteGraph.pgnStats, ...this.blackGraph.pgnStats].forEach(game => {
+      const timeClass = getTimeClassFilter(game.time_class);
+      if (!timeClass) return;
+      counts.set(timeClass, (counts.get(timeClass) || 0) + 1);
+    });
+    return TIME_CLASS_FILTERS
+      .filter(({ id }) => counts.has(id))
+      .map(({ id, label }) => ({ id, label, gameCount: counts.get(id) }));
+  }
+
+  // Get the IDs of every game already stored in either graph, including the graphs for other
+  // starting positions (used to skip duplicates on sync)
+  getGameIds() {
+    const gameIds = new Set();
+    [...this.whiteGraph.pgnStats, ...this.blackGraph.pgnStats].forEach(game => {
+      if (game.game_id !== undefined && game.game_id !== null) {
+        gameIds.add(String(game.game_id));
+      }
+    });
+    this.variantGraphs.forEach(variantGraph => {
+      variantGraph.getGameIds().forEach(gameId => gameIds.add(gameId));
+    });
+    return gameIds;
+  }
+
+  // Get the graph for another starting position (optionally creating it)
+  getVariantGraph(startFen, variant = 'fromPosition', create = false) {
+    if (!this.variantGraphs.has(startFen) && create) {
+      this.variantGraphs.set(startFen, new OpeningGraph(this.username, startFen, variant));
+    }
+    return this.variantGraphs.get(startFen) || null;
+  }
+
+  // Get every other starting position with its variant and game count (for the variant selector)
+  getVariants() {
+    return Array.from(this.variantGraphs.values())
+      .map(variantGraph => ({
+        startFen: variantGraph.startFen,
+        variant: variantGraph.variant,
+        gameCount: variantGraph.whiteGraph.pgnStats.length + variantGraph.blackGraph.pgnStats.length
+      }))
+      .sort((a, b) => b.gameCount - a.gameCount);
   }
 
   // Get statistics for both colors
@@ -596,24 +1455,32 @@ export class OpeningGraph {
     };
   }
 
-  // Serialize both graphs
+  // Serialize both graphs (and the graphs for other starting positions). The result holds typed
+  // arrays: it can be posted to and from workers as is, and packed for storage by graphCodec.
   serialize() {
     return {
       username: this.username,
+      startFen: this.startFen,
+      variant: this.variant,
       whiteGraph: this.whiteGraph.serialize(),
       blackGraph: this.blackGraph.serialize(),
+      variantGraphs: Array.from(this.variantGraphs.values()).map(variantGraph => variantGraph.serialize()),
       metadata: {
         created: new Date().toISOString(),
-        version: '1.0'
+        version: GRAPH_FORMAT_VERSION
       }
     };
   }
 
-  // Deserialize both graphs
+  // Deserialize both graphs. Graphs saved as version '1.0' (each color's graph as a JSON string)
+  // are read as well.
   static deserialize(data) {
-    const openingGraph = new OpeningGraph(data.username);
+    const openingGraph = new OpeningGraph(data.username, data.startFen || STANDARD_START_FEN, data.variant || 'standard');
     openingGraph.whiteGraph = Graph.deserialize(data.whiteGraph);
     openingGraph.blackGraph = Graph.deserialize(data.blackGraph);
+    (data.variantGraphs || []).forEach(variantData => {
+      openingGraph.variantGraphs.set(variantData.startFen, OpeningGraph.deserialize(variantData));
+    });
     return openingGraph;
   }
 }
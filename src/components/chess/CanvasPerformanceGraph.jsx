@@ -10,6 +10,7 @@ import {
   Crown,
   Shield
 } from 'lucide-react';
+import { PERFORMANCE_METRICS, getPerformanceLevel, formatMetricValue, getMetricLegend } from '@/utils/performanceMetrics';
 
 // Performance color constants
 const PERFORMANCE_COLORS = {
@@ -20,12 +21,12 @@ const PERFORMANCE_COLORS = {
   difficult: { bg: '#dc2626', border: '#b91c1c', text: '#ffffff' },
 };
 
-const getPerformanceData = (winRate, gameCount) => {
-  if (winRate >= 70) return PERFORMANCE_COLORS.excellent;
-  if (winRate >= 60) return PERFORMANCE_COLORS.good;
-  if (winRate >= 50) return PERFORMANCE_COLORS.solid;
-  if (winRate >= 40) return PERFORMANCE_COLORS.challenging;
-  return PERFORMANCE_COLORS.difficult;
+// Nodes and edges without a value for the coloring metric (e.g. no rated games)
+const NO_METRIC_COLORS = { bg: '#64748b', border: '#475569', text: '#ffffff' };
+
+// Colors of node or edge data for the selected coloring metric (see utils/performanceMetrics)
+const getPerformanceData = (data, colorMetric) => {
+  return PERFORMANCE_COLORS[getPerformanceLevel(data, colorMetric)] || NO_METRIC_COLORS;
 };
 
 // Function to create convex hull for organic cluster shapes
@@ -174,6 +175,8 @@ const CanvasPerformanceGraph = ({
   onWinRateFilterChange,
   onTempWinRateFilterChange,
   onApplyWinRateFilter,
+  colorMetric = 'winRate', // Metric nodes and edges are colored by (a PERFORMANCE_METRICS key)
+  onColorMetricChange,
   selectedPlayer = 'white',
   onPlayerChange,
   isGenerating = false,
@@ -763,19 +766,22 @@ const CanvasPerformanceGraph = ({
         
         if (!source || !target) return;
 
-        const perfData = getPerformanceData(edge.data?.winRate || 0, edge.data?.gameCount || 0);
+        const perfData = getPerformanceData(edge.data, colorMetric);
         const thickness = Math.max(4, Math.min(12, 4 + ((edge.data?.gameCount || 0) / 25)));
 
         ctx.strokeStyle = perfData.border;
         ctx.lineWidth = thickness;
         ctx.lineCap = 'round';
-        ctx.globalAlpha = 0.8;
+        ctx.globalAlpha = edge.data?.isTransposition ? 0.5 : 0.8;
+        // Transpositions (a move into a position reached by another move order) are dashed
+        ctx.setLineDash(edge.data?.isTransposition ? [thickness * 2, thickness * 2] : []);
         
         ctx.beginPath();
         ctx.moveTo(source.x, source.y + source.height/2);
         ctx.lineTo(target.x, target.y - target.height/2);
         ctx.stroke();
         
+        ctx.setLineDash([]);
         ctx.globalAlpha = 1;
       });
     }
@@ -797,7 +803,8 @@ const CanvasPerformanceGraph = ({
 
       let renderedNodeCount = 0;
       positionedNodes.forEach(node => {
-      const perfData = getPerformanceData(node.data.winRate || 0, node.data.gameCount || 0);
+      // The root stays neutral: its win rate isn't tracked
+      const perfData = node.data.isRoot ? PERFORMANCE_COLORS.solid : getPerformanceData(node.data, colorMetric);
       const isCurrentNode = node.id === currentNodeId;
       const isHoveredNextMove = node.id === hoveredNextMoveNodeId;
       const isHovered = hoveredNode?.id === node.id;
@@ -891,11 +898,11 @@ const CanvasPerformanceGraph = ({
         ctx.strokeText(node.data.san || '?', centerX, centerY - 35);
         ctx.fillText(node.data.san || '?', centerX, centerY - 35);
         
-        // Win rate (middle line) - MUCH LARGER (centered)
-        const winRate = Math.round(node.data.winRate || 0);
+        // Coloring metric (middle line) - MUCH LARGER (centered)
+        const metricText = formatMetricValue(node.data, colorMetric);
         ctx.font = `600 26px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
-        ctx.strokeText(`${winRate}%`, centerX, centerY);
-        ctx.fillText(`${winRate}%`, centerX, centerY);
+        ctx.strokeText(metricText, centerX, centerY);
+        ctx.fillText(metricText, centerX, centerY);
         
         // Game count (bottom line) - MUCH LARGER (better spacing)
         ctx.font = `500 22px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
@@ -910,7 +917,7 @@ const CanvasPerformanceGraph = ({
     } // End of nodes rendering if statement
 
     ctx.restore();
-     }, [positionedNodes, dimensions, transform, currentNodeId, hoveredNextMoveNodeId, hoveredNode, hoveredCluster, graphData.edges, openingClusters, positionClusters, showOpeningClusters, showPositionClusters]);
+     }, [positionedNodes, dimensions, transform, currentNodeId, hoveredNextMoveNodeId, hoveredNode, hoveredCluster, graphData.edges, openingClusters, positionClusters, showOpeningClusters, showPositionClusters, colorMetric]);
 
   // Animation loop
   useEffect(() => {
@@ -1448,6 +1455,22 @@ const CanvasPerformanceGraph = ({
               </div>
             </div>
 
+            {/* Coloring metric */}
+            <div className="text-sm">
+              <label className="text-slate-400 text-xs block mb-1">Color By</label>
+              <select
+                value={colorMetric}
+                onChange={(e) => onColorMetricChange(e.target.value)}
+                className={`w-full px-2 py-1 rounded ${!onColorMetricChange ? 'bg-slate-800 border-slate-700 text-slate-500 cursor-not-allowed' : 'bg-slate-700 border-slate-600 text-slate-200'}`}
+                disabled={!onColorMetricChange}
+                title={PERFORMANCE_METRICS[colorMetric]?.description}
+              >
+                {Object.entries(PERFORMANCE_METRICS).map(([id, metric]) => (
+                  <option key={id} value={id}>{metric.label}</option>
+                ))}
+              </select>
+            </div>
+
             {/* Controls Row 2 - Win Rate Range Filter */}
             <div className="space-y-3 bg-slate-700/30 p-3 rounded-lg border border-slate-600/50">
               <div className="flex justify-between items-center">
@@ -1526,21 +1549,25 @@ const CanvasPerformanceGraph = ({
       {/* Permanent Performance Legend - Bottom Right */}
       <div className="absolute bottom-4 right-4 bg-slate-800/90 border border-slate-700 px-3 py-2 rounded text-xs pointer-events-none backdrop-blur-sm">
         <div className="flex items-center gap-3">
-          {[
-            { threshold: '70%', color: PERFORMANCE_COLORS.excellent },
-            { threshold: '60%', color: PERFORMANCE_COLORS.good },
-            { threshold: '50%', color: PERFORMANCE_COLORS.solid },
-            { threshold: '40%', color: PERFORMANCE_COLORS.challenging },
-            { threshold: '0%', color: PERFORMANCE_COLORS.difficult },
-          ].map(({ threshold, color }) => (
-            <div key={threshold} className="flex items-center gap-1">
+          <span className="text-slate-400 text-xs">{PERFORMANCE_METRICS[colorMetric]?.label}</span>
+          {getMetricLegend(colorMetric).map(({ level, label }) => (
+            <div key={level} className="flex items-center gap-1">
               <div 
                 className="w-3 h-3 rounded-sm border shadow-sm"
-                style={{ backgroundColor: color.bg, borderColor: color.border }}
+                style={{ backgroundColor: PERFORMANCE_COLORS[level].bg, borderColor: PERFORMANCE_COLORS[level].border }}
               />
-              <span className="text-slate-200 font-mono text-xs">{threshold}</span>
+              <span className="text-slate-200 font-mono text-xs">{label}</span>
             </div>
           ))}
+          {colorMetric !== 'winRate' && (
+            <div className="flex items-center gap-1">
+              <div 
+                className="w-3 h-3 rounded-sm border shadow-sm"
+                style={{ backgroundColor: NO_METRIC_COLORS.bg, borderColor: NO_METRIC_COLORS.border }}
+              />
+              <span className="text-slate-200 text-xs">Unrated</span>
+            </div>
+          )}
         </div>
       </div>
 
@@ -0,0 +1,175 @@
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { CalendarRange } from 'lucide-react';
+import { DEFAULT_GAME_FILTER } from '@/api/openingGraph';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIOD_OPTIONS = [
+  { id: 'all', label: 'All time' },
+  { id: 7, label: '7 days' },
+  { id: 30, label: '30 days' },
+  { id: 90, label: '90 days' },
+  { id: 365, label: '1 year' },
+  { id: 'custom', label: 'Custom' }
+];
+
+// Helper function to turn a period choice into the since/until window the graph filters on.
+// Custom dates are whole local days.
+const getPeriodWindow = (period, dateFrom, dateTo) => {
+  if (period === 'custom') {
+    return {
+      since: dateFrom ? new Date(`${dateFrom}T00:00:00`).getTime() : null,
+      until: dateTo ? new Date(`${dateTo}T23:59:59.999`).getTime() : null
+    };
+  }
+  if (typeof period === 'number') {
+    return { since: Date.now() - period * DAY_MS, until: null };
+  }
+  return { since: null, until: null };
+};
+
+// Helper function to summarize the active filters for the trigger button
+const describeFilter = (filter, timeClasses) => {
+  const parts = [];
+  const period = PERIOD_OPTIONS.find(option => option.id === filter.period);
+  if (filter.period === 'custom') {
+    parts.push(`${filter.dateFrom || '…'} – ${filter.dateTo || '…'}`);
+  } else if (period && period.id !== 'all') {
+    parts.push(period.label);
+  }
+  if (filter.timeClasses) {
+    parts.push(timeClasses
+      .filter(({ id }) => filter.timeClasses.includes(id))
+      .map(({ label }) => label)
+      .join(', '));
+  }
+  if (filter.ratedOnly) parts.push('Rated');
+  return parts.length > 0 ? parts.join(' · ') : 'All games';
+};
+
+export default function GameFilterPopover({
+  filter, // View filter holding the DEFAULT_GAME_FILTER fields (period, time classes, rated)
+  timeClasses = [], // [{ id, label, gameCount }] present in the graph (see OpeningGraph.getTimeClasses)
+  onChange // Called with the changed fields
+}) {
+  const isActive = filter.period !== 'all' || !!filter.timeClasses || filter.ratedOnly;
+
+  const handlePeriodChange = (period, dateFrom = filter.dateFrom, dateTo = filter.dateTo) => {
+    onChange({ period, dateFrom, dateTo, ...getPeriodWindow(period, dateFrom, dateTo) });
+  };
+
+  // Toggle one time class (at least one stays selected; all selected means no filter)
+  const handleTimeClassToggle = (timeClass, checked) => {
+    const allTimeClasses = timeClasses.map(({ id }) => id);
+    const currentTimeClasses = filter.timeClasses || allTimeClasses;
+    const nextTimeClasses = checked
+      ? [...new Set([...currentTimeClasses, timeClass])]
+      : currentTimeClasses.filter(id => id !== timeClass);
+
+    if (nextTimeClasses.length === 0) return;
+    onChange({ timeClasses: nextTimeClasses.length === allTimeClasses.length ? null : nextTimeClasses });
+  };
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button
+          variant="outline"
+          size="sm"
+          className={isActive
+            ? 'bg-slate-600 border-slate-500 text-white hover:bg-slate-500'
+            : 'bg-slate-700 border-slate-600 text-slate-200 hover:bg-slate-600 hover:text-white'}
+        >
+          <div className="flex items-center gap-2">
+            <CalendarRange className={`w-4 h-4 ${isActive ? 'text-amber-400' : 'text-slate-400'}`} />
+            <span className="hidden sm:inline max-w-[14rem] truncate">{describeFilter(filter, timeClasses)}</span>
+          </div>
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="start" className="w-80 bg-slate-800 border-slate-700 text-slate-200 space-y-4">
+        {/* Period */}
+        <div className="space-y-2">
+          <Label className="text-slate-400 text-xs">Played in</Label>
+          <div className="grid grid-cols-3 gap-2">
+            {PERIOD_OPTIONS.map(({ id, label }) => (
+              <Button
+                key={id}
+                variant="outline"
+                size="sm"
+                onClick={() => handlePeriodChange(id)}
+                className={filter.period === id
+                  ? 'border-blue-500 bg-blue-600/20 text-blue-200 hover:bg-blue-600/30'
+                  : 'border-slate-600 bg-slate-700/50 text-slate-300 hover:bg-slate-700 hover:text-white'}
+              >
+                {label}
+              </Button>
+            ))}
+          </div>
+          {filter.period === 'custom' && (
+            <div className="grid grid-cols-2 gap-2">
+              <Input
+                type="date"
+                value={filter.dateFrom}
+                max={filter.dateTo || undefined}
+                onChange={(e) => handlePeriodChange('custom', e.target.value, filter.dateTo)}
+                className="bg-slate-700/50 border-slate-600 text-white text-xs"
+              />
+              <Input
+                type="date"
+                value={filter.dateTo}
+                min={filter.dateFrom || undefined}
+                onChange={(e) => handlePeriodChange('custom', filter.dateFrom, e.target.value)}
+                className="bg-slate-700/50 border-slate-600 text-white text-xs"
+              />
+            </div>
+          )}
+        </div>
+
+        {/* Time classes (only when the games have more than one) */}
+        {timeClasses.length > 1 && (
+          <div className="space-y-2">
+            <Label className="text-slate-400 text-xs">Time classes</Label>
+            {timeClasses.map(({ id, label, gameCount }) => (
+              <div key={id} className="flex items-center justify-between">
+                <label className="flex items-center gap-2 text-sm cursor-pointer">
+                  <Checkbox
+                    checked={!filter.timeClasses || filter.timeClasses.includes(id)}
+                    onCheckedChange={(checked) => handleTimeClassToggle(id, checked)}
+                    className="border-slate-500 data-[state=checked]:bg-blue-600 data-[state=checked]:border-blue-600"
+                  />
+                  {label}
+                </label>
+                <span className="text-xs text-slate-400">{gameCount}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Rated games */}
+        <label className="flex items-center gap-2 text-sm cursor-pointer">
+          <Checkbox
+            checked={filter.ratedOnly}
+            onCheckedChange={(checked) => onChange({ ratedOnly: checked === true })}
+            className="border-slate-500 data-[state=checked]:bg-blue-600 data-[state=checked]:border-blue-600"
+          />
+          Rated games only
+        </label>
+
+        {isActive && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onChange(DEFAULT_GAME_FILTER)}
+            className="w-full text-slate-400 hover:text-white hover:bg-slate-700"
+          >
+            Show all games
+          </Button>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+}
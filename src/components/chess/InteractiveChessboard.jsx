@@ -45,7 +45,8 @@ export default function InteractiveChessboard({
   hoveredMove = null,
   openingGraph = null, // Add openingGraph prop for position info
   graphNodes = [], // Performance graph nodes to check position existence
-  onFlip = null // External flip handler (optional)
+  onFlip = null, // External flip handler (optional)
+  gameFilter = null // Source filter passed through to the position info dialog
 }) {
   const containerRef = useRef(null);
   const isInternalMoveRef = useRef(false); // Track if move change is internal
@@ -61,9 +62,12 @@ export default function InteractiveChessboard({
   }, [isWhiteTree, onFlip]);
   const [boardSize, setBoardSize] = useState(350); // Start with a reasonable default
   
+  // Chess960 and from-position graphs start from their own position
+  const startFen = openingGraph?.startFen;
+  
   // Chess game state - single source of truth
   const [game, setGame] = useState(() => {
-    const initialGame = new Chess();
+    const initialGame = new Chess(startFen);
     // Apply current moves to initial game
     for (let i = 0; i < Math.min(currentMoveIndex, currentMoves.length); i++) {
       try {
@@ -278,7 +282,7 @@ export default function InteractiveChessboard({
       return;
     }
     
-    const newGame = new Chess();
+    const newGame = new Chess(startFen);
     
     // Apply moves up to current index
     for (let i = 0; i < Math.min(currentMoveIndex, currentMoves.length); i++) {
@@ -301,7 +305,7 @@ export default function InteractiveChessboard({
     setSelected(null);
     setTopMoves([]); // Clear Stockfish arrows when position changes externally
     setStockfishEnabled(false); // Disable Stockfish on position changes
-  }, [currentMoves, currentMoveIndex]);
+  }, [currentMoves, currentMoveIndex, startFen]);
 
   // Update move index when current moves change from external source
   useEffect(() => {
@@ -979,6 +983,7 @@ export default function InteractiveChessboard({
                 openingGraph={openingGraph}
                 currentMoves={currentMoves}
                 isWhite={isWhiteTree}
+                gameFilter={gameFilter}
               >
                 <Button
                   variant="outline"
@@ -0,0 +1,97 @@
+import { useRef, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { FileText, Upload, X } from 'lucide-react';
+import { cn } from '@/lib/utils';
+
+// Drag-and-drop area for selecting one or more local .pgn files
+export function PgnFileDropzone({ files = [], onFilesChange, disabled = false, className = '' }) {
+  const inputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const addFiles = (fileList) => {
+    const pgnFiles = Array.from(fileList).filter(file => file.name.toLowerCase().endsWith('.pgn'));
+    if (pgnFiles.length === 0) return;
+
+    // Ignore files that are already selected (same name and size)
+    const newFiles = pgnFiles.filter(file =>
+      !files.some(existing => existing.name === file.name && existing.size === file.size)
+    );
+    onFilesChange([...files, ...newFiles]);
+  };
+
+  const removeFile = (index) => {
+    onFilesChange(files.filter((_, i) => i !== index));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (disabled) return;
+    addFiles(e.dataTransfer.files);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!disabled) setIsDragging(true);
+  };
+
+  const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  return (
+    <div className={cn('space-y-3', className)}>
+      <div
+        onDrop={handleDrop}
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        onClick={() => !disabled && inputRef.current?.click()}
+        className={cn(
+          'flex flex-col items-center justify-center gap-2 p-6 rounded-lg border-2 border-dashed cursor-pointer transition-colors',
+          isDragging ? 'border-blue-500 bg-blue-500/10' : 'border-slate-600 bg-slate-700/30 hover:bg-slate-700/50',
+          disabled && 'opacity-50 cursor-not-allowed'
+        )}
+      >
+        <Upload className="w-8 h-8 text-slate-400" />
+        <p className="text-slate-200 font-medium text-sm">Drop PGN files here</p>
+        <p className="text-slate-400 text-xs">or click to browse</p>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".pgn"
+          multiple
+          className="hidden"
+          disabled={disabled}
+          onChange={(e) => {
+            addFiles(e.target.files);
+            e.target.value = ''; // Allow selecting the same file again after removing it
+          }}
+        />
+      </div>
+
+      {files.length > 0 && (
+        <div className="space-y-2">
+          {files.map((file, index) => (
+            <div key={`${file.name}-${file.size}`} className="flex items-center gap-2 p-2 rounded-md bg-slate-700/30 border border-slate-600/50">
+              <FileText className="w-4 h-4 text-blue-400 flex-shrink-0" />
+              <span className="text-slate-200 text-sm truncate flex-1">{file.name}</span>
+              <span className="text-slate-400 text-xs">{formatFileSize(file.size)}</span>
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() => removeFile(index)}
+                disabled={disabled}
+                className="h-6 w-6 p-0 text-slate-400 hover:text-white"
+              >
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,86 +1,479 @@
+// PGN tokenizer and parser following the PGN standard (section 7/8 of the spec).
+// Handles tag pairs, move numbers, brace and ";" comments, "%" escape lines, NAGs,
+// suffix annotations (!, ?, !?...), nested variations and [%cmd ...] comment commands.
+
+const RESULT_TOKENS = new Set(['1-0', '0-1', '1/2-1/2', '*']);
+
+// Suffix annotations are stored as their equivalent NAGs
+const SUFFIX_ANNOTATION_NAGS = {
+  '!': 1,
+  '?': 2,
+  '!!': 3,
+  '??': 4,
+  '!?': 5,
+  '?!': 6
+};
+
+const isSymbolStart = (char) => /[A-Za-z0-9]/.test(char);
+const isSymbolChar = (char) => /[A-Za-z0-9_+#=:\-/]/.test(char);
+
+// Split PGN text into tokens: { type, value, start }
+export function tokenizePgn(pgnText) {
+  const tokens = [];
+  if (!pgnText) return tokens;
+
+  const text = pgnText.replace(/^\uFEFF/, '');
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    const start = i;
+
+    // "%" in the first column escapes the rest of the line
+    if (char === '%' && (i === 0 || text[i - 1] === '\n')) {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '{') {
+      const close = text.indexOf('}', i + 1);
+      const endIndex = close === -1 ? text.length : close;
+      tokens.push({ type: 'comment', value: text.slice(i + 1, endIndex), start });
+      i = endIndex + 1;
+      continue;
+    }
+
+    if (char === ';') {
+      const newline = text.indexOf('\n', i + 1);
+      const endIndex = newline === -1 ? text.length : newline;
+      tokens.push({ type: 'comment', value: text.slice(i + 1, endIndex), start });
+      i = endIndex;
+      continue;
+    }
+
+    if (char === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          i++;
+        }
+        value += text[i];
+        i++;
+      }
+      tokens.push({ type: 'string', value, start });
+      i++;
+      continue;
+    }
+
+    if (char === '$') {
+      let digits = '';
+      i++;
+      while (i < text.length && /[0-9]/.test(text[i])) {
+        digits += text[i];
+        i++;
+      }
+      if (digits) tokens.push({ type: 'nag', value: parseInt(digits), start });
+      continue;
+    }
+
+    if (char === '!' || char === '?') {
+      let value = '';
+      while (i < text.length && (text[i] === '!' || text[i] === '?') && value.length < 2) {
+        value += text[i];
+        i++;
+      }
+      if (SUFFIX_ANNOTATION_NAGS[value]) {
+        tokens.push({ type: 'nag', value: SUFFIX_ANNOTATION_NAGS[value], start });
+      }
+      continue;
+    }
+
+    if ('[]()<>.*'.includes(char)) {
+      if (char === '*') {
+        tokens.push({ type: 'result', value: '*', start });
+      } else if (char !== '<' && char !== '>') { // "<" and ">" are reserved by the spec
+        tokens.push({ type: char, value: char, start });
+      }
+      i++;
+      continue;
+    }
+
+    if (isSymbolStart(char)) {
+      let value = '';
+      while (i < text.length && isSymbolChar(text[i])) {
+        value += text[i];
+        i++;
+      }
+
+      if (RESULT_TOKENS.has(value)) {
+        tokens.push({ type: 'result', value, start });
+      } else if (/^[0-9]+$/.test(value)) {
+        tokens.push({ type: 'moveNumber', value: parseInt(value), start });
+      } else {
+        tokens.push({ type: 'symbol', value, start });
+      }
+      continue;
+    }
+
+    // Anything else is not valid PGN; skip it rather than failing the whole game
+    i++;
+  }
+
+  return tokens;
+}
+
+// Pull [%cmd args] annotations (e.g. [%clk 0:03:00.5], [%eval 0.17]) out of a comment
+export function parseCommentCommands(comment) {
+  const commands = {};
+  const text = comment.replace(/\[%(\w+)\s+([^\]]*)\]/g, (match, name, args) => {
+    commands[name] = args.trim();
+    return '';
+  }).replace(/\s+/g, ' ').trim();
+
+  return { text, commands };
+}
+
+// Castling written with zeros is common in hand-written PGNs
+const normalizeSan = (san) => san.replace(/^0-0-0/, 'O-O-O').replace(/^0-0/, 'O-O');
+
+// Parse a move sequence until ")" (inside a variation), a result, a new tag section or the end
+const parseMovetext = (tokens, state, depth) => {
+  const moves = [];
+  let pendingComments = [];
+  let pendingCommands = {};
+
+  const attachComment = (comment) => {
+    const { text, commands } = parseCommentCommands(comment);
+    const lastMove = moves[moves.length - 1];
+
+    if (lastMove) {
+      if (text) lastMove.comments.push(text);
+      Object.assign(lastMove.commands, commands);
+    } else {
+      if (text) pendingComments.push(text);
+      Object.assign(pendingCommands, commands);
+    }
+  };
+
+  while (state.index < tokens.length) {
+    const token = tokens[state.index];
+
+    if (token.type === '[' && depth === 0) break; // Next game's tag section
+    if (token.type === ')') {
+      if (depth > 0) {
+        state.index++;
+        break;
+      }
+      state.index++; // Unbalanced ")" at top level, ignore it
+      continue;
+    }
+    if (token.type === 'result') {
+      if (depth === 0) {
+        state.result = token.value;
+        state.index++;
+        break;
+      }
+      state.index++;
+      continue;
+    }
+
+    state.index++;
+
+    switch (token.type) {
+      case 'comment':
+        attachComment(token.value);
+        break;
+      case 'nag':
+        if (moves.length > 0) moves[moves.length - 1].nags.push(token.value);
+        break;
+      case '(': {
+        const variation = parseMovetext(tokens, state, depth + 1);
+        if (moves.length > 0 && variation.length > 0) {
+          moves[moves.length - 1].variations.push(variation);
+        }
+        break;
+      }
+      case 'symbol':
+        moves.push({
+          san: normalizeSan(token.value),
+          comments: [],
+          commentsBefore: pendingComments,
+          nags: [],
+          commands: pendingCommands,
+          variations: []
+        });
+        pendingComments = [];
+        pendingCommands = {};
+        break;
+      default:
+        // Move numbers, periods and stray brackets carry no information we need
+        break;
+    }
+  }
+
+  // Comments after the last move of an empty line are kept on the game (or dropped in variations)
+  if (depth === 0 && moves.length === 0 && pendingComments.length > 0) {
+    state.comments.push(...pendingComments);
+  }
+
+  return moves;
+};
+
+// Parse every game in a PGN text.
+// Returns [{ headers, moves: [{ san, comments, commentsBefore, nags, commands, variations }], result, comments }]
+export function parsePgnGames(pgnText) {
+  const tokens = tokenizePgn(pgnText);
+  const games = [];
+  const state = { index: 0, result: null, comments: [] };
+
+  while (state.index < tokens.length) {
+    const headers = {};
+
+    // Tag pair section: [Name "value"]
+    while (state.index < tokens.length && tokens[state.index].type === '[') {
+      const name = tokens[state.index + 1];
+      const value = tokens[state.index + 2];
+      if (name?.type === 'symbol' && value?.type === 'string') {
+        headers[name.value] = value.value;
+        state.index += 3;
+      } else {
+        state.index++;
+      }
+      // Skip to the closing bracket
+      while (state.index < tokens.length && tokens[state.index].type !== ']' && tokens[state.index].type !== '[') {
+        state.index++;
+      }
+      if (tokens[state.index]?.type === ']') state.index++;
+    }
+
+    state.result = null;
+    state.comments = [];
+    const startIndex = state.index;
+    const moves = parseMovetext(tokens, state, 0);
+
+    if (Object.keys(headers).length === 0 && moves.length === 0 && !state.result) {
+      // Nothing usable (e.g. trailing garbage); make sure we always advance
+      if (state.index === startIndex) state.index++;
+      continue;
+    }
+
+    games.push({
+      headers,
+      moves,
+      result: state.result || headers.Result || '*',
+      comments: state.comments
+    });
+  }
+
+  return games;
+}
+
+// Parse a single PGN game (the first game if the text contains several)
+export function parsePgnGame(pgnString) {
+  const [game] = parsePgnGames(pgnString);
+  return game || { headers: {}, moves: [], result: '*', comments: [] };
+}
+
+// Mainline as plain SAN strings (check/mate markers removed) for the opening tree
+export function getMainlineSan(parsedGame) {
+  return parsedGame.moves.map(move => move.san.replace(/[+#]/g, ''));
+}
+
+// Convert a [%clk h:mm:ss(.f)] value to seconds
+export function parseClockTime(clock) {
+  if (!clock) return null;
+
+  const parts = clock.split(':').map(part => parseFloat(part));
+  if (parts.some(part => isNaN(part))) return null;
+
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// Remaining clock (seconds) after each mainline ply, null where the PGN has no [%clk]
+export function getMainlineClocks(parsedGame) {
+  const clocks = parsedGame.moves.map(move => parseClockTime(move.commands.clk));
+  return clocks.some(clock => clock !== null) ? clocks : null;
+}
+
 export function parsePgn(pgnString) {
   if (!pgnString) return [];
 
   try {
-    // Isolate the moves section of the PGN by removing headers
-    const movesString = (pgnString.split(/\[.*\]\s*\n/).pop() || '').trim();
-    
-    // Remove comments and variations
-    let cleanMoves = movesString.replace(/\{[^}]*\}/g, '');
-    cleanMoves = cleanMoves.replace(/\([^)]*\)/g, '');
-    
-    // Remove result indicators like 1-0, 0-1, etc.
-    cleanMoves = cleanMoves.replace(/(1-0|0-1|1\/2-1\/2|\*)\s*$/, '');
-    
-    // Remove move numbers (e.g., 1., 2., 1... )
-    cleanMoves = cleanMoves.replace(/\d+\.{1,3}/g, '');
-    
-    // Remove annotations (!, ?, +, #) from the moves
-    cleanMoves = cleanMoves.replace(/[+#!?]/g, '');
-
-    // Split into moves and filter out any empty strings that might result from the cleaning
-    const moves = cleanMoves.trim().split(/\s+/).filter(Boolean);
-    
-    // Return moves for the opening tree (no artificial limits)
-    return moves;
+    return getMainlineSan(parsePgnGame(pgnString));
   } catch (error) {
     console.error("Error parsing PGN:", error);
     return [];
   }
 }
 
-// OPTIMIZED: Extract moves directly from PGN without storing the full PGN
+// Extract the mainline moves from a PGN (variations and annotations are ignored)
 export function extractMovesFromPgn(pgnString) {
   if (!pgnString) return [];
   
   try {
-    // Find the moves section after headers
-    const lines = pgnString.split('\n');
-    let moveSection = '';
-    let foundMoves = false;
-    
-    for (const line of lines) {
-      if (line.trim().startsWith('[')) continue; // Skip headers
-      if (line.trim() === '') continue; // Skip empty lines
-      foundMoves = true;
-      moveSection += line + ' ';
-    }
-    
-    if (!foundMoves) return [];
-    
-    // Clean the moves section
-    let cleanMoves = moveSection
-      .replace(/\{[^}]*\}/g, '') // Remove comments
-      .replace(/\([^)]*\)/g, '') // Remove variations
-      .replace(/(1-0|0-1|1\/2-1\/2|\*)\s*$/, '') // Remove result
-      .replace(/\d+\.{1,3}/g, '') // Remove move numbers
-      .replace(/[+#!?]/g, '') // Remove annotations
-      .trim();
-    
-    return cleanMoves.split(/\s+/).filter(Boolean);
+    return getMainlineSan(parsePgnGame(pgnString));
   } catch (error) {
     console.error("Error extracting moves from PGN:", error);
     return [];
   }
 }
 
+// Piece placement of the standard starting position
+const STANDARD_BOARD = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR';
+
+// Starting FEN of a game from its SetUp/FEN headers (null for the standard position)
+export function getPgnStartFen(headers = {}) {
+  if (!headers.FEN || headers.SetUp === '0') return null;
+  return headers.FEN;
+}
+
+// Normalize a platform's rules/Variant value and the game's start position to the variants
+// the opening graph supports: 'standard', 'chess960' or 'fromPosition'. Returns null for
+// variants whose moves can't be replayed with standard rules (crazyhouse, atomic, ...).
+export function normalizeVariant(rules, startFen = null) {
+  const name = (rules || 'standard').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const isStandardStart = !startFen || startFen.split(' ')[0] === STANDARD_BOARD;
+
+  if (name === 'chess960') return 'chess960';
+  if (name === 'fromposition') return 'fromPosition';
+  if (name === 'chess' || name === 'standard') return isStandardStart ? 'standard' : 'fromPosition';
+  return null;
+}
+
+// Normalized ways a game can end. Every source maps its own codes onto these.
+export const TERMINATION_LABELS = {
+  checkmate: 'Checkmate',
+  resignation: 'Resignation',
+  timeout: 'Timeout',
+  abandonment: 'Abandonment',
+  agreement: 'Agreement',
+  repetition: 'Repetition',
+  stalemate: 'Stalemate',
+  fifty_move: '50-Move Rule',
+  insufficient_material: 'Insufficient Material',
+  other: 'Other'
+};
+
+// Chess.com per-player result codes: https://www.chess.com/news/view/published-data-api
+const CHESS_COM_LOSS_CODES = {
+  checkmated: 'checkmate',
+  resigned: 'resignation',
+  timeout: 'timeout',
+  abandoned: 'abandonment',
+  lose: 'other',
+  kingofthehill: 'other',
+  threecheck: 'other',
+  bughousepartnerlose: 'other'
+};
+
+const CHESS_COM_DRAW_CODES = {
+  agreed: 'agreement',
+  repetition: 'repetition',
+  stalemate: 'stalemate',
+  insufficient: 'insufficient_material',
+  '50move': 'fifty_move',
+  timevsinsufficient: 'insufficient_material'
+};
+
+// Score a Chess.com game from the player's side and find how it ended.
+// Unrecognized codes are scored as a draw and returned as unknownResult for the import report.
+export function normalizeChessComResult(whiteResult, blackResult, playerColor) {
+  const playerResult = playerColor === 'white' ? whiteResult : blackResult;
+  const opponentResult = playerColor === 'white' ? blackResult : whiteResult;
+
+  if (playerResult === 'win') {
+    return { result: 'win', termination: CHESS_COM_LOSS_CODES[opponentResult] || 'other' };
+  }
+  if (CHESS_COM_LOSS_CODES[playerResult]) {
+    return { result: 'lose', termination: CHESS_COM_LOSS_CODES[playerResult] };
+  }
+  if (CHESS_COM_DRAW_CODES[playerResult]) {
+    return { result: 'draw', termination: CHESS_COM_DRAW_CODES[playerResult] };
+  }
+
+  console.warn(`⚠️ Unknown Chess.com result codes: white="${whiteResult}", black="${blackResult}"`);
+  return { result: 'draw', termination: 'other', unknownResult: `${whiteResult}/${blackResult}` };
+}
+
+// Lichess game statuses that end a game without a result code of their own
+const LICHESS_OTHER_STATUSES = ['cheat', 'variantEnd', 'unknownFinish'];
+
+// Score a Lichess game (API status + winner) from the player's side.
+// Unrecognized statuses are returned as unknownResult for the import report.
+export function normalizeLichessResult(status, winner, playerColor) {
+  let result = 'draw';
+  if (winner) result = winner === playerColor ? 'win' : 'lose';
+
+  switch (status) {
+    case 'mate':
+      return { result, termination: 'checkmate' };
+    case 'resign':
+      return { result, termination: 'resignation' };
+    case 'outoftime':
+      // Flagging against a lone king is a draw
+      return { result, termination: winner ? 'timeout' : 'insufficient_material' };
+    case 'timeout': // Opponent left the game and the win was claimed
+    case 'noStart':
+      return { result, termination: 'abandonment' };
+    case 'stalemate':
+      return { result, termination: 'stalemate' };
+    case 'draw':
+      return { result, termination: 'agreement' };
+    default:
+      if (LICHESS_OTHER_STATUSES.includes(status)) {
+        return { result, termination: 'other' };
+      }
+      return { result, termination: 'other', unknownResult: status || 'missing' };
+  }
+}
+
+// Find the termination from PGN headers ("Termination", Chess.com's descriptive text)
+// and, for "Normal" endings, from the final move and result.
+export function getPgnTermination(headers, lastSan, gameResult) {
+  const text = (headers.Termination || '').toLowerCase();
+  const isDraw = gameResult === '1/2-1/2';
+
+  if (text.includes('checkmate')) return 'checkmate';
+  if (text.includes('resign')) return 'resignation';
+  if (text.includes('abandon')) return 'abandonment';
+  if (text.includes('insufficient')) return 'insufficient_material';
+  if (text.includes('time') || text.includes('forfeit')) return 'timeout';
+  if (text.includes('repetition')) return 'repetition';
+  if (text.includes('stalemate')) return 'stalemate';
+  if (text.includes('50') || text.includes('fifty')) return 'fifty_move';
+  if (text.includes('agreement')) return 'agreement';
+
+  if (!text || text === 'normal') {
+    if (lastSan && lastSan.includes('#')) return 'checkmate';
+    if (gameResult === '1-0' || gameResult === '0-1') return 'resignation';
+    if (isDraw) return 'agreement';
+  }
+
+  return 'other';
+}
+
 export function extractGameData(chessComGame, username) {
   try {
     // Extract game ID from URL
     const gameId = chessComGame.url ? chessComGame.url.split('/').pop() : `${Date.now()}_${Math.random()}`;
     
     // OPTIMIZED: Extract moves directly without storing full PGN
-    const moves = extractMovesFromPgn(chessComGame.pgn);
+    const parsedGame = parsePgnGame(chessComGame.pgn);
+    const moves = getMainlineSan(parsedGame);
     
     // Determine player color and result
     const isWhite = chessComGame.white?.username?.toLowerCase() === username.toLowerCase();
     const playerColor = isWhite ? "white" : "black";
     
-    let result = "draw";
-    if (chessComGame.white?.result === "win" && isWhite) result = "win";
-    else if (chessComGame.black?.result === "win" && !isWhite) result = "win";
-    else if ((chessComGame.white?.result === "checkmated" || chessComGame.white?.result === "resigned" || chessComGame.white?.result === "timeout") && isWhite) result = "lose";
-    else if ((chessComGame.black?.result === "checkmated" || chessComGame.black?.result === "resigned" || chessComGame.black?.result === "timeout") && !isWhite) result = "lose";
+    const { result, termination, unknownResult } = normalizeChessComResult(chessComGame.white?.result, chessComGame.black?.result, playerColor);
+    const startFen = chessComGame.initial_setup || getPgnStartFen(parsedGame.headers);
+    const variant = normalizeVariant(chessComGame.rules, startFen);
 
     // OPTIMIZED: Store only essential data, skip storing full PGN
     return {
@@ -93,13 +486,19 @@ export function extractGameData(chessComGame, username) {
       rated: chessComGame.rated,
       time_class: chessComGame.time_class,
       rules: chessComGame.rules || "chess",
+      variant,
+      start_fen: variant === 'standard' ? null : startFen, // Chess960/"from position" start
       white_rating: chessComGame.white?.rating,
       black_rating: chessComGame.black?.rating,
       white_username: chessComGame.white?.username,
       black_username: chessComGame.black?.username,
       moves, // Just the moves array (most compact format)
+      mainline: parsedGame.moves, // Parsed moves with comments, NAGs and [%clk]/[%eval] commands
+      clocks: getMainlineClocks(parsedGame), // Remaining seconds after each ply
       player_color: playerColor,
-      result
+      result,
+      termination,
+      unknown_result: unknownResult || null // Result code the importer didn't recognize
     };
   } catch (error) {
     console.error("Error extracting game data:", error);
@@ -113,22 +512,16 @@ export function extractGameDataGeneric(gameData, username, platform = 'chess.com
     let moves = [];
     let gameId, url, timeControl, endTime, rated, timeClass, rules;
     let whiteRating, blackRating, whiteUsername, blackUsername;
+    let whiteTitle = null, blackTitle = null;
+    let clocks = null;
+    let startFen = null;
     
-    if (platform === 'lichess' && gameData.pgn) {
-      // Parse Lichess PGN headers
-      const pgnString = gameData.pgn;
-      moves = extractMovesFromPgn(pgnString);
-      
-      // Extract data from PGN headers
-      const headers = {};
-      const headerLines = pgnString.split('\n').filter(line => line.trim().startsWith('['));
-      
-      for (const line of headerLines) {
-        const match = line.match(/\[(\w+)\s+"([^"]+)"\]/);
-        if (match) {
-          headers[match[1]] = match[2];
-        }
-      }
+    // Parse the PGN once; headers, mainline and annotations all come from the same result
+    const parsedGame = gameData.pgn ? parsePgnGame(gameData.pgn) : null;
+    
+    if (platform === 'lichess' && parsedGame) {
+      moves = getMainlineSan(parsedGame);
+      const headers = parsedGame.headers;
       
       // Map Lichess PGN headers to our format
       gameId = headers.Site ? headers.Site.split('/').pop() : `${Date.now()}_${Math.random()}`;
@@ -152,10 +545,13 @@ export function extractGameDataGeneric(gameData, username, platform = 'chess.com
       }
       
       rules = headers.Variant || "standard";
+      startFen = getPgnStartFen(headers);
       whiteRating = headers.WhiteElo ? parseInt(headers.WhiteElo) : null;
       blackRating = headers.BlackElo ? parseInt(headers.BlackElo) : null;
       whiteUsername = headers.White;
       blackUsername = headers.Black;
+      whiteTitle = headers.WhiteTitle || null;
+      blackTitle = headers.BlackTitle || null;
     } else if (platform === 'lichess') {
       // Lichess structured format (fallback)
       gameId = gameData.id;
@@ -165,14 +561,22 @@ export function extractGameDataGeneric(gameData, username, platform = 'chess.com
       rated = gameData.rated !== false;
       timeClass = gameData.speed; // bullet, blitz, rapid, classical, correspondence
       rules = gameData.variant || "standard";
+      startFen = gameData.initialFen || null;
       whiteRating = gameData.players?.white?.rating;
       blackRating = gameData.players?.black?.rating;
       whiteUsername = gameData.players?.white?.user?.name || gameData.players?.white?.userId;
       blackUsername = gameData.players?.black?.user?.name || gameData.players?.black?.userId;
+      whiteTitle = gameData.players?.white?.user?.title || null;
+      blackTitle = gameData.players?.black?.user?.title || null;
+      
+      // Lichess returns clocks in centiseconds when requested with clocks=true
+      if (gameData.clocks) {
+        clocks = gameData.clocks.map(clock => clock / 100);
+      }
       
       // Extract moves
-      if (gameData.pgn) {
-        moves = extractMovesFromPgn(gameData.pgn);
+      if (parsedGame) {
+        moves = getMainlineSan(parsedGame);
       } else if (gameData.moves) {
         moves = gameData.moves;
       }
@@ -185,14 +589,15 @@ export function extractGameDataGeneric(gameData, username, platform = 'chess.com
       rated = gameData.rated;
       timeClass = gameData.time_class || gameData.timeClass;
       rules = gameData.rules || "chess";
+      startFen = gameData.initial_setup || (parsedGame ? getPgnStartFen(parsedGame.headers) : null);
       whiteRating = gameData.white?.rating;
       blackRating = gameData.black?.rating;
       whiteUsername = gameData.white?.username;
       blackUsername = gameData.black?.username;
       
       // Extract moves
-      if (gameData.pgn) {
-        moves = extractMovesFromPgn(gameData.pgn);
+      if (parsedGame) {
+        moves = getMainlineSan(parsedGame);
       } else if (gameData.moves) {
         moves = gameData.moves;
       }
@@ -203,38 +608,29 @@ export function extractGameDataGeneric(gameData, username, platform = 'chess.com
     const playerColor = isWhite ? "white" : "black";
     
     let result = "draw";
-    if (platform === 'lichess' && gameData.pgn) {
-      // Parse result from PGN headers
-      const headers = {};
-      const headerLines = gameData.pgn.split('\n').filter(line => line.trim().startsWith('['));
-      
-      for (const line of headerLines) {
-        const match = line.match(/\[(\w+)\s+"([^"]+)"\]/);
-        if (match) {
-          headers[match[1]] = match[2];
-        }
-      }
-      
-      const gameResult = headers.Result;
+    let termination = 'other';
+    let unknownResult = null;
+    if (platform === 'lichess' && parsedGame) {
+      // Parse result from PGN headers (falling back to the movetext result)
+      const gameResult = parsedGame.headers.Result || parsedGame.result;
       if (gameResult === '1-0' && isWhite) result = "win";
       else if (gameResult === '0-1' && !isWhite) result = "win";
       else if (gameResult === '1-0' && !isWhite) result = "lose";
       else if (gameResult === '0-1' && isWhite) result = "lose";
       else if (gameResult === '1/2-1/2' || gameResult === '*') result = "draw";
+      if (!['1-0', '0-1', '1/2-1/2'].includes(gameResult)) unknownResult = gameResult || 'missing';
+      
+      const lastMove = parsedGame.moves[parsedGame.moves.length - 1];
+      termination = getPgnTermination(parsedGame.headers, lastMove?.san, gameResult);
     } else if (platform === 'lichess') {
       // Lichess structured format (fallback)
-      if (gameData.winner === 'white' && isWhite) result = "win";
-      else if (gameData.winner === 'black' && !isWhite) result = "win";
-      else if (gameData.winner === 'white' && !isWhite) result = "lose";
-      else if (gameData.winner === 'black' && isWhite) result = "lose";
-      else if (gameData.status === 'draw') result = "draw";
+      ({ result, termination, unknownResult = null } = normalizeLichessResult(gameData.status, gameData.winner, playerColor));
     } else {
       // Chess.com result format
-      if (gameData.white?.result === "win" && isWhite) result = "win";
-      else if (gameData.black?.result === "win" && !isWhite) result = "win";
-      else if ((gameData.white?.result === "checkmated" || gameData.white?.result === "resigned" || gameData.white?.result === "timeout") && isWhite) result = "lose";
-      else if ((gameData.black?.result === "checkmated" || gameData.black?.result === "resigned" || gameData.black?.result === "timeout") && !isWhite) result = "lose";
+      ({ result, termination, unknownResult = null } = normalizeChessComResult(gameData.white?.result, gameData.black?.result, playerColor));
     }
+    
+    const variant = normalizeVariant(rules, startFen);
 
     return {
       username,
@@ -245,13 +641,21 @@ export function extractGameDataGeneric(gameData, username, platform = 'chess.com
       rated,
       time_class: timeClass,
       rules,
+      variant,
+      start_fen: variant === 'standard' ? null : startFen, // Chess960/"from position" start
       white_rating: whiteRating,
       black_rating: blackRating,
       white_username: whiteUsername,
       black_username: blackUsername,
+      white_title: whiteTitle, // "BOT" for Lichess bot accounts
+      black_title: blackTitle,
       moves,
+      mainline: parsedGame ? parsedGame.moves : null, // Parsed moves with comments, NAGs and commands
+      clocks: clocks || (parsedGame ? getMainlineClocks(parsedGame) : null), // Remaining seconds after each ply
       player_color: playerColor,
       result,
+      termination,
+      unknown_result: unknownResult, // Result code the importer didn't recognize
       platform
     };
   } catch (error) {
@@ -259,3 +663,112 @@ export function extractGameDataGeneric(gameData, username, platform = 'chess.com
     return null;
   }
 }
+
+// Small deterministic hash so re-importing the same file yields the same game IDs
+const hashString = (value) => {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// Normalize a player name for comparison ("Carlsen, Magnus" and "carlsen,magnus" match)
+const normalizePlayerName = (name) => {
+  return (name || '').toLowerCase().replace(/\s*,\s*/g, ',').replace(/\s+/g, ' ').trim();
+};
+
+// Determine time class from a PGN TimeControl header ("300+3", "40/7200:3600", "-")
+const getTimeClassFromTimeControl = (timeControl) => {
+  if (!timeControl || timeControl === '?') return 'unknown';
+  if (timeControl === '-') return 'correspondence';
+
+  // Use the first period only; "moves/seconds" periods count as classical time
+  const firstPeriod = timeControl.split(':')[0];
+  const baseSeconds = parseInt(firstPeriod.includes('/') ? firstPeriod.split('/')[1] : firstPeriod.split('+')[0]);
+  if (isNaN(baseSeconds)) return 'unknown';
+
+  const totalMinutes = baseSeconds / 60;
+  if (totalMinutes < 3) return 'bullet';
+  if (totalMinutes <= 10) return 'blitz';
+  if (totalMinutes <= 30) return 'rapid';
+  return 'classical';
+};
+
+// Convert PGN Date/UTCDate + UTCTime headers to a Unix timestamp in seconds (like Chess.com)
+const getPgnEndTime = (headers) => {
+  const dateHeader = headers.UTCDate || headers.Date;
+  if (!dateHeader) return null;
+
+  const [year, month, day] = dateHeader.split('.').map(part => parseInt(part));
+  if (isNaN(year)) return null;
+
+  const [hours, minutes, seconds] = (headers.UTCTime || '00:00:00').split(':').map(part => parseInt(part) || 0);
+  const timestamp = Date.UTC(year, isNaN(month) ? 0 : month - 1, isNaN(day) ? 1 : day, hours, minutes, seconds);
+
+  return Math.floor(timestamp / 1000);
+};
+
+// Extract game data from a single PGN game (text or a parsePgnGames() result) for one of
+// the given player names/aliases. Returns null when none of the names played in the game
+// or the game has no result.
+export function extractGameDataFromPgn(pgnGame, playerNames = []) {
+  try {
+    const parsedGame = typeof pgnGame === 'string' ? parsePgnGame(pgnGame) : pgnGame;
+    const headers = parsedGame.headers;
+    const names = playerNames.map(normalizePlayerName).filter(Boolean);
+
+    const whiteName = normalizePlayerName(headers.White);
+    const blackName = normalizePlayerName(headers.Black);
+
+    let playerColor = null;
+    if (names.includes(whiteName)) playerColor = 'white';
+    else if (names.includes(blackName)) playerColor = 'black';
+    if (!playerColor) return null;
+
+    let result = null;
+    const gameResult = headers.Result || parsedGame.result;
+    if (gameResult === '1/2-1/2') result = 'draw';
+    else if (gameResult === '1-0') result = playerColor === 'white' ? 'win' : 'lose';
+    else if (gameResult === '0-1') result = playerColor === 'black' ? 'win' : 'lose';
+    if (!result) return null; // Unfinished games ("*") carry no result to score
+    
+    const lastMove = parsedGame.moves[parsedGame.moves.length - 1];
+    const termination = getPgnTermination(headers, lastMove?.san, gameResult);
+
+    const moves = getMainlineSan(parsedGame);
+    const site = headers.Site || '';
+    const startFen = getPgnStartFen(headers);
+    const variant = normalizeVariant(headers.Variant, startFen);
+
+    return {
+      username: playerColor === 'white' ? headers.White : headers.Black,
+      game_id: `pgn_${hashString([headers.Event, headers.Site, headers.Date, headers.Round, headers.White, headers.Black, moves.join(' ')].join('|'))}`,
+      url: /^https?:\/\//.test(site) ? site : null,
+      time_control: headers.TimeControl || null,
+      end_time: getPgnEndTime(headers),
+      rated: headers.Rated ? headers.Rated.toLowerCase() === 'true' : false,
+      time_class: getTimeClassFromTimeControl(headers.TimeControl),
+      rules: headers.Variant || 'chess',
+      variant,
+      start_fen: variant === 'standard' ? null : startFen, // Chess960/"from position" start
+      white_rating: headers.WhiteElo ? parseInt(headers.WhiteElo) || null : null,
+      black_rating: headers.BlackElo ? parseInt(headers.BlackElo) || null : null,
+      white_username: headers.White,
+      black_username: headers.Black,
+      white_title: headers.WhiteTitle || null,
+      black_title: headers.BlackTitle || null,
+      event: headers.Event || null,
+      moves,
+      mainline: parsedGame.moves,
+      clocks: getMainlineClocks(parsedGame),
+      player_color: playerColor,
+      result,
+      termination,
+      platform: 'pgn'
+    };
+  } catch (error) {
+    console.error("Error extracting PGN game data:", error);
+    return null;
+  }
+}
@@ -0,0 +1,246 @@
+import { useState } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { ClipboardList, ExternalLink } from 'lucide-react';
+import { REPORT_DETAIL_LIMIT, SKIP_REASON_LABELS, getReportTotals } from '@/api/importReport';
+
+const REPORT_TYPE_LABELS = {
+  import: 'Last Import',
+  pgn: 'Last Import',
+  sync: 'Last Sync'
+};
+
+const STATUS_STYLES = {
+  running: 'bg-blue-600/20 text-blue-300 border-blue-500/30',
+  complete: 'bg-green-600/20 text-green-300 border-green-500/30',
+  failed: 'bg-red-600/20 text-red-300 border-red-500/30',
+  cancelled: 'bg-slate-600/40 text-slate-300 border-slate-500/30'
+};
+
+// Helper function to format a report timestamp (ISO string)
+const formatReportTime = (isoString) => {
+  if (!isoString) return 'Unknown';
+  return new Date(isoString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Helper function to show a source tag ("platform:username") as "username (platform)"
+const formatSource = (source) => {
+  if (!source || !source.includes(':')) return source || 'Unknown source';
+  const [platform, ...username] = source.split(':');
+  return `${username.join(':')} (${platform})`;
+};
+
+// Helper function to link a game at the ply where its moves stopped
+const buildPlyUrl = (url, ply) => {
+  if (!url) return null;
+  if (url.includes('lichess.org')) return `${url.split('#')[0]}#${ply}`;
+  return `${url}${url.includes('?') ? '&' : '?'}move=${ply}`;
+};
+
+const ReportSection = ({ title, count, children }) => (
+  <div className="space-y-2">
+    <h3 className="text-slate-200 font-medium text-sm">
+      {title} <span className="text-slate-400">({count})</span>
+    </h3>
+    {count > REPORT_DETAIL_LIMIT && (
+      <p className="text-slate-500 text-xs">Showing the first {REPORT_DETAIL_LIMIT}</p>
+    )}
+    <div className="max-h-48 overflow-y-auto space-y-1">
+      {children}
+    </div>
+  </div>
+);
+
+const GameLink = ({ url, label }) => url ? (
+  <a href={url} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:text-blue-300 inline-flex items-center gap-1">
+    {label}
+    <ExternalLink className="w-3 h-3" />
+  </a>
+) : (
+  <span className="text-slate-300">{label}</span>
+);
+
+export default function ImportReportDialog({
+  reports, // { import, sync } as kept by AuthContext
+  children // The trigger button will be passed as children
+}) {
+  const availableTypes = ['import', 'sync'].filter(type => reports?.[type]);
+  const [selectedType, setSelectedType] = useState(null);
+  const activeType = availableTypes.includes(selectedType) ? selectedType : availableTypes[0];
+  const report = activeType ? reports[activeType] : null;
+
+  const totals = getReportTotals(report);
+  const sources = Object.entries(report?.sources || {});
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        {children}
+      </DialogTrigger>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto bg-slate-800 border-slate-700 text-white">
+        <DialogHeader>
+          <DialogTitle className="text-slate-200 flex items-center gap-2">
+            <ClipboardList className="w-5 h-5" />
+            Import Report
+          </DialogTitle>
+        </DialogHeader>
+
+        {!report ? (
+          <p className="text-slate-400 text-sm">No import has been recorded yet.</p>
+        ) : (
+          <div className="space-y-6">
+            {/* Report selector and status */}
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div className="flex gap-2">
+                {availableTypes.map(type => (
+                  <Button
+                    key={type}
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setSelectedType(type)}
+                    className={type === activeType
+                      ? 'border-blue-500 bg-blue-600/20 text-blue-200 hover:bg-blue-600/30'
+                      : 'border-slate-600 text-slate-300 hover:bg-slate-700'}
+                  >
+                    {REPORT_TYPE_LABELS[reports[type].type] || REPORT_TYPE_LABELS[type]}
+                  </Button>
+                ))}
+              </div>
+              <div className="flex items-center gap-2 text-xs text-slate-400">
+                <span>{formatReportTime(report.finishedAt || report.startedAt)}</span>
+                <Badge variant="outline" className={STATUS_STYLES[report.status] || STATUS_STYLES.cancelled}>
+                  {report.status}
+                </Badge>
+              </div>
+            </div>
+
+            {report.error && (
+              <p className="text-red-300 text-sm bg-red-900/20 border border-red-500/30 rounded-lg p-3">{report.error}</p>
+            )}
+
+            {/* Totals */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="text-center p-3 bg-slate-700/30 rounded-lg">
+                <div className="text-2xl font-bold text-white">{totals.fetched}</div>
+                <div className="text-xs text-slate-400">Fetched</div>
+              </div>
+              <div className="text-center p-3 bg-slate-700/30 rounded-lg">
+                <div className="text-2xl font-bold text-green-400">{totals.imported}</div>
+                <div className="text-xs text-slate-400">Imported</div>
+              </div>
+              <div className="text-center p-3 bg-slate-700/30 rounded-lg">
+                <div className="text-2xl font-bold text-slate-300">{totals.skipped}</div>
+                <div className="text-xs text-slate-400">Skipped</div>
+              </div>
+              <div className="text-center p-3 bg-slate-700/30 rounded-lg">
+                <div className="text-2xl font-bold text-orange-400">{report.failedArchives.length}</div>
+                <div className="text-xs text-slate-400">Failed Archives</div>
+              </div>
+            </div>
+
+            {report.resumedGames > 0 && (
+              <p className="text-slate-400 text-xs">
+                Resumed from a checkpoint; {report.resumedGames} games imported before the interruption are not counted above.
+              </p>
+            )}
+
+            {/* Per-source counts */}
+            {sources.map(([source, stats]) => (
+              <div key={source} className="bg-slate-700/30 rounded-lg p-4 space-y-2">
+                <div className="flex items-center justify-between">
+                  <span className="text-slate-200 font-medium text-sm">{formatSource(source)}</span>
+                  <span className="text-slate-400 text-xs">
+                    {stats.imported} of {stats.fetched} games imported
+                  </span>
+                </div>
+                {Object.entries(stats.skipped).map(([reason, count]) => (
+                  <div key={reason} className="flex justify-between text-xs">
+                    <span className="text-slate-400">{SKIP_REASON_LABELS[reason] || reason}</span>
+                    <span className="text-slate-300">{count}</span>
+                  </div>
+                ))}
+                {stats.illegalMoves > 0 && (
+                  <div className="flex justify-between text-xs">
+                    <span className="text-slate-400">Cut short by an illegal move</span>
+                    <span className="text-slate-300">{stats.illegalMoves}</span>
+                  </div>
+                )}
+                {stats.unknownResults > 0 && (
+                  <div className="flex justify-between text-xs">
+                    <span className="text-slate-400">Unknown result codes (scored as draws)</span>
+                    <span className="text-slate-300">{stats.unknownResults}</span>
+                  </div>
+                )}
+              </div>
+            ))}
+
+            {report.failedArchives.length > 0 && (
+              <ReportSection title="Failed Archives" count={report.failedArchives.length}>
+                {report.failedArchives.map(({ source, url, error }) => (
+                  <div key={`${source}-${url}`} className="text-xs">
+                    <GameLink url={url} label={url} />
+                    {error && <span className="text-slate-500 ml-2">{error}</span>}
+                  </div>
+                ))}
+                <p className="text-slate-500 text-xs">These archives are downloaded again on the next sync.</p>
+              </ReportSection>
+            )}
+
+            {report.skippedFiles?.length > 0 && (
+              <ReportSection title="Skipped Files" count={report.skippedFiles.length}>
+                {report.skippedFiles.map(({ name, error }, index) => (
+                  <div key={`${name}-${index}`} className="text-xs">
+                    <span className="text-slate-300">{name}</span>
+                    {error && <span className="text-slate-500 ml-2">{error}</span>}
+                  </div>
+                ))}
+              </ReportSection>
+            )}
+
+            {report.illegalMoveGames.length > 0 && (
+              <ReportSection title="Games With Illegal Moves" count={totals.illegalMoves}>
+                {report.illegalMoveGames.map(({ source, gameId, url, ply, move }) => (
+                  <div key={`${source}-${gameId}`} className="text-xs">
+                    <GameLink url={buildPlyUrl(url, ply - 1)} label={gameId || 'Game'} />
+                    <span className="text-slate-400 ml-2">stopped at ply {ply} ({move})</span>
+                  </div>
+                ))}
+              </ReportSection>
+            )}
+
+            {report.unknownResults.length > 0 && (
+              <ReportSection title="Unknown Result Codes" count={totals.unknownResults}>
+                {report.unknownResults.map(({ source, gameId, url, code }) => (
+                  <div key={`${source}-${gameId}`} className="text-xs">
+                    <GameLink url={url} label={gameId || 'Game'} />
+                    <span className="text-slate-400 ml-2 font-mono">{code}</span>
+                  </div>
+                ))}
+              </ReportSection>
+            )}
+
+            {report.malformedGames.length > 0 && (
+              <ReportSection
+                title="Malformed Games"
+                count={sources.reduce((count, [, stats]) => count + (stats.skipped.malformed || 0), 0)}
+              >
+                {report.malformedGames.map(({ source, gameId, error }, index) => (
+                  <div key={`${source}-${gameId}-${index}`} className="text-xs">
+                    <span className="text-slate-300">{gameId || formatSource(source)}</span>
+                    {error && <span className="text-slate-500 ml-2">{error}</span>}
+                  </div>
+                ))}
+              </ReportSection>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
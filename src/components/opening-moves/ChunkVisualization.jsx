@@ -6,6 +6,7 @@ import { Badge } from '@/components/ui/badge';
 
 import { ArrowRight } from 'lucide-react';
 import { Chess } from 'chess.js';
+import { PERFORMANCE_METRICS, MOVE_SORT_KEYS, compareMoves, formatMetricValue } from '@/utils/performanceMetrics';
 
 // Global mouse position tracker
 let globalMouseX = 0;
@@ -35,6 +36,14 @@ const getSelectedColor = (winRate) => {
   return "bg-red-500/20 border-red-400";
 };
 
+// Format seconds as "45s" or "3:05"
+const formatSeconds = (seconds) => {
+  if (seconds === null || seconds === undefined) return null;
+  if (seconds < 60) return `${seconds.toFixed(seconds < 10 ? 1 : 0)}s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+};
+
 const getArrowColor = (winRate) => {
   if (winRate >= 70) return "#22c55e"; // green-500
   if (winRate >= 60) return "#3b82f6"; // blue-500
@@ -43,9 +52,13 @@ const getArrowColor = (winRate) => {
 };
 
 // Move button component
-const MoveButton = ({ moveData, onSelect, isSelected, onHover, onHoverEnd, isInLastCard }) => {
+const MoveButton = ({ moveData, onSelect, isSelected, onHover, onHoverEnd, isInLastCard, sortKey }) => {
   // Safely access winRate from details object with fallback
   const winRate = moveData.details?.winRate ?? moveData.winRate ?? 0;
+  // 95% interval of the win rate, drawn as an error bar
+  const winRateInterval = moveData.details?.winRateInterval;
+  // Metric the list is sorted by (shown with the move's stats)
+  const sortMetric = sortKey !== 'winRate' ? PERFORMANCE_METRICS[sortKey] : null;
   const buttonRef = useRef(null);
   const [isHovered, setIsHovered] = useState(false);
   
@@ -129,18 +142,47 @@ const MoveButton = ({ moveData, onSelect, isSelected, onHover, onHoverEnd, isInL
             ? `${moveData.openingInfo.eco} ${moveData.openingInfo.name}` 
             : (moveData.openingInfo?.name || 'Unknown Opening')}
         </p>
-        <div className="text-left text-xs text-slate-500">
-          {moveData.gameCount}g
+        <div className="flex items-center gap-2 text-left text-xs text-slate-500">
+          <span>{moveData.gameCount}g</span>
+          {sortMetric && (
+            <span className="text-slate-300" title={sortMetric.description}>
+              {sortMetric.shortLabel} {formatMetricValue(moveData.details || moveData, sortKey)}
+            </span>
+          )}
+          {moveData.timeStats?.averageThinkTime !== null && moveData.timeStats?.averageThinkTime !== undefined && (
+            <span title="Average think time for this move">⏱ {formatSeconds(moveData.timeStats.averageThinkTime)}</span>
+          )}
+          {moveData.timeStats?.averageTimeRemaining !== null && moveData.timeStats?.averageTimeRemaining !== undefined && (
+            <span title="Average clock remaining after this move">{formatSeconds(moveData.timeStats.averageTimeRemaining)} left</span>
+          )}
+          {moveData.timeStats?.timeTroubleLosses > 0 && (
+            <span className="text-red-400" title="Losses in time trouble after this move">{moveData.timeStats.timeTroubleLosses} TT</span>
+          )}
         </div>
+        {winRateInterval && (
+          <div
+            className="relative h-1.5 mt-2 rounded-full bg-slate-600/50"
+            title={`Win rate ${winRate.toFixed(0)}% (95% interval ${winRateInterval.low.toFixed(0)}–${winRateInterval.high.toFixed(0)}%)`}
+          >
+            <div
+              className="absolute inset-y-0 rounded-full bg-slate-300/40"
+              style={{ left: `${winRateInterval.low}%`, width: `${winRateInterval.high - winRateInterval.low}%` }}
+            />
+            <div
+              className="absolute -inset-y-0.5 w-0.5 bg-white"
+              style={{ left: `calc(${winRate}% - 1px)` }}
+            />
+          </div>
+        )}
       </div>
     </button>
   );
 };
 
 // Chunk component for displaying moves at a specific depth with simple list layout
-const GraphChunk = ({ title, moves, onMoveSelect, selectedMove, depth, onMoveHover, onMoveHoverEnd, isLastCard }) => {
-  // Sort moves by game count (descending) - most played moves first
-  const sortedMoves = [...moves].sort((a, b) => b.gameCount - a.gameCount);
+const GraphChunk = ({ title, moves, onMoveSelect, selectedMove, depth, onMoveHover, onMoveHoverEnd, isLastCard, sortKey = 'gameCount', onSortKeyChange }) => {
+  // Sort moves by game count (descending) - most played moves first - or best first by the chosen metric
+  const sortedMoves = [...moves].sort(compareMoves(sortKey));
 
   return (
     <div 
@@ -154,6 +196,21 @@ const GraphChunk = ({ title, moves, onMoveSelect, selectedMove, depth, onMoveHov
             {sortedMoves.length} moves
           </Badge>
         </div>
+        {onSortKeyChange && (
+          <div className="flex items-center gap-2 mt-2">
+            <label className="text-slate-400 text-xs">Sort by</label>
+            <select
+              value={sortKey}
+              onChange={(e) => onSortKeyChange(e.target.value)}
+              className="flex-1 px-2 py-0.5 rounded text-xs bg-slate-700 border-slate-600 text-slate-200"
+              title={PERFORMANCE_METRICS[sortKey]?.description}
+            >
+              {MOVE_SORT_KEYS.map(({ id, label }) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
       {/* Content with scrollable move list */}
       <div 
@@ -173,6 +230,7 @@ const GraphChunk = ({ title, moves, onMoveSelect, selectedMove, depth, onMoveHov
                 onHover={() => onMoveHover && onMoveHover(moveData)}
                 onHoverEnd={() => onMoveHoverEnd && onMoveHoverEnd()}
                 isInLastCard={isLastCard}
+                sortKey={sortKey}
               />
             ))}
           </div>
@@ -194,12 +252,14 @@ export default function ChunkVisualization({
   // NEW: Filtering parameters to sync with performance graph
   maxDepth = 20,
   minGameCount = 20,
-  winRateFilter = [0, 100]
+  winRateFilter = [0, 100],
+  gameFilter = null // View filter (see Graph.gameMatchesFilter; null = all games, transpositions merged)
 }) {
   const [path, setPath] = useState(initialPath); // Array of selected moves (SAN notation)
   const [displayPath, setDisplayPath] = useState(initialPath); // Delayed path for display
   const [chessboardPath, setChessboardPath] = useState(initialPath); // Path for chessboard (delayed during back navigation)
   const [hoveredMove, setHoveredMove] = useState(null); // Track hovered move
+  const [sortKey, setSortKey] = useState('gameCount'); // Move list order (see utils/performanceMetrics)
   const containerRef = useRef(null);
   const scrollContainerRef = useRef(null);
   
@@ -352,7 +412,7 @@ export default function ChunkVisualization({
     let allMoves = []; // Collect all moves to find global maximum
     
     // Get root moves (starting position)
-    const rootMoves = openingGraph.getRootMoves(isWhiteTree);
+    const rootMoves = openingGraph.getRootMoves(isWhiteTree, gameFilter);
     
     // Apply filtering to root moves
     const filteredRootMoves = applyMoveFiltering(rootMoves, 0);
@@ -371,7 +431,7 @@ export default function ChunkVisualization({
     let currentMoves = [];
     for (let i = 0; i < displayPath.length && i < maxDepth - 1; i++) {
       currentMoves = [...currentMoves, displayPath[i]];
-      const availableMoves = openingGraph.getMovesFromPosition(currentMoves, isWhiteTree);
+      const availableMoves = openingGraph.getMovesFromPosition(currentMoves, isWhiteTree, gameFilter);
       
       // Apply filtering to available moves
       const filteredMoves = applyMoveFiltering(availableMoves, i + 1);
@@ -405,7 +465,7 @@ export default function ChunkVisualization({
     const currentChunkIndex = Math.min(displayPath.length, result.length - 1);
     
     return { chunks: result, globalMaxGameCount, currentChunkIndex };
-  }, [openingGraph, isWhiteTree, displayPath, maxDepth, minGameCount, winRateFilter]);
+  }, [openingGraph, isWhiteTree, displayPath, maxDepth, minGameCount, winRateFilter, gameFilter]);
 
   const handleMoveSelect = (moveData, depth) => {
     // Create new path immediately with the selected move
@@ -498,6 +558,8 @@ export default function ChunkVisualization({
                 }}
                 onMoveHoverEnd={onMoveHoverEnd}
                 isLastCard={currentChunkIndex === chunks.length - 1}
+                sortKey={sortKey}
+                onSortKeyChange={setSortKey}
               />
             </motion.div>
           )}
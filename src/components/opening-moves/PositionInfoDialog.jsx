@@ -3,7 +3,8 @@ import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogTrigger, Dialog
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Card, CardContent } from '@/components/ui/card';
-import { Info, ExternalLink, Calendar, Clock, Trophy, Users, X } from 'lucide-react';
+import { Info, ExternalLink, Calendar, Clock, Trophy, Users, X, GitMerge } from 'lucide-react';
+import { TERMINATION_LABELS } from '@/components/chess/PgnParser';
 
 // Helper function to format date
 const formatDate = (timestamp) => {
@@ -40,6 +41,14 @@ const formatTimeControl = (timeControl) => {
   return `${formattedBaseTime} + ${increment}`;
 };
 
+// Helper function to format clock durations (seconds)
+const formatSeconds = (seconds) => {
+  if (seconds === null || seconds === undefined) return 'N/A';
+  if (seconds < 60) return `${seconds.toFixed(seconds < 10 ? 1 : 0)}s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+};
+
 // Helper function to get result color
 const getResultColor = (result) => {
   switch (result) {
@@ -83,14 +92,17 @@ export default function PositionInfoDialog({
   openingGraph, 
   currentMoves, 
   isWhite,
+  gameFilter = null, // Optional view filter (see Graph.gameMatchesFilter) applied to stats and the games list
   children // The trigger button will be passed as children
 }) {
   if (!openingGraph || !currentMoves) {
     return children;
   }
 
-  const positionDetails = openingGraph.getPositionDetails(currentMoves, isWhite);
-  const games = openingGraph.getGamesForPosition(currentMoves, isWhite);
+  const positionDetails = openingGraph.getPositionDetails(currentMoves, isWhite, gameFilter);
+  const games = openingGraph.getGamesForPosition(currentMoves, isWhite, gameFilter);
+  const moveOrders = openingGraph.getMoveOrders(currentMoves, isWhite, gameFilter);
+  const currentMoveOrder = currentMoves.join(' ');
   const moveNumber = currentMoves.length; // Current move number for URL
 
   if (!positionDetails) {
@@ -133,6 +145,47 @@ export default function PositionInfoDialog({
             </div>
           </div>
 
+          {/* Time Usage (only when the games carried clock data) */}
+          {(positionDetails.averageThinkTime !== null || positionDetails.averageTimeRemaining !== null) && (
+            <div className="grid grid-cols-3 gap-4">
+              <div className="text-center p-3 bg-slate-700/30 rounded-lg">
+                <div className="text-xl font-bold text-white">{formatSeconds(positionDetails.averageThinkTime)}</div>
+                <div className="text-xs text-slate-400">Avg Think Time</div>
+              </div>
+              <div className="text-center p-3 bg-slate-700/30 rounded-lg">
+                <div className="text-xl font-bold text-white">{formatSeconds(positionDetails.averageTimeRemaining)}</div>
+                <div className="text-xs text-slate-400">Avg Time Remaining</div>
+              </div>
+              <div className="text-center p-3 bg-slate-700/30 rounded-lg">
+                <div className="text-xl font-bold text-red-400">{positionDetails.timeTroubleLosses}</div>
+                <div className="text-xs text-slate-400">Time-Trouble Losses</div>
+              </div>
+            </div>
+          )}
+
+          {/* Termination Breakdown */}
+          {positionDetails.terminations && Object.keys(positionDetails.terminations).length > 0 && (
+            <Card className="bg-slate-700/20 border-slate-600">
+              <CardContent className="p-4">
+                <h4 className="text-white font-medium mb-3">How games ended</h4>
+                <div className="space-y-2">
+                  {Object.entries(positionDetails.terminations)
+                    .sort(([, a], [, b]) => (b.wins + b.losses + b.draws) - (a.wins + a.losses + a.draws))
+                    .map(([termination, counts]) => (
+                    <div key={termination} className="flex items-center justify-between text-sm">
+                      <span className="text-slate-300">{TERMINATION_LABELS[termination] || termination}</span>
+                      <div className="flex items-center gap-3 font-medium">
+                        <span className="text-green-400">{counts.wins}W</span>
+                        <span className="text-red-400">{counts.losses}L</span>
+                        <span className="text-slate-400">{counts.draws}D</span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
           {/* Opening Information */}
           {positionDetails.openingInfo && (
             <Card className="bg-slate-700/20 border-slate-600">
@@ -160,6 +213,36 @@ export default function PositionInfoDialog({
             {moveNumber > 0 && <span className="ml-2">({moveNumber} moves)</span>}
           </div>
 
+          {/* Move Orders (every sequence of moves that reached this position) */}
+          {moveOrders.length > 1 && (
+            <Card className="bg-slate-700/20 border-slate-600">
+              <CardContent className="p-4">
+                <h4 className="text-white font-medium mb-3 flex items-center gap-2">
+                  <GitMerge className="w-4 h-4" />
+                  Move orders ({moveOrders.length})
+                </h4>
+                <div className="space-y-2">
+                  {moveOrders.map(({ moves, gameCount }) => {
+                    const moveOrder = moves.join(' ');
+                    return (
+                      <div key={moveOrder} className="flex items-center justify-between text-sm">
+                        <span className={`font-mono ${moveOrder === currentMoveOrder ? 'text-blue-300' : 'text-slate-300'}`}>
+                          {moveOrder}
+                        </span>
+                        <span className="text-slate-400 ml-3 whitespace-nowrap">
+                          {gameCount} {gameCount === 1 ? 'game' : 'games'}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+                {gameFilter?.mergeTranspositions === false && (
+                  <p className="text-slate-500 text-xs mt-3">Stats above only count games that followed the current move order.</p>
+                )}
+              </CardContent>
+            </Card>
+          )}
+
           {/* Games List */}
           {games.length > 0 && (
             <div>
@@ -179,6 +262,11 @@ export default function PositionInfoDialog({
                             <Badge className={`${getResultColor(game.result)} bg-transparent border-current`}>
                               {getResultText(game.result)}
                             </Badge>
+                            {game.termination && (
+                              <span className="text-slate-400 text-sm">
+                                {TERMINATION_LABELS[game.termination] || game.termination}
+                              </span>
+                            )}
                             <div className="flex items-center text-slate-400 text-sm gap-2">
                               <Calendar className="w-3 h-3" />
                               {formatDate(game.end_time)}
@@ -189,6 +277,11 @@ export default function PositionInfoDialog({
                                 {formatTimeControl(game.time_control)}
                               </div>
                             )}
+                            {game.final_clock !== null && game.final_clock !== undefined && (
+                              <span className={`text-sm ${game.time_trouble ? 'text-red-400' : 'text-slate-400'}`}>
+                                {formatSeconds(game.final_clock)} left
+                              </span>
+                            )}
                             {game.rated && (
                               <Badge variant="outline" className="text-xs bg-slate-700/50 text-slate-400">
                                 Rated
@@ -1,6 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { Progress } from '@/components/ui/progress';
-import { CheckCircle, Loader2 } from 'lucide-react';
+import { CheckCircle, Loader2, XCircle } from 'lucide-react';
 import { cn } from '@/lib/utils';
 
 export function SettingsLoading({ 
@@ -10,7 +10,10 @@ export function SettingsLoading({
   onComplete = null,
   className = '',
   successMessage = 'Settings Updated Successfully!',
-  successDuration = 1500 // Make the duration configurable
+  successDuration = 1500, // Make the duration configurable
+  onCancel = null, // Shows a cancel button while loading
+  isCancelled = false, // Show the cancelled message instead of success when loading ends
+  cancelledMessage = 'Import cancelled - progress saved, it will resume next time'
 }) {
   const [displayState, setDisplayState] = useState('loading'); // 'loading', 'success', 'hidden'
 
@@ -65,7 +68,15 @@ export function SettingsLoading({
       )}
     >
       <div className="w-full max-w-lg">
-        {displayState === 'success' ? (
+        {displayState === 'success' && isCancelled ? (
+          // Cancelled
+          <div className="flex items-center justify-center space-x-3 animate-in slide-in-from-bottom-2 duration-300">
+            <XCircle className="w-5 h-5 text-amber-400" />
+            <span className="text-sm font-medium text-amber-400">
+              {cancelledMessage}
+            </span>
+          </div>
+        ) : displayState === 'success' ? (
           // Success Animation
           <div className="flex items-center justify-center space-x-3 animate-in slide-in-from-bottom-2 duration-300">
             <CheckCircle className="w-5 h-5 text-green-400" />
@@ -80,9 +91,21 @@ export function SettingsLoading({
               <span className="text-slate-300 font-medium truncate pr-4">
                 {progress >= 100 ? 'Finalizing...' : status || 'Updating Analysis...'}
               </span>
-              <span className="text-slate-400 flex-shrink-0">
-                {Math.round(progress)}%
-              </span>
+              <div className="flex items-center gap-3 flex-shrink-0">
+                <span className="text-slate-400">
+                  {Math.round(progress)}%
+                </span>
+                {onCancel && progress < 90 && (
+                  <button
+                    type="button"
+                    onClick={onCancel}
+                    disabled={isCancelled}
+                    className="text-xs font-medium text-slate-400 hover:text-red-400 disabled:opacity-50 transition-colors"
+                  >
+                    {isCancelled ? 'Cancelling...' : 'Cancel'}
+                  </button>
+                )}
+              </div>
             </div>
             
             <div className="w-full h-1.5 bg-slate-700 rounded-full overflow-hidden">
@@ -1,14 +1,29 @@
-import { createContext, useContext, useState, useEffect } from 'react';
-import { extractGameData, extractGameDataGeneric } from '../components/chess/PgnParser';
-import { identifyOpening } from '../components/chess/OpeningDatabase';
+import { createContext, useContext, useState, useEffect, useRef } from 'react';
 import { 
   saveOpeningGraph, 
   loadOpeningGraph, 
   initGraphDB,
   deleteOpeningGraph,
-  clearAllGraphs
+  replaceOpeningGraph,
+  rollbackOpeningGraph,
+  clearAllGraphs,
+  saveImportCheckpoint,
+  loadImportCheckpoint,
+  deleteImportCheckpoint
 } from '@/api/graphStorage';
-import { OpeningGraph } from '@/api/openingGraph';
+import { createGraphBuilder } from '@/api/graphBuilder';
+import { UploadFile, ExtractDataFromUploadedFile } from '@/api/integrations';
+import { findGameSource, getGameSource } from '@/api/gameSources';
+import { DEFAULT_MAX_GAMES, GAME_BATCH_SIZE, getMaxGames, matchesImportFilters, throwIfCancelled, withRatedFilter } from '@/api/gameSources/common';
+import {
+  createImportReport,
+  finishImportReport,
+  recordFailedArchive,
+  recordImportedBatch,
+  recordSkippedFile,
+  recordSkippedGame,
+  recordSkippedGames
+} from '@/api/importReport';
 
 const AuthContext = createContext();
 
@@ -27,7 +42,9 @@ export const AuthProvider = ({ children }) => {
   const [isImporting, setIsImporting] = useState(false);
   const [importProgress, setImportProgress] = useState(0);
   const [importStatus, setImportStatus] = useState('');
+  const importAbortControllerRef = useRef(null); // Aborts the running importGamesWithProgress
   const [user, setUser] = useState(null);
+  const [importReports, setImportReports] = useState(EMPTY_IMPORT_REPORTS); // Latest import and sync reports
 
   useEffect(() => {
     // Check for existing authentication on app start
@@ -35,14 +52,19 @@ export const AuthProvider = ({ children }) => {
     if (savedAuth) {
       try {
         const authData = JSON.parse(savedAuth);
-        setUser(authData.user);
+        // Settings saved before the rated filter existed get the one they imported with
+        const savedUser = authData.user && {
+          ...authData.user,
+          importSettings: withRatedFilter(authData.user.importSettings, authData.user.platform)
+        };
+        setUser(savedUser);
         setIsAuthenticated(true);
         // If user has auto-sync enabled, trigger a background sync immediately
-        if (authData.user?.importSettings?.autoSync) {
+        if (savedUser?.importSettings?.autoSync) {
           // Fire and forget – we don't await to avoid blocking UI
           (async () => {
             try {
-              await syncUserData(authData.user);
+              await syncUserData(savedUser);
             } catch (e) {
               console.warn('Auto-sync on startup failed:', e);
             }
@@ -53,22 +75,40 @@ export const AuthProvider = ({ children }) => {
         localStorage.removeItem('chessScope_auth');
       }
     }
+
+    const savedReports = localStorage.getItem(IMPORT_REPORTS_KEY);
+    if (savedReports) {
+      try {
+        setImportReports({ ...EMPTY_IMPORT_REPORTS, ...JSON.parse(savedReports) });
+      } catch (error) {
+        console.warn('Error parsing saved import reports:', error);
+        localStorage.removeItem(IMPORT_REPORTS_KEY);
+      }
+    }
     setIsLoading(false);
   }, []);
 
+  // Keep a finished import report as the latest one of its kind (syncs and imports separately)
+  const storeImportReport = (report) => {
+    setImportReports(previousReports => {
+      const reports = { ...previousReports, [report.type === 'sync' ? 'sync' : 'import']: report };
+      try {
+        localStorage.setItem(IMPORT_REPORTS_KEY, JSON.stringify(reports));
+      } catch (error) {
+        console.warn('Failed to save import report:', error);
+      }
+      return reports;
+    });
+  };
+
   const login = async (username, platform = 'chess.com', importSettings = null, googleAccount = null) => {
     try {
       setIsImporting(true);
       setImportProgress(0);
-      setImportStatus(`Verifying ${platform === 'lichess' ? 'Lichess' : 'Chess.com'} account...`);
+      const gameSource = getGameSource(platform);
+      setImportStatus(`Verifying ${gameSource.name} account...`);
       
-      // Verify account based on platform
-      let platformUser;
-      if (platform === 'lichess') {
-        platformUser = await verifyLichessAccount(username);
-      } else {
-        platformUser = await verifyChessComAccount(username);
-      }
+      const platformUser = await gameSource.verifyAccount(username);
       
       setImportProgress(10);
       setImportStatus('Account verified! Starting import...');
@@ -83,14 +123,13 @@ export const AuthProvider = ({ children }) => {
         lichessUsername: platform === 'lichess' ? username : null,
         lichessUser: platform === 'lichess' ? platformUser : null,
         googleAccount,
-        importSettings: importSettings || {
-          selectedTimeControls: platform === 'lichess' ? 
-            ['rapid', 'blitz', 'bullet', 'classical'] : 
-            ['rapid', 'blitz', 'bullet'],
+        importSettings: withRatedFilter(importSettings || {
+          selectedTimeControls: gameSource.defaultTimeControls,
           selectedDateRange: '3',
           customDateRange: { from: null, to: null },
+          maxGames: DEFAULT_MAX_GAMES,
           autoSync: true
-        },
+        }, platform),
         loginTime: new Date().toISOString(),
         lastSync: null
       };
@@ -102,6 +141,8 @@ export const AuthProvider = ({ children }) => {
       const importResult = await importGamesWithProgress(userData);
       userData.gameCount = importResult.gameCount;
       userData.lastGameTime = importResult.lastGameTime;
+      userData.lastGameTimes = importResult.lastGameTimes;
+      userData.failedArchives = importResult.failedArchives;
       userData.lastSync = new Date().toISOString();
 
       // Save to localStorage for persistence
@@ -134,6 +175,148 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Log in with games from local PGN files instead of an online account.
+  // playerNames holds the player's name plus any aliases used in the PGN headers.
+  const loginWithPgn = async (files, playerNames, importSettings = null) => {
+    const report = createImportReport('pgn');
+    try {
+      setIsImporting(true);
+      setImportProgress(0);
+      setImportStatus('Reading PGN files...');
+
+      const names = playerNames.map(name => name.trim()).filter(Boolean);
+      if (!files || files.length === 0) {
+        throw new Error('Please select at least one PGN file');
+      }
+      if (names.length === 0) {
+        throw new Error('Please enter your player name as it appears in the PGN files');
+      }
+
+      // Games are tagged with the file owner as source
+      const source = getAccountSource('pgn', names[0]);
+      let games = [];
+      let skippedGames = 0;
+
+      for (let i = 0; i < files.length; i++) {
+        setImportStatus(`Reading ${files[i].name} (${i + 1}/${files.length})...`);
+        // Files that are empty or can't be read are skipped and listed in the import report
+        let uploaded;
+        try {
+          uploaded = await UploadFile({ file: files[i] });
+        } catch (error) {
+          console.warn(`Skipping PGN file ${files[i].name}:`, error);
+          recordSkippedFile(report, source, files[i].name, error);
+          setImportProgress(5 + ((i + 1) / files.length) * 35);
+          continue;
+        }
+
+        setImportProgress(5 + ((i + 0.5) / files.length) * 35);
+        setImportStatus(`Extracting games from ${uploaded.file_name}...`);
+        const extracted = await ExtractDataFromUploadedFile({ content: uploaded.content, player_names: names });
+        if (extracted.status === 'empty') {
+          console.warn(`Skipping empty PGN file ${uploaded.file_name}`);
+          recordSkippedFile(report, source, uploaded.file_name, 'Empty file');
+          setImportProgress(5 + ((i + 1) / files.length) * 35);
+          continue;
+        }
+
+        games = games.concat(extracted.output.games);
+        skippedGames += extracted.output.skipped;
+        Object.entries(extracted.output.skippedByReason || {}).forEach(([reason, count]) => {
+          recordSkippedGames(report, source, reason, count);
+        });
+        setImportProgress(5 + ((i + 1) / files.length) * 35);
+      }
+
+      // Drop duplicates when the same game appears in several files
+      const seenIds = new Set();
+      const extractedCount = games.length;
+      games = games.filter(game => {
+        if (seenIds.has(game.game_id)) return false;
+        seenIds.add(game.game_id);
+        return true;
+      });
+      recordSkippedGames(report, source, 'duplicate', extractedCount - games.length);
+
+      // Apply the selected time controls (games without a TimeControl header are always kept)
+      const selectedTimeControls = importSettings?.selectedTimeControls;
+      if (selectedTimeControls && selectedTimeControls.length > 0) {
+        const uniqueCount = games.length;
+        games = games.filter(game => game.time_class === 'unknown' || selectedTimeControls.includes(game.time_class));
+        recordSkippedGames(report, source, 'timeControl', uniqueCount - games.length);
+      }
+
+      if (games.length === 0) {
+        throw new Error(`No finished games found for ${names.join(', ')} (${skippedGames} games skipped)`);
+      }
+
+      // Most recent games first, matching the online sources
+      games.sort((a, b) => (b.end_time || 0) - (a.end_time || 0));
+      games = games.map(game => ({ ...game, source }));
+
+      console.log(`📄 Extracted ${games.length} games from ${files.length} PGN file(s), ${skippedGames} skipped`);
+
+      const userData = {
+        platform: 'pgn',
+        username: names[0],
+        playerNames: names,
+        platformUser: null,
+        chessComUsername: null,
+        chessComUser: null,
+        lichessUsername: null,
+        lichessUser: null,
+        googleAccount: null,
+        pgnFiles: Array.from(files).map(file => file.name),
+        importSettings: withRatedFilter(importSettings || {
+          selectedTimeControls: ['rapid', 'blitz', 'bullet', 'classical'],
+          selectedDateRange: 'all',
+          customDateRange: { from: null, to: null },
+          maxGames: 'all',
+          autoSync: false
+        }, 'pgn'),
+        loginTime: new Date().toISOString(),
+        lastSync: null
+      };
+
+      await initGraphDB();
+
+      const importResult = await importGamesWithProgress(userData, games, report);
+      userData.gameCount = importResult.gameCount;
+      userData.lastGameTime = importResult.lastGameTime;
+      userData.lastGameTimes = importResult.lastGameTimes;
+      userData.failedArchives = importResult.failedArchives;
+      userData.lastSync = new Date().toISOString();
+
+      localStorage.setItem('chessScope_auth', JSON.stringify({ user: userData }));
+
+      setUser(userData);
+      setIsAuthenticated(true);
+
+      setImportProgress(100);
+      setImportStatus('PGN import completed successfully!');
+
+      // Hold at 100% briefly, then wait for the Done animation (800ms) before cleanup
+      await new Promise(resolve => setTimeout(resolve, 200));
+      await new Promise(resolve => setTimeout(resolve, 800));
+
+      return { success: true };
+    } catch (error) {
+      console.error('PGN import error:', error);
+      // Failures before the graph build (e.g. no usable games) still get a report
+      if (report.status === 'running') {
+        storeImportReport(finishImportReport(report, 'failed', error.message));
+      }
+      setImportStatus(`Error: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      setTimeout(() => {
+        setIsImporting(false);
+        setImportProgress(0);
+        setImportStatus('');
+      }, 1500);
+    }
+  };
+
   const logout = async (delay = 0) => {
     try {
       console.log('🔄 Starting comprehensive logout cleanup...');
@@ -147,8 +330,9 @@ export const AuthProvider = ({ children }) => {
         await new Promise(resolve => setTimeout(resolve, delay));
       }
       
-      // 1. Clear authentication data
+      // 1. Clear authentication data and import reports
       localStorage.removeItem('chessScope_auth');
+      localStorage.removeItem(IMPORT_REPORTS_KEY);
       console.log('✅ Cleared authentication data');
       
       // 2. Clear username data
@@ -211,6 +395,7 @@ export const AuthProvider = ({ children }) => {
       // 8. Update auth state
       setUser(null);
       setIsAuthenticated(false);
+      setImportReports(EMPTY_IMPORT_REPORTS);
       
       console.log('🎉 Logout cleanup completed successfully');
       
@@ -223,6 +408,7 @@ export const AuthProvider = ({ children }) => {
       // Still clear the auth state even if cleanup partially fails
       setUser(null);
       setIsAuthenticated(false);
+      setImportReports(EMPTY_IMPORT_REPORTS);
       
       // Basic cleanup as fallback
       try {
@@ -243,41 +429,51 @@ export const AuthProvider = ({ children }) => {
   const syncUserData = async (userData) => {
     if (isSyncing) return;
     
+    // Games imported from PGN files have no online source to sync with
+    if (userData.platform === 'pgn') return userData.gameCount;
+    
     setIsSyncing(true);
     try {
       console.log('Starting sync for user:', userData.username, 'on platform:', userData.platform);
       
       // Use a silent import process for sync (no UI progress updates)
-      console.log('🔄 Auto-sync: Rebuilding opening graph with latest games...');
+      console.log('🔄 Auto-sync: Checking for new games...');
       
       // Create a temporary userData object for the import process
       const syncUserData = {
         ...userData,
-        importSettings: userData.importSettings || {
-          selectedTimeControls: userData.platform === 'lichess' ? 
-            ['rapid', 'blitz', 'bullet', 'classical'] : 
-            ['rapid', 'blitz', 'bullet'],
+        importSettings: withRatedFilter(userData.importSettings || {
+          selectedTimeControls: getGameSource(userData.platform).defaultTimeControls,
           selectedDateRange: '3',
           customDateRange: { from: null, to: null },
           autoSync: true
-        }
+        }, userData.platform)
       };
       
-      // Use a silent version that doesn't update UI progress
-      const result = await importGamesSilently(syncUserData);
+      // If we already have a graph and know when the last game was played, only fetch
+      // newer games and merge them in. Otherwise fall back to a full silent rebuild.
+      const identifier = `${userData.platform}:${userData.username}`.toLowerCase();
+      const existingGraph = userData.lastGameTime ? await loadOpeningGraph(identifier) : null;
+      
+      const result = existingGraph
+        ? await importNewGamesSilently(syncUserData, existingGraph)
+        : await importGamesSilently(syncUserData);
       
       // Update user's last sync time, game count, and last game time
       const updatedUser = {
         ...userData,
         lastSync: new Date().toISOString(),
         gameCount: result.gameCount,
-        lastGameTime: result.lastGameTime
+        lastGameTime: result.lastGameTime,
+        lastGameTimes: result.lastGameTimes,
+        failedArchives: result.failedArchives,
+        previousImport: existingGraph ? userData.previousImport : result.previousImport
       };
       
       setUser(updatedUser);
       localStorage.setItem('chessScope_auth', JSON.stringify({ user: updatedUser }));
       
-      console.log('✅ Auto-sync completed successfully - opening graph rebuilt');
+      console.log(`✅ Auto-sync completed successfully - ${existingGraph ? `${result.addedGames} new games merged` : 'opening graph rebuilt'}`);
       console.log(`🎮 Updated last game time: ${updatedUser.lastGameTime ? new Date(updatedUser.lastGameTime).toLocaleString() : 'Unknown'}`);
       
       return result.gameCount;
@@ -299,14 +495,9 @@ export const AuthProvider = ({ children }) => {
       setUser(updatedUser);
       localStorage.setItem('chessScope_auth', JSON.stringify({ user: updatedUser }));
       
-      // Backup existing data to Google Drive
-      if (user.gameCount > 0) {
-        let games;
-        if (user.platform === 'lichess') {
-          games = await fetchLichessGames(user.username, user.importSettings);
-        } else {
-          games = await fetchChessComGames(user.username, user.importSettings);
-        }
+      // Backup existing data to Google Drive (PGN imports have no online games to refetch)
+      if (user.gameCount > 0 && findGameSource(user.platform)) {
+        const games = await fetchAccountGames(user, user.importSettings);
         await backupToGoogleDrive(games, googleAccount);
       }
       
@@ -318,6 +509,17 @@ export const AuthProvider = ({ children }) => {
   };
 
   const updateImportSettings = async (newSettings, onComplete = null) => {
+    // PGN games can't be refetched, so there is nothing to re-import
+    if (user?.platform === 'pgn') {
+      const updatedUser = { ...user, importSettings: newSettings };
+      setUser(updatedUser);
+      localStorage.setItem('chessScope_auth', JSON.stringify({ user: updatedUser }));
+      if (onComplete) onComplete();
+      return { success: true };
+    }
+
+    // The dialog only completes after a successful re-import so failures can be shown in it
+    let succeeded = false;
     try {
       setIsImporting(true);
       setImportProgress(0);
@@ -332,6 +534,9 @@ export const AuthProvider = ({ children }) => {
       const importResult = await importGamesWithProgress(updatedUser);
       updatedUser.gameCount = importResult.gameCount;
       updatedUser.lastGameTime = importResult.lastGameTime;
+      updatedUser.lastGameTimes = importResult.lastGameTimes;
+      updatedUser.failedArchives = importResult.failedArchives;
+      updatedUser.previousImport = importResult.previousImport;
       updatedUser.lastSync = new Date().toISOString();
       
       setUser(updatedUser);
@@ -340,6 +545,7 @@ export const AuthProvider = ({ children }) => {
       setImportProgress(100);
       setImportStatus('Settings updated successfully!');
       
+      succeeded = true;
       return { success: true };
     } catch (error) {
       console.error('Settings update error:', error);
@@ -352,195 +558,143 @@ export const AuthProvider = ({ children }) => {
       setImportStatus('');
       
       // Call the completion callback if provided
-      if (onComplete) {
+      if (onComplete && succeeded) {
         console.log('🎯 Calling settings completion callback');
         onComplete();
       }
     }
   };
 
+  // Cancel the running import; progress up to the last checkpoint is kept so it can be resumed
+  const cancelImport = () => {
+    if (!importAbortControllerRef.current) return;
+    importAbortControllerRef.current.abort();
+    setImportStatus('Cancelling import...');
+  };
+
   // New function to import games with progress tracking (similar to import page)
-  const importGamesWithProgress = async (userData) => {
+  // preloadedGames skips the fetch phase (used for games extracted from local PGN files)
+  // Online imports are checkpointed periodically and resume from the last checkpoint
+  // when started again with the same accounts and settings.
+  // The import report (optionally started by the caller) is stored once the import ends.
+  const importGamesWithProgress = async (userData, preloadedGames = null, report = null) => {
     const { platform, username, importSettings } = userData;
-    const {
-      selectedTimeControls = platform === 'lichess' ? 
-        ['rapid', 'blitz', 'bullet', 'classical'] : 
-        ['rapid', 'blitz', 'bullet'],
-      selectedDateRange = '3',
-      customDateRange = { from: null, to: null }
-    } = importSettings;
+    const importReport = report || createImportReport(preloadedGames ? 'pgn' : 'import');
+
+    // Lets cancelImport stop the fetches and the graph build
+    const abortController = new AbortController();
+    const { signal } = abortController;
+    importAbortControllerRef.current = abortController;
 
     try {
       setImportProgress(5);
       setImportStatus('Connecting to server...');
 
-      let recentTargetedGames = [];
-      const TARGET_GAMES = 1500; // Hard limit
-      
       // Progress callback for fetch operations
       const handleFetchProgress = (progressData) => {
         const { phase, progress, status } = progressData;
         
-        // During fetch phase, progress goes from 5% to 45%
+        // Games are added to the graph while they download, so the fetch drives progress from 5% to 90%
         if (phase === 'download' || phase === 'parsing') {
-          const adjustedProgress = 5 + (progress / 45) * 40; // Map 0-45% to 5-45%
+          const adjustedProgress = 5 + (progress / 45) * 85; // Map 0-45% to 5-90%
           setImportProgress(adjustedProgress);
           setImportStatus(status);
         }
       };
-      
-      if (platform === 'lichess') {
-        // Lichess direct API approach with progress tracking
-        const games = await fetchLichessGames(username, importSettings, handleFetchProgress);
-        recentTargetedGames = games.slice(0, TARGET_GAMES);
-        
-        setImportProgress(45);
-        setImportStatus(`Found ${recentTargetedGames.length} games from Lichess...`);
-        
-      } else {
-        // Chess.com archive-based approach with progress tracking
-        const games = await fetchChessComGames(username, importSettings, handleFetchProgress);
-        recentTargetedGames = games.slice(0, TARGET_GAMES);
-        
-        setImportProgress(45);
-        setImportStatus(`Found ${recentTargetedGames.length} games from Chess.com...`);
-      }
-      
-      // Small pause to show the found games status
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      setImportProgress(50);
-      setImportStatus('Clearing previous data and creating new opening graph...');
 
       // Create platform-specific identifier
+      // The stored graph is left alone until the new one has been built completely
       const identifier = `${platform}:${username}`.toLowerCase();
-      
-      // Clear any existing graph data first (fresh start)
-      try {
-        await deleteOpeningGraph(identifier);
-      } catch (error) {
-        // Ignore if no existing graph to delete
+
+      // Resume from the checkpoint of an interrupted import with the same accounts and settings
+      const checkpointKey = getImportCheckpointKey(userData);
+      const checkpoint = preloadedGames ? null : await loadImportCheckpoint(identifier);
+      const resumeCheckpoint = checkpoint && checkpoint.checkpointKey === checkpointKey ? checkpoint : null;
+      if (checkpoint && !resumeCheckpoint) {
+        await deleteImportCheckpoint(identifier);
+      }
+      if (resumeCheckpoint) {
+        importReport.resumedGames = resumeCheckpoint.summary.gameCount;
+        console.log(`⏯️ Resuming import from checkpoint with ${resumeCheckpoint.summary.gameCount} games`);
+        setImportStatus(`Resuming import (${resumeCheckpoint.summary.gameCount} games already imported)...`);
       }
 
-      // Create a completely new OpeningGraph
-      const openingGraph = new OpeningGraph(identifier);
-      
-      setImportStatus(`Processing ${recentTargetedGames.length} games into new opening graph...`);
+      // Build a completely new graph in the worker (or continue the checkpointed one),
+      // streaming games in batch by batch
+      const builder = createGraphBuilder({
+        username: identifier,
+        graphData: resumeCheckpoint ? resumeCheckpoint.data : null,
+        onProgress: ({ processed }) => {
+          setImportStatus(`Building graph: ${processed} games processed`);
+        }
+      });
 
-      const totalGames = recentTargetedGames.length;
+      const summary = resumeCheckpoint ? resumeCheckpoint.summary : createImportSummary();
+      let lastCheckpointCount = summary.gameCount;
       
-      // Reset debug tracking for this import session
-      window.gameResults = { wins: 0, losses: 0, draws: 0, total: 0 };
-      
-      // Track if we're running in background for logging
-      let wasInBackground = false;
-      
-      // Process games one at a time with proper UI yielding
-      for (let i = 0; i < totalGames; i++) {
-        const game = recentTargetedGames[i];
-        let gameData;
-        
-        // Log background execution for user awareness
-        if (document.hidden && !wasInBackground) {
-          console.log('📱 Import continues in background - feel free to switch tabs!');
-          wasInBackground = true;
-        } else if (!document.hidden && wasInBackground) {
-          console.log('👁️ Welcome back! Import was running in background and is still processing...');
-          wasInBackground = false;
-        }
-        
-        // DEBUG: Log the actual Chess.com game structure
-        if (platform === 'chess.com' && i === 0) {
-          console.log('🔍 DEBUG AuthContext - First Chess.com game structure:', {
-            game,
-            keys: Object.keys(game),
-            hasWhite: !!game.white,
-            hasBlack: !!game.black,
-            whiteResult: game.white?.result,
-            blackResult: game.black?.result,
-            sample: JSON.stringify(game).substring(0, 200)
-          });
-          // Log the full game object to see its structure
-          console.log('📋 Full first Chess.com game object:', game);
-        }
+      // Save the partial graph together with the import summary (processed archives per account)
+      const saveCheckpoint = async (force = false) => {
+        if (!force && summary.gameCount - lastCheckpointCount < CHECKPOINT_INTERVAL) return;
+        lastCheckpointCount = summary.gameCount;
         
-        // For Lichess, the games are already processed by fetchLichessGames
-        if (platform === 'lichess') {
-          // Lichess games are already in the correct format from fetchLichessGames
-          gameData = game;
-          
-          // DEBUG: Check player color distribution
-          if (i === 0 || i === 50 || i === 100) {
-            console.log(`🎨 DEBUG Game ${i} player color:`, {
-              player_color: gameData.player_color,
-              white_username: gameData.white_username,
-              black_username: gameData.black_username,
-              input_username: username,
-              result: gameData.result
-            });
-          }
+        const partialGraph = await builder.checkpoint();
+        await saveImportCheckpoint({ username: identifier, checkpointKey, data: partialGraph.data, summary });
+      };
+
+      let importedGames;
+      let builtGraph;
+      try {
+        if (preloadedGames) {
+          importedGames = await streamPreloadedGames(preloadedGames, importSettings, builder.addGames, { signal, report: importReport });
         } else {
-          // Use the generic function for Chess.com
-          gameData = extractGameDataGeneric(game, username, platform);
-          
-          // DEBUG: Check Chess.com processing results
-          if (i === 0 || i === 50 || i === 100) {
-            console.log(`🎲 DEBUG Chess.com Game ${i} processing:`, {
-              player_color: gameData?.player_color,
-              white_username: gameData?.white_username,
-              black_username: gameData?.black_username,
-              input_username: username,
-              result: gameData?.result,
-              white_result: game.white?.result,
-              black_result: game.black?.result
-            });
-          }
+          importedGames = await streamAccountGames(userData, builder.addGames, {
+            summary,
+            signal,
+            report: importReport,
+            onProgress: handleFetchProgress,
+            onBatchComplete: () => saveCheckpoint()
+          });
         }
         
-        if (gameData && gameData.moves && gameData.moves.length > 0) {
-          // Add opening information
-          const opening = await identifyOpening(gameData.moves);
-          gameData.opening = opening;
-          
-          // Add game to the graph
-          await openingGraph.addGame(gameData);
-          
-          // Track results for debugging (simple counter approach)
-          if (!window.gameResults) window.gameResults = { wins: 0, losses: 0, draws: 0, total: 0 };
-          window.gameResults.total++;
-          if (gameData.result === 'win') window.gameResults.wins++;
-          else if (gameData.result === 'lose') window.gameResults.losses++;
-          else window.gameResults.draws++;
+        // Never replace the stored graph with an empty one
+        if (importedGames.gameCount === 0) {
+          throw new Error(NO_GAMES_IMPORTED_MESSAGE);
         }
         
-        // Update progress: 50% to 90% for processing (smooth single-game updates)
-        const progressPercent = 50 + ((i + 1) / totalGames) * 40;
-        setImportProgress(progressPercent);
-        setImportStatus(`Building graph: ${i + 1}/${totalGames} games processed`);
-        
-        // Debug logging for result distribution tracking (every 50 games)
-        if ((i + 1) % 50 === 0 || i === totalGames - 1) {
-          if (window.gameResults) {
-            const { wins, losses, draws, total } = window.gameResults;
-            console.log(`📊 After ${total} ${platform} games: ${wins} wins (${((wins/total)*100).toFixed(1)}%), ${losses} losses (${((losses/total)*100).toFixed(1)}%), ${draws} draws (${((draws/total)*100).toFixed(1)}%)`);
+        setImportProgress(90);
+        setImportStatus(`Finishing graph with ${importedGames.gameCount} games...`);
+        builtGraph = await builder.finish();
+      } catch (error) {
+        // Keep whatever was imported so far so the import can be resumed later
+        if (!preloadedGames && summary.gameCount > 0) {
+          try {
+            await saveCheckpoint(true);
+          } catch (checkpointError) {
+            console.warn('Failed to save import checkpoint:', checkpointError);
           }
         }
-        
-        // Background-friendly yielding that works even when tab is not visible
-        await new Promise(resolve => setTimeout(resolve, 1)); // setTimeout works in background (every game)
+        builder.terminate();
+        throw error;
       }
 
       setImportProgress(95);
       setImportStatus('Saving opening graph...');
 
-      // Save the complete graph
-      await saveOpeningGraph(openingGraph);
+      // Swap in the serialized graph returned by the worker, keeping the previous graph (and the
+      // user state it belongs to) as a rollback snapshot; the import is complete so its checkpoint goes
+      const rollbackState = getRollbackState(user);
+      await replaceOpeningGraph(builtGraph, rollbackState);
+      await deleteImportCheckpoint(identifier);
       
       // Store the platform-specific username in localStorage
       localStorage.setItem('chesscope_username', identifier);
 
-      const stats = openingGraph.getOverallStats();
+      const stats = builtGraph.stats;
       const totalPositions = stats.white.totalPositions + stats.black.totalPositions;
+      const failedArchiveCount = countFailedArchives(importedGames.failedArchives);
+      const completedStatus = failedArchiveCount > 0
+        ? `Graph built with ${totalPositions} unique positions (${failedArchiveCount} monthly ${failedArchiveCount === 1 ? 'archive' : 'archives'} could not be downloaded and will be retried on the next sync)`
+        : `Graph built with ${totalPositions} unique positions!`;
       
       // Smooth transition to 100% (background-friendly)
       setImportProgress(98);
@@ -551,7 +705,7 @@ export const AuthProvider = ({ children }) => {
       if (isTabVisible) {
         await new Promise(resolve => setTimeout(resolve, 150));
         setImportProgress(100);
-        setImportStatus(`Graph built with ${totalPositions} unique positions!`);
+        setImportStatus(completedStatus);
         
         // Hold at 100% briefly so user can see it
         await new Promise(resolve => setTimeout(resolve, 200));
@@ -561,143 +715,280 @@ export const AuthProvider = ({ children }) => {
       } else {
         // Background mode - skip UI animations, complete immediately
         setImportProgress(100);
-        setImportStatus(`Graph built with ${totalPositions} unique positions!`);
+        setImportStatus(completedStatus);
         console.log('🔄 Import completed in background mode - skipping UI animations');
       }
       
-      // Get the most recent game time (games are already sorted by date, most recent first)
-      let lastGameTime = null;
-      if (recentTargetedGames.length > 0) {
-        const firstGame = recentTargetedGames[0];
-        if (platform === 'lichess') {
-          // Lichess already has ISO string format
-          lastGameTime = firstGame.end_time;
-        } else {
-          // Chess.com has Unix timestamp in seconds
-          lastGameTime = firstGame.end_time * 1000; // Convert to milliseconds
-        }
-      }
+      // The most recent game time overall and per account is used by incremental sync
+      const { lastGameTime, lastGameTimes, failedArchives } = importedGames;
+      finishImportReport(importReport, 'complete');
       
-      return { gameCount: recentTargetedGames.length, lastGameTime };
+      return {
+        gameCount: importedGames.gameCount,
+        lastGameTime,
+        lastGameTimes,
+        failedArchives,
+        previousImport: getPreviousImport(rollbackState)
+      };
 
     } catch (error) {
       console.error('Import games error:', error);
+      finishImportReport(importReport, signal.aborted ? 'cancelled' : 'failed', error.message);
       throw error;
+    } finally {
+      importAbortControllerRef.current = null;
+      storeImportReport(importReport);
     }
   };
 
   // Silent import function for background sync (no UI progress updates)
   const importGamesSilently = async (userData) => {
-    const { platform, username, importSettings } = userData;
-    const {
-      selectedTimeControls = platform === 'lichess' ? 
-        ['rapid', 'blitz', 'bullet', 'classical'] : 
-        ['rapid', 'blitz', 'bullet'],
-      selectedDateRange = '3',
-      customDateRange = { from: null, to: null }
-    } = importSettings;
+    const { platform, username } = userData;
+    const report = createImportReport('sync');
 
     try {
       console.log('🔄 Silent import: Fetching games...');
 
-      let recentTargetedGames = [];
-      const TARGET_GAMES = 1500; // Hard limit
-      
-      if (platform === 'lichess') {
-        // Lichess direct API approach (no progress callback)
-        const games = await fetchLichessGames(username, importSettings);
-        recentTargetedGames = games.slice(0, TARGET_GAMES);
-        
-        console.log(`🔄 Silent import: Found ${recentTargetedGames.length} games from Lichess`);
-        
-      } else {
-        // Chess.com archive-based approach (no progress callback)
-        const games = await fetchChessComGames(username, importSettings);
-        recentTargetedGames = games.slice(0, TARGET_GAMES);
-        
-        console.log(`🔄 Silent import: Found ${recentTargetedGames.length} games from Chess.com`);
-      }
-      
-      console.log('🔄 Silent import: Creating new opening graph...');
-
       // Create platform-specific identifier
       const identifier = `${platform}:${username}`.toLowerCase();
-      
-      // Clear any existing graph data first (fresh start)
-      try {
-        await deleteOpeningGraph(identifier);
-      } catch (error) {
-        // Ignore if no existing graph to delete
-      }
 
-      // Create a completely new OpeningGraph
-      const openingGraph = new OpeningGraph(identifier);
-      
-      console.log(`🔄 Silent import: Processing ${recentTargetedGames.length} games...`);
-
-      const totalGames = recentTargetedGames.length;
-      
-      // Process games one at a time
-      for (let i = 0; i < totalGames; i++) {
-        const game = recentTargetedGames[i];
-        let gameData;
-        
-        // For Lichess, the games are already processed by fetchLichessGames
-        if (platform === 'lichess') {
-          // Lichess games are already in the correct format from fetchLichessGames
-          gameData = game;
-        } else {
-          // Use the generic function for Chess.com
-          gameData = extractGameDataGeneric(game, username, platform);
-        }
-        
-        if (gameData && gameData.moves && gameData.moves.length > 0) {
-          // Add opening information
-          const opening = await identifyOpening(gameData.moves);
-          gameData.opening = opening;
-          
-          // Add game to the graph
-          await openingGraph.addGame(gameData);
+      // Stream every linked account into a new graph (no progress UI)
+      const builder = createGraphBuilder({
+        username: identifier,
+        onProgress: ({ processed }) => {
+          // Log progress every 100 games
+          if (processed % 100 === 0) {
+            console.log(`🔄 Silent import: Processed ${processed} games`);
+          }
         }
-        
-        // Log progress every 100 games
-        if ((i + 1) % 100 === 0) {
-          console.log(`🔄 Silent import: Processed ${i + 1}/${totalGames} games`);
+      });
+
+      let importedGames;
+      let builtGraph;
+      try {
+        importedGames = await streamAccountGames(userData, builder.addGames, { report });
+        if (importedGames.gameCount === 0) {
+          throw new Error(NO_GAMES_IMPORTED_MESSAGE);
         }
+        builtGraph = await builder.finish();
+      } catch (error) {
+        builder.terminate();
+        throw error;
       }
 
       console.log('🔄 Silent import: Saving opening graph...');
 
-      // Save the complete graph
-      await saveOpeningGraph(openingGraph);
+      // Swap in the serialized graph returned by the worker, keeping the previous one for rollback
+      const rollbackState = getRollbackState(userData);
+      await replaceOpeningGraph(builtGraph, rollbackState);
       
       // Store the platform-specific username in localStorage
       localStorage.setItem('chesscope_username', identifier);
 
-      const stats = openingGraph.getOverallStats();
+      const stats = builtGraph.stats;
       const totalPositions = stats.white.totalPositions + stats.black.totalPositions;
       
-      // Get the most recent game time (games are already sorted by date, most recent first)
-      let lastGameTime = null;
-      if (recentTargetedGames.length > 0) {
-        const firstGame = recentTargetedGames[0];
-        if (platform === 'lichess') {
-          // Lichess already has ISO string format
-          lastGameTime = firstGame.end_time;
-        } else {
-          // Chess.com has Unix timestamp in seconds
-          lastGameTime = firstGame.end_time * 1000; // Convert to milliseconds
-        }
-      }
+      // The most recent game time overall and per account is used by incremental sync
+      const { lastGameTime, lastGameTimes, failedArchives } = importedGames;
       
       console.log(`✅ Silent import completed: ${totalPositions} unique positions built`);
       console.log(`🎮 Last game time: ${lastGameTime ? new Date(lastGameTime).toLocaleString() : 'Unknown'}`);
+      finishImportReport(report, 'complete');
       
-      return { gameCount: recentTargetedGames.length, lastGameTime };
+      return {
+        gameCount: importedGames.gameCount,
+        lastGameTime,
+        lastGameTimes,
+        failedArchives,
+        previousImport: getPreviousImport(rollbackState)
+      };
 
     } catch (error) {
       console.error('Silent import error:', error);
+      finishImportReport(report, 'failed', error.message);
       throw error;
+    } finally {
+      storeImportReport(report);
+    }
+  };
+
+  // Incremental import for background sync - only fetches games played since the last
+  // sync and merges them into the stored graph instead of rebuilding it from scratch
+  const importNewGamesSilently = async (userData, openingGraph) => {
+    const { lastGameTime, lastGameTimes = {}, failedArchives = {} } = userData;
+    const report = createImportReport('sync');
+
+    try {
+      // Each account is fetched from its own last game (newly linked accounts have none yet)
+      const primarySource = getAccountSource(userData.platform, userData.username);
+      const sinceBySource = {};
+      getImportAccounts(userData).forEach(account => {
+        const source = getAccountSource(account.platform, account.username);
+        const accountLastGameTime = lastGameTimes[source] || (source === primarySource ? lastGameTime : null);
+        if (accountLastGameTime) {
+          sinceBySource[source] = new Date(accountLastGameTime).getTime();
+        }
+        console.log(`🔄 Incremental sync: Fetching ${source} games since ${accountLastGameTime ? new Date(accountLastGameTime).toLocaleString() : 'the import range start'}...`);
+      });
+
+      // Merge into the stored graph in the worker, skipping games it already contains
+      // (the since boundary is inclusive on some APIs)
+      const builder = createGraphBuilder({
+        username: openingGraph.username,
+        graphData: openingGraph.serialize()
+      });
+
+      let newGames;
+      let builtGraph;
+      try {
+        // Archives that failed to download before are fetched again along with the new games
+        newGames = await streamAccountGames(userData, builder.addGames, { sinceBySource, retryArchivesBySource: failedArchives, report });
+        builtGraph = await builder.finish();
+      } catch (error) {
+        builder.terminate();
+        throw error;
+      }
+
+      const { addedGames } = builtGraph;
+      if (addedGames > 0) {
+        console.log(`🔄 Incremental sync: Saving ${addedGames} new games...`);
+        await saveOpeningGraph(builtGraph);
+      }
+
+      console.log(`✅ Incremental sync completed: ${addedGames} new games (${newGames.gameCount - addedGames} skipped)`);
+      finishImportReport(report, 'complete');
+
+      return {
+        gameCount: (userData.gameCount || 0) + addedGames,
+        addedGames,
+        lastGameTime: Math.max(newGames.lastGameTime || 0, new Date(lastGameTime).getTime()),
+        lastGameTimes: { ...lastGameTimes, ...newGames.lastGameTimes },
+        failedArchives: newGames.failedArchives
+      };
+
+    } catch (error) {
+      console.error('Incremental sync error:', error);
+      finishImportReport(report, 'failed', error.message);
+      throw error;
+    } finally {
+      storeImportReport(report);
+    }
+  };
+
+  // Re-import the combined graph after the set of linked accounts changed
+  const reimportLinkedAccounts = async (linkedAccounts, onComplete = null) => {
+    let succeeded = false;
+    try {
+      setIsImporting(true);
+      setImportProgress(0);
+      setImportStatus('Updating linked accounts and re-importing games...');
+      
+      const updatedUser = {
+        ...user,
+        linkedAccounts
+      };
+      
+      const importResult = await importGamesWithProgress(updatedUser);
+      updatedUser.gameCount = importResult.gameCount;
+      updatedUser.lastGameTime = importResult.lastGameTime;
+      updatedUser.lastGameTimes = importResult.lastGameTimes;
+      updatedUser.failedArchives = importResult.failedArchives;
+      updatedUser.previousImport = importResult.previousImport;
+      updatedUser.lastSync = new Date().toISOString();
+      
+      setUser(updatedUser);
+      localStorage.setItem('chessScope_auth', JSON.stringify({ user: updatedUser }));
+      
+      setImportProgress(100);
+      setImportStatus('Linked accounts updated successfully!');
+      
+      succeeded = true;
+      return { success: true };
+    } catch (error) {
+      console.error('Linked accounts update error:', error);
+      setImportStatus(`Error: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      setIsImporting(false);
+      setImportProgress(0);
+      setImportStatus('');
+      
+      if (onComplete && succeeded) onComplete();
+    }
+  };
+
+  // Link another Chess.com or Lichess account so its games are merged into the same graph
+  const linkAccount = async (platform, username, onComplete = null) => {
+    const trimmedUsername = username.trim();
+    const source = getAccountSource(platform, trimmedUsername);
+    const linkedAccounts = user?.linkedAccounts || [];
+    
+    if (user?.platform === 'pgn') {
+      return { success: false, error: 'Accounts cannot be linked to a PGN file import' };
+    }
+    if (!trimmedUsername) {
+      return { success: false, error: 'Please enter a username' };
+    }
+    if (getAccountSource(user.platform, user.username) === source ||
+        linkedAccounts.some(account => getAccountSource(account.platform, account.username) === source)) {
+      return { success: false, error: 'This account is already linked' };
+    }
+    
+    try {
+      const platformUser = await getGameSource(platform).verifyAccount(trimmedUsername);
+      
+      return await reimportLinkedAccounts(
+        [...linkedAccounts, { platform, username: platformUser.username || trimmedUsername }],
+        onComplete
+      );
+    } catch (error) {
+      console.error('Link account error:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Remove a linked account and rebuild the graph without its games
+  const unlinkAccount = async (source, onComplete = null) => {
+    const linkedAccounts = (user?.linkedAccounts || []).filter(account =>
+      getAccountSource(account.platform, account.username) !== source
+    );
+    return reimportLinkedAccounts(linkedAccounts, onComplete);
+  };
+
+  // Undo the last full import by swapping the stored graph with its rollback snapshot.
+  // The user state the snapshot was imported with (settings, linked accounts, game count)
+  // is restored too, and the replaced graph becomes the new snapshot.
+  const restorePreviousImport = async () => {
+    if (!user?.previousImport) {
+      return { success: false, error: 'There is no previous import to restore' };
+    }
+    
+    try {
+      const identifier = `${user.platform}:${user.username}`.toLowerCase();
+      const currentState = getRollbackState(user);
+      const previousState = await rollbackOpeningGraph(identifier, currentState);
+      if (!previousState) {
+        throw new Error('The previous import is no longer available');
+      }
+      
+      // An unfinished import was started from the graph being replaced, so it can't be resumed
+      await deleteImportCheckpoint(identifier);
+      
+      const updatedUser = {
+        ...user,
+        ...previousState,
+        previousImport: getPreviousImport(currentState)
+      };
+      updatedUser.importSettings = withRatedFilter(updatedUser.importSettings, updatedUser.platform);
+      
+      setUser(updatedUser);
+      localStorage.setItem('chessScope_auth', JSON.stringify({ user: updatedUser }));
+      
+      console.log(`⏪ Restored previous import with ${updatedUser.gameCount} games`);
+      return { success: true };
+    } catch (error) {
+      console.error('Restore previous import error:', error);
+      return { success: false, error: error.message };
     }
   };
 
@@ -709,11 +1000,17 @@ export const AuthProvider = ({ children }) => {
     importProgress,
     importStatus,
     user,
+    importReports,
     login,
+    loginWithPgn,
     logout,
     syncUserData,
     connectGoogleDrive,
-    updateImportSettings
+    updateImportSettings,
+    cancelImport,
+    linkAccount,
+    unlinkAccount,
+    restorePreviousImport
   };
 
   return (
@@ -723,666 +1020,219 @@ export const AuthProvider = ({ children }) => {
   );
 };
 
-// Function to verify Chess.com account and fetch real data
-const verifyChessComAccount = async (username) => {
-  try {
-    // Fetch user profile from Chess.com API
-    const profileResponse = await fetch(`https://api.chess.com/pub/player/${username}`);
-    if (!profileResponse.ok) {
-      throw new Error('User not found on Chess.com');
-    }
-    const profileData = await profileResponse.json();
-    
-    // Fetch user stats from Chess.com API
-    const statsResponse = await fetch(`https://api.chess.com/pub/player/${username}/stats`);
-    if (!statsResponse.ok) {
-      throw new Error('Could not fetch user stats');
-    }
-    const statsData = await statsResponse.json();
-    
-    // Get the most relevant rating (rapid, blitz, or bullet - whichever is highest/most recent)
-    let rating = null;
-    let gameType = 'unrated';
-    
-    if (statsData.chess_rapid?.last?.rating) {
-      rating = statsData.chess_rapid.last.rating;
-      gameType = 'rapid';
-    } else if (statsData.chess_blitz?.last?.rating) {
-      rating = statsData.chess_blitz.last.rating;
-      gameType = 'blitz';
-    } else if (statsData.chess_bullet?.last?.rating) {
-      rating = statsData.chess_bullet.last.rating;
-      gameType = 'bullet';
-    } else if (statsData.chess_daily?.last?.rating) {
-      rating = statsData.chess_daily.last.rating;
-      gameType = 'daily';
-    }
-    
-    return {
-      username: profileData.username,
-      rating: rating || 'Unrated',
-      gameType,
-      country: profileData.country ? profileData.country.split('/').pop() : 'Unknown',
-      verified: true,
-      joinDate: profileData.joined,
-      lastOnline: profileData.last_online
-    };
-  } catch (error) {
-    console.error('Chess.com API error:', error);
-    throw new Error(`Failed to verify Chess.com account: ${error.message}`);
-  }
+// Mock function to backup to Google Drive
+const backupToGoogleDrive = async (games, googleAccount) => {
+  // Simulate Google Drive API call
+  await new Promise(resolve => setTimeout(resolve, 800));
+  
+  console.log(`Backed up ${games.length} games to Google Drive for ${googleAccount}`);
+  return { success: true, backupDate: new Date().toISOString() };
 };
 
-// Function to verify Lichess account and fetch real data
-const verifyLichessAccount = async (username) => {
-  try {
-    // Validate username format
-    if (!username || username.trim().length === 0) {
-      throw new Error('Username cannot be empty');
-    }
-    
-    if (username.length < 3 || username.length > 20) {
-      throw new Error('Username must be between 3 and 20 characters');
-    }
-    
-    // Fetch user profile from Lichess API
-    const profileResponse = await fetch(`https://lichess.org/api/user/${username}`, {
-      headers: {
-        'Accept': 'application/json'
-      }
-    });
-    
-    // Handle specific HTTP status codes
-    if (profileResponse.status === 404) {
-      throw new Error(`User "${username}" not found on Lichess. Please check the username and try again.`);
-    } else if (profileResponse.status === 429) {
-      throw new Error('Too many requests to Lichess API. Please wait a moment and try again.');
-    } else if (profileResponse.status >= 500) {
-      throw new Error('Lichess servers are currently unavailable. Please try again later.');
-    } else if (!profileResponse.ok) {
-      throw new Error(`Lichess API error (${profileResponse.status}): Unable to verify account`);
-    }
-    
-    const profileData = await profileResponse.json();
-    
-    // Validate response structure
-    if (!profileData || !profileData.username) {
-      throw new Error('Invalid response from Lichess API. Please try again.');
-    }
-    
-    // Check if the account is closed/banned
-    if (profileData.disabled || profileData.tosViolation) {
-      throw new Error('This Lichess account is disabled or has violated terms of service.');
-    }
-    
-    // Get the most relevant rating (rapid, blitz, or bullet - whichever is highest/most recent)
-    let rating = null;
-    let gameType = 'unrated';
-    
-    if (profileData.perfs?.rapid?.rating) {
-      rating = profileData.perfs.rapid.rating;
-      gameType = 'rapid';
-    } else if (profileData.perfs?.blitz?.rating) {
-      rating = profileData.perfs.blitz.rating;
-      gameType = 'blitz';
-    } else if (profileData.perfs?.bullet?.rating) {
-      rating = profileData.perfs.bullet.rating;
-      gameType = 'bullet';
-    } else if (profileData.perfs?.classical?.rating) {
-      rating = profileData.perfs.classical.rating;
-      gameType = 'classical';
-    } else if (profileData.perfs?.correspondence?.rating) {
-      rating = profileData.perfs.correspondence.rating;
-      gameType = 'correspondence';
-    }
-    
-    return {
-      username: profileData.username,
-      rating: rating || 'Unrated',
-      gameType,
-      country: profileData.profile?.country || 'Unknown',
-      verified: true,
-      joinDate: profileData.createdAt,
-      lastOnline: profileData.seenAt,
-      title: profileData.title || null
-    };
-  } catch (error) {
-    console.error('Lichess API error:', error);
-    
-    // Handle network errors
-    if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      throw new Error('Network error: Unable to connect to Lichess. Please check your internet connection.');
-    }
-    
-    // Re-throw with our custom message if it's already a user-friendly error
-    if (error.message.includes('not found') || 
-        error.message.includes('Too many requests') || 
-        error.message.includes('servers are currently unavailable') ||
-        error.message.includes('disabled') ||
-        error.message.includes('Username must be') ||
-        error.message.includes('Username cannot be') ||
-        error.message.includes('Invalid response')) {
-      throw error;
-    }
-    
-    // Generic fallback error
-    throw new Error(`Failed to verify Lichess account: ${error.message || 'Unknown error occurred'}`);
-  }
+// Helper function to get a game's end time in milliseconds
+// (Lichess stores ISO strings, Chess.com and PGN files Unix seconds)
+const getGameTimestamp = (game) => {
+  if (!game || !game.end_time) return 0;
+  if (typeof game.end_time === 'string') return new Date(game.end_time).getTime() || 0;
+  return game.end_time * 1000;
 };
 
-// Function to fetch recent Chess.com games
-const fetchChessComGames = async (username, importSettings = {}, onProgress = null) => {
-  try {
-    const {
-      selectedTimeControls = ['rapid', 'blitz', 'bullet'],
-      selectedDateRange = '3',
-      customDateRange = { from: null, to: null }
-    } = importSettings;
-
-    let games = [];
-    const currentDate = new Date();
-    
-    // Report initial fetch start
-    if (onProgress) {
-      onProgress({ phase: 'download', progress: 0, status: 'Fetching archive list from Chess.com...' });
-    }
-    
-    // Calculate how many months back to fetch based on selectedDateRange
-    let monthsToFetch = 3; // default
-    if (selectedDateRange === "custom") {
-      if (customDateRange.from && customDateRange.to) {
-        const fromDate = new Date(customDateRange.from);
-        const toDate = new Date(customDateRange.to);
-        monthsToFetch = Math.ceil((toDate - fromDate) / (1000 * 60 * 60 * 24 * 30)); // approximate months
-      }
-    } else {
-      monthsToFetch = parseInt(selectedDateRange);
+// Helper function to get the time an account's incremental sync starts from, in milliseconds.
+// Lichess filters \`since\` by creation time, so a game that started before the last synced
+// game ended would be missed if the sync started from the end time.
+const getGameSinceTimestamp = (game) => {
+  const startTime = game?.start_time ? new Date(game.start_time).getTime() : NaN;
+  return Number.isFinite(startTime) ? startTime : getGameTimestamp(game);
+};
+
+// localStorage key of the latest import reports ({ import, sync }, see @/api/importReport)
+const IMPORT_REPORTS_KEY = 'chessScope_importReports';
+const EMPTY_IMPORT_REPORTS = { import: null, sync: null };
+
+// Full imports that produce no games fail instead of replacing the stored graph with an empty one
+const NO_GAMES_IMPORTED_MESSAGE = 'No games were found for these import settings. Your existing games have been kept.';
+
+// Helper function to pick the user state a graph was imported with, stored alongside its
+// rollback snapshot so restoring the graph also restores the matching settings
+const getRollbackState = (userData) => {
+  if (!userData) return null;
+  const { importSettings, linkedAccounts = [], gameCount, lastGameTime, lastGameTimes = {}, failedArchives = {}, lastSync } = userData;
+  return { importSettings, linkedAccounts, gameCount, lastGameTime, lastGameTimes, failedArchives, lastSync };
+};
+
+// Helper function to summarize a rollback snapshot for display (null when there is none)
+const getPreviousImport = (rollbackState) => {
+  if (!rollbackState) return null;
+  return { gameCount: rollbackState.gameCount || 0, lastSync: rollbackState.lastSync };
+};
+
+// Number of newly imported games between two saved import checkpoints
+const CHECKPOINT_INTERVAL = 500;
+
+// Helper function to create the running summary of an import. Besides the totals it keeps
+// per-account resume state: processed Chess.com archives, oldest imported game and game count,
+// and the archives that could not be downloaded per source (retried by the next sync).
+const createImportSummary = () => ({ gameCount: 0, lastGameTime: null, lastGameTimes: {}, failedArchives: {}, sources: {} });
+
+// Helper function to identify what an import checkpoint was made for; a checkpoint is only
+// resumed by an import of the same accounts with the same settings
+const getImportCheckpointKey = (userData) => JSON.stringify({
+  accounts: getImportAccounts(userData).map(account => getAccountSource(account.platform, account.username)),
+  importSettings: userData.importSettings
+});
+
+// Helper function to count the failed archives of an import summary
+const countFailedArchives = (failedArchives = {}) => {
+  return Object.values(failedArchives).reduce((count, urls) => count + urls.length, 0);
+};
+
+// Helper function to record a batch of imported games: count, newest game time overall and
+// newest sync start time per source (see getGameSinceTimestamp)
+const trackImportedGames = (summary, games) => {
+  games.forEach(game => {
+    const timestamp = getGameTimestamp(game);
+    summary.gameCount++;
+    if (timestamp > (summary.lastGameTime || 0)) summary.lastGameTime = timestamp;
+    if (game.source) {
+      summary.lastGameTimes[game.source] = Math.max(summary.lastGameTimes[game.source] || 0, getGameSinceTimestamp(game));
     }
+  });
+};
+
+// Helper function to stream every linked account's games to onGames in batches.
+// Progress from each account is spread evenly over the 0-45% fetch range. Passing the summary
+// of an interrupted import skips the accounts, archives and games it already covered.
+// Skipped games, failed archives and the graph builder's issues go into the import report.
+const streamAccountGames = async (userData, onGames, {
+  onProgress = null,
+  sinceBySource = {},
+  retryArchivesBySource = {},
+  signal = null,
+  summary = createImportSummary(),
+  onBatchComplete = null,
+  report = null
+} = {}) => {
+  const accounts = getImportAccounts(userData);
+  const maxGames = getMaxGames(userData.importSettings);
+  if (!summary.failedArchives) summary.failedArchives = {}; // Checkpoints saved before failures were tracked
+  
+  for (let accountIndex = 0; accountIndex < accounts.length; accountIndex++) {
+    const account = accounts[accountIndex];
+    const source = getAccountSource(account.platform, account.username);
     
-    // First, get the archives list
-    const archivesResponse = await fetch(`https://api.chess.com/pub/player/${username}/games/archives`);
-    if (!archivesResponse.ok) {
-      throw new Error("Username not found or API error");
+    if (!summary.sources[source]) {
+      summary.sources[source] = { completed: false, processedArchives: [], oldestGameTime: null, gameCount: 0 };
     }
+    const sourceState = summary.sources[source];
+    if (sourceState.completed || sourceState.gameCount >= maxGames) continue;
     
-    const archivesData = await archivesResponse.json();
-    const allArchives = archivesData.archives || [];
-    
-    // Get the most recent archives based on months to fetch
-    const recentArchives = allArchives.slice(-monthsToFetch);
-    
-    if (onProgress) {
-      onProgress({ 
-        phase: 'download', 
-        progress: 5, 
-        status: `Found ${recentArchives.length} archives to check...` 
+    const handleAccountProgress = onProgress && ((progressData) => {
+      onProgress({
+        ...progressData,
+        progress: (accountIndex + progressData.progress / 45) * (45 / accounts.length),
+        status: accounts.length > 1 ? `${account.username}: ${progressData.status}` : progressData.status
       });
-    }
+    });
     
-    // Fetch games from multiple months
-    let archivesProcessed = 0;
-    for (let i = 0; i < recentArchives.length && games.length < 1500; i++) {
-      const archiveUrl = recentArchives[recentArchives.length - 1 - i]; // Start from most recent
-      
-      try {
-        if (onProgress) {
-          const archiveProgress = 5 + (archivesProcessed / recentArchives.length) * 35; // 5% to 40%
-          onProgress({ 
-            phase: 'download', 
-            progress: archiveProgress,
-            status: `Downloading archive ${archivesProcessed + 1}/${recentArchives.length}...`
-          });
-        }
-        
-        const gamesResponse = await fetch(archiveUrl);
+    await fetchAccountGames(account, userData.importSettings, handleAccountProgress, {
+      since: sinceBySource[source],
+      retryArchives: retryArchivesBySource[source] || [],
+      onArchiveFailed: (archiveUrl, error) => {
+        summary.failedArchives[source] = [...(summary.failedArchives[source] || []), archiveUrl];
+        recordFailedArchive(report, source, archiveUrl, error);
+      },
+      onSkippedGame: (reason, details) => recordSkippedGame(report, source, reason, details),
+      signal,
+      skipArchives: sourceState.processedArchives,
+      until: sourceState.oldestGameTime,
+      maxGames: maxGames - sourceState.gameCount,
+      onGames: async (games, { archiveUrl } = {}) => {
+        throwIfCancelled(signal);
+        const batchResult = await onGames(games);
+        recordImportedBatch(report, games, batchResult?.issues);
         
-        if (gamesResponse.ok) {
-          const gamesData = await gamesResponse.json();
-          const monthGames = gamesData.games || [];
-          
-          // Filter games by selected time controls as we fetch
-          const filteredMonthGames = monthGames
-            .filter(game => game.rules === "chess")
-            .filter(game => {
-              const timeControl = game.time_control;
-              const gameType = getGameType(timeControl);
-              return selectedTimeControls.includes(gameType);
-            });
-          
-          games = [...games, ...filteredMonthGames];
-          
-          archivesProcessed++;
-          
-          if (onProgress) {
-            onProgress({ 
-              phase: 'download', 
-              progress: 5 + (archivesProcessed / recentArchives.length) * 35,
-              status: `Found ${games.length} ${selectedTimeControls.join('/')} games so far...`
-            });
+        trackImportedGames(summary, games);
+        sourceState.gameCount += games.length;
+        games.forEach(game => {
+          const timestamp = getGameTimestamp(game);
+          if (timestamp && (!sourceState.oldestGameTime || timestamp < sourceState.oldestGameTime)) {
+            sourceState.oldestGameTime = timestamp;
           }
-          
-          // Break early if we have enough games
-          if (games.length >= 1500) {
-            break;
+        });
+        if (archiveUrl) {
+          sourceState.processedArchives.push(archiveUrl);
+          // A resumed import can download an archive that failed before the interruption
+          if (summary.failedArchives[source]) {
+            summary.failedArchives[source] = summary.failedArchives[source].filter(url => url !== archiveUrl);
           }
         }
         
-        // Small delay to prevent API rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
-        
-      } catch (archiveError) {
-        console.warn(`Failed to fetch archive ${archiveUrl}:`, archiveError);
-        archivesProcessed++;
-      }
-    }
-    
-    // Report parsing phase
-    if (onProgress) {
-      onProgress({ 
-        phase: 'parsing', 
-        progress: 40, 
-        status: `Processing ${games.length} games...` 
-      });
-    }
-    
-    // Sort and limit games
-    const finalGames = games
-      .slice(-1500) // Hard limit of 1500 games
-      .sort((a, b) => b.end_time - a.end_time); // Most recent first
-    
-    // Process and return the games
-    const processedGames = finalGames.map((game, index) => {
-      // Report parsing progress periodically
-      if (onProgress && index % 50 === 0) {
-        const parseProgress = 40 + (index / finalGames.length) * 5; // 40% to 45%
-        onProgress({ 
-          phase: 'parsing', 
-          progress: parseProgress,
-          status: `Processing game ${index}/${finalGames.length}...`
-        });
+        if (onBatchComplete) await onBatchComplete(summary);
       }
-      
-      return {
-        id: game.uuid || index,
-        white: game.white, // Keep full white object with result property
-        black: game.black, // Keep full black object with result property
-        date: new Date(game.end_time * 1000).toISOString(),
-        timeControl: game.time_control,
-        gameType: getGameType(game.time_control),
-        url: game.url,
-        pgn: game.pgn,
-        time_control: game.time_control,
-        end_time: game.end_time,
-        rated: game.rated,
-        time_class: game.time_class,
-        rules: game.rules || "chess"
-      };
     });
     
-    if (onProgress) {
-      onProgress({ 
-        phase: 'complete', 
-        progress: 45, 
-        status: `Downloaded ${processedGames.length} games from Chess.com` 
-      });
-    }
-    
-    return processedGames;
-  } catch (error) {
-    console.error('Failed to fetch Chess.com games:', error);
-    // Return empty array on error rather than throwing
-    return [];
+    sourceState.completed = true;
   }
+  
+  return summary;
 };
 
-// Function to fetch recent Lichess games
-const fetchLichessGames = async (username, importSettings = {}, onProgress = null) => {
-  try {
-    // Validate inputs
-    if (!username || username.trim().length === 0) {
-      console.warn('Empty username provided to fetchLichessGames');
-      return [];
-    }
-    
-    const {
-      selectedTimeControls = ['rapid', 'blitz', 'bullet'],
-      selectedDateRange = '3',
-      customDateRange = { from: null, to: null }
-    } = importSettings;
-
-    // Validate time controls
-    if (!Array.isArray(selectedTimeControls) || selectedTimeControls.length === 0) {
-      console.warn('No time controls selected for Lichess games fetch');
-      return [];
-    }
-
-    // Calculate date range for Lichess API
-    const currentDate = new Date();
-    let sinceDate = null;
-    let untilDate = null;
-    
-    try {
-      if (selectedDateRange === "custom") {
-        if (customDateRange.from && customDateRange.to) {
-          sinceDate = new Date(customDateRange.from);
-          untilDate = new Date(customDateRange.to);
-          
-          // Validate date range
-          if (sinceDate >= untilDate) {
-            console.warn('Invalid date range: start date must be before end date');
-            sinceDate = null;
-            untilDate = null;
-          }
-        }
-      } else if (selectedDateRange && selectedDateRange !== "all") {
-        // For preset ranges (1, 2, 3 months), only set the since date
-        const monthsBack = parseInt(selectedDateRange);
-        if (!isNaN(monthsBack) && monthsBack > 0) {
-          sinceDate = new Date();
-          sinceDate.setMonth(currentDate.getMonth() - monthsBack);
-        }
-      }
-    } catch (dateError) {
-      console.warn('Error processing date range:', dateError);
-      sinceDate = null;
-      untilDate = null;
-    }
-    
-    // Build Lichess API URL like the working openingtree project
-    const lichessBaseURL = 'https://lichess.org/api/games/user/';
-    const playerNameFilter = encodeURIComponent(username);
-    
-    // Map our time controls to Lichess perfType values
-    const getPerfs = (selectedTimeControls) => {
-      if (selectedTimeControls.length === 0 || selectedTimeControls.length >= 4) {
-        return null; // Get all time controls
-      }
-      
-      const perfMapping = {
-        'bullet': 'bullet',
-        'blitz': 'blitz', 
-        'rapid': 'rapid',
-        'classical': 'classical'
-      };
-      
-      return selectedTimeControls
-        .map(tc => perfMapping[tc])
-        .filter(p => p)
-        .join(',');
-    };
-    
-    const perfs = getPerfs(selectedTimeControls);
-    const perfFilter = perfs ? `&perfType=${perfs}` : '';
-    const ratedFilter = '&rated=true'; // Only rated games
-    
-    // Only add date filters if they exist
-    const timeSinceFilter = sinceDate ? `&since=${sinceDate.getTime()}` : '';
-    const timeUntilFilter = untilDate ? `&until=${untilDate.getTime() + (24 * 60 * 60 * 1000)}` : '';
-    
-    const apiUrl = `${lichessBaseURL}${playerNameFilter}?max=1500${ratedFilter}${perfFilter}${timeSinceFilter}${timeUntilFilter}`;
-    
-    console.log('Fetching Lichess games from:', apiUrl);
-    
-    // Report initial download start
-    if (onProgress) {
-      onProgress({ phase: 'download', progress: 0, status: 'Connecting to Lichess...' });
-    }
-    
-    const response = await fetch(apiUrl, {
-      headers: {
-        'Accept': 'application/x-ndjson'
-      }
-    });
-    
-    // Handle specific HTTP status codes
-    if (response.status === 404) {
-      console.warn(`User "${username}" not found on Lichess or has no games`);
-      return [];
-    } else if (response.status === 429) {
-      console.warn('Rate limited by Lichess API');
-      throw new Error('Too many requests to Lichess. Please wait a moment and try again.');
-    } else if (response.status >= 500) {
-      console.warn('Lichess server error');
-      throw new Error('Lichess servers are temporarily unavailable. Please try again later.');
-    } else if (!response.ok) {
-      console.warn(`Lichess API error: ${response.status}`);
-      throw new Error(`Unable to fetch games from Lichess (Error ${response.status})`);
-    }
-    
-    // Get content length if available for progress tracking
-    const contentLength = response.headers.get('content-length');
-    let receivedLength = 0;
-    
-    // Report download started
-    if (onProgress) {
-      onProgress({ phase: 'download', progress: 5, status: 'Downloading games from Lichess...' });
-    }
-    
-    // Read the response as a stream for progress tracking
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let chunks = [];
-    
-    while (true) {
-      const { done, value } = await reader.read();
-      
-      if (done) break;
-      
-      chunks.push(value);
-      receivedLength += value.length;
-      
-      // Calculate and report download progress
-      if (onProgress) {
-        if (contentLength) {
-          // If we know the total size, show accurate progress
-          const downloadPercent = Math.min((receivedLength / contentLength) * 100, 95);
-          onProgress({ 
-            phase: 'download', 
-            progress: 5 + downloadPercent * 0.35, // 5% to 40% of total
-            status: `Downloading games: ${Math.round(receivedLength / 1024)}KB...`
-          });
-        } else {
-          // If no content length, show data received
-          onProgress({ 
-            phase: 'download', 
-            progress: Math.min(5 + (receivedLength / (1024 * 100)) * 30, 35), // Estimate based on typical size
-            status: `Downloading games: ${Math.round(receivedLength / 1024)}KB received...`
-          });
-        }
-      }
-    }
-    
-    // Combine chunks and decode
-    const chunksAll = new Uint8Array(receivedLength);
-    let position = 0;
-    for (const chunk of chunks) {
-      chunksAll.set(chunk, position);
-      position += chunk.length;
-    }
-    
-    const text = decoder.decode(chunksAll);
-    
-    // Check if response is empty (no games)
-    if (!text || text.trim().length === 0) {
-      console.info(`No games found for user ${username} in the specified date range`);
-      return [];
-    }
-    
-    // Report parsing start
-    if (onProgress) {
-      onProgress({ phase: 'parsing', progress: 40, status: 'Parsing downloaded games...' });
-    }
-    
-    // Parse NDJSON (newline-delimited JSON) - each line is a separate game JSON object
-    let jsonLines = [];
-    try {
-      jsonLines = text.trim().split('\n').filter(line => line.trim());
-      console.log(`Received ${jsonLines.length} JSON games from Lichess`);
-    } catch (parseError) {
-      console.error('Error parsing Lichess games response:', parseError);
-      throw new Error('Invalid response format from Lichess API');
-    }
-    
-    // Check if we got any valid games
-    if (jsonLines.length === 0) {
-      console.info(`No valid games found for user ${username}`);
-      return [];
-    }
-    
-    // Parse JSON lines to extract game data
-    let processedGames = [];
-    for (let i = 0; i < jsonLines.length; i++) {
-      try {
-        const jsonLine = jsonLines[i];
-        if (!jsonLine || jsonLine.trim().length === 0) continue;
-        
-        // Parse the JSON game data
-        const gameData = JSON.parse(jsonLine);
-        
-        // Extract game data directly from Lichess JSON format
-        const extractedData = {
-          username,
-          game_id: gameData.id,
-          url: `https://lichess.org/${gameData.id}`,
-          time_control: `${gameData.clock.initial}+${gameData.clock.increment}`,
-          end_time: new Date(gameData.lastMoveAt).toISOString(),
-          rated: gameData.rated,
-          time_class: gameData.speed,
-          rules: gameData.variant,
-          white_rating: gameData.players.white.rating,
-          black_rating: gameData.players.black.rating,
-          white_username: gameData.players.white.user.name,
-          black_username: gameData.players.black.user.name,
-          moves: gameData.moves.split(' ').filter(m => m.trim()),
-          player_color: gameData.players.white.user.name.toLowerCase() === username.toLowerCase() ? "white" : "black",
-          result: (() => {
-            const isWhite = gameData.players.white.user.name.toLowerCase() === username.toLowerCase();
-            if (gameData.winner === 'white' && isWhite) return "win";
-            else if (gameData.winner === 'black' && !isWhite) return "win";
-            else if (gameData.winner === 'white' && !isWhite) return "lose";
-            else if (gameData.winner === 'black' && isWhite) return "lose";
-            else return "draw";
-          })(),
-          platform: 'lichess'
-        };
-        
-        // Filter by time control if needed (additional safety check)
-        const gameType = getLichessGameType(extractedData.time_class);
-        if (selectedTimeControls.includes(gameType)) {
-          processedGames.push(extractedData);
-          
-          // Debug logging every 50 games to track result distribution
-          if (processedGames.length % 50 === 0 || i === jsonLines.length - 1) {
-            const wins = processedGames.filter(g => g.result === 'win').length;
-            const losses = processedGames.filter(g => g.result === 'lose').length;
-            const draws = processedGames.filter(g => g.result === 'draw').length;
-            console.log(`📊 After ${processedGames.length} games: ${wins} wins (${((wins/processedGames.length)*100).toFixed(1)}%), ${losses} losses (${((losses/processedGames.length)*100).toFixed(1)}%), ${draws} draws (${((draws/processedGames.length)*100).toFixed(1)}%)`);
-          }
-        }
-        
-        // Report parsing progress
-        if (onProgress && i % 20 === 0) {
-          const parsePercent = (i / jsonLines.length) * 100;
-          onProgress({ 
-            phase: 'parsing', 
-            progress: 40 + parsePercent * 0.05, // 40% to 45% of total
-            status: `Parsing games: ${i}/${jsonLines.length}...`
-          });
-        }
-      } catch (processError) {
-        console.warn(`Error processing game ${i}:`, processError);
-        // Continue processing other games
-      }
-    }
-    
-    // Final result summary
-    const finalWins = processedGames.filter(g => g.result === 'win').length;
-    const finalLosses = processedGames.filter(g => g.result === 'lose').length;
-    const finalDraws = processedGames.filter(g => g.result === 'draw').length;
-    
-    console.log(`✅ Final Lichess results: ${finalWins} wins (${((finalWins/processedGames.length)*100).toFixed(1)}%), ${finalLosses} losses (${((finalLosses/processedGames.length)*100).toFixed(1)}%), ${finalDraws} draws (${((finalDraws/processedGames.length)*100).toFixed(1)}%)`);
-    console.log(`Successfully processed ${processedGames.length} games from Lichess`);
-    
-    // Sort by date (most recent first) and limit to 1500 games
-    return processedGames
-      .sort((a, b) => new Date(b.end_time) - new Date(a.end_time))
-      .slice(0, 1500);
-    
-  } catch (error) {
-    console.error('Failed to fetch Lichess games:', error);
-    
-    // Handle network errors
-    if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      console.warn('Network error fetching Lichess games');
-      throw new Error('Network error: Unable to connect to Lichess. Please check your internet connection.');
-    }
-    
-    // Re-throw user-friendly errors
-    if (error.message.includes('Too many requests') || 
-        error.message.includes('temporarily unavailable') ||
-        error.message.includes('Invalid response format')) {
-      throw error;
+// Helper function to stream games that are already in memory (PGN files) to onGames in batches
+const streamPreloadedGames = async (games, importSettings, onGames, { signal = null, report = null } = {}) => {
+  const summary = createImportSummary();
+  const maxGames = getMaxGames(importSettings);
+  const limitedGames = [];
+  games.forEach(game => {
+    if (!matchesImportFilters(game, importSettings)) {
+      recordSkippedGame(report, game.source, 'filtered', { gameId: game.game_id });
+    } else if (limitedGames.length >= maxGames) {
+      recordSkippedGame(report, game.source, 'limit', { gameId: game.game_id });
+    } else {
+      limitedGames.push(game);
     }
-    
-    // For other errors, log but return empty array to allow the app to continue
-    console.warn('Unexpected error fetching Lichess games, returning empty array');
-    return [];
+  });
+  
+  for (let i = 0; i < limitedGames.length; i += GAME_BATCH_SIZE) {
+    throwIfCancelled(signal);
+    const batch = limitedGames.slice(i, i + GAME_BATCH_SIZE);
+    const batchResult = await onGames(batch);
+    recordImportedBatch(report, batch, batchResult?.issues);
+    trackImportedGames(summary, batch);
   }
+  
+  return summary;
 };
 
-// Mock function to backup to Google Drive
-const backupToGoogleDrive = async (games, googleAccount) => {
-  // Simulate Google Drive API call
-  await new Promise(resolve => setTimeout(resolve, 800));
-  
-  console.log(`Backed up ${games.length} games to Google Drive for ${googleAccount}`);
-  return { success: true, backupDate: new Date().toISOString() };
+// Helper function to build the source tag stored with every game
+const getAccountSource = (platform, username) => `${platform}:${username}`.toLowerCase();
+
+// Helper function to list the online accounts to import: the primary account plus linked ones
+const getImportAccounts = (userData) => {
+  const accounts = [
+    { platform: userData.platform, username: userData.username },
+    ...(userData.linkedAccounts || [])
+  ];
+  return accounts.filter(account => findGameSource(account.platform));
 };
 
-// Helper function to determine game type from time control
-const getGameType = (timeControl) => {
-  if (!timeControl) return 'unknown';
+// Helper function to fetch one account's games as normalized game data tagged with its source.
+// With options.onGames the games are streamed to it in batches instead of being returned.
+// The remaining options (since, signal, skipArchives, until, maxGames, onSkippedGame, ...) go to
+// the source adapter.
+const fetchAccountGames = async (account, importSettings = {}, onProgress = null, options = {}) => {
+  const { platform, username } = account;
+  const { onGames = null } = options;
+  const source = getAccountSource(platform, username);
   
-  if (timeControl.includes('+')) {
-    const [baseTime] = timeControl.split('+');
-    const minutes = parseInt(baseTime) / 60;
-    
-    if (minutes < 3) return 'bullet';
-    if (minutes <= 10) return 'blitz';
-    if (minutes <= 30) return 'rapid';
-    return 'classical';
-  }
-  
-  if (timeControl === '1/86400') return 'daily';
+  // Games are already normalized (and filtered) by the source adapters
+  const normalizeGames = (games) => games.map(game => ({ ...game, source }));
   
-  // Fallback logic
-  const seconds = parseInt(timeControl) || 0;
-  const minutes = seconds / 60;
+  const fetchOptions = {
+    ...options,
+    onGames: onGames && ((games, batchInfo) => onGames(normalizeGames(games), batchInfo))
+  };
   
-  if (minutes < 3) return 'bullet';
-  if (minutes <= 10) return 'blitz';
-  if (minutes <= 30) return 'rapid';
-  if (minutes > 30) return 'classical';
+  const games = await getGameSource(platform).fetchGames(username, importSettings, onProgress, fetchOptions);
   
-  return 'daily';
+  return normalizeGames(games);
 };
-
-// Helper function to determine Lichess game type from speed
-const getLichessGameType = (speed) => {
-  if (!speed) return 'unknown';
-  
-  switch (speed) {
-    case 'bullet':
-      return 'bullet';
-    case 'blitz':
-      return 'blitz';
-    case 'rapid':
-      return 'rapid';
-    case 'classical':
-      return 'classical';
-    case 'correspondence':
-      return 'correspondence';
-    default:
-      return 'unknown';
-  }
-}; 
\ No newline at end of file
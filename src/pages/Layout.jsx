@@ -13,11 +13,14 @@ import { Calendar } from "@/components/ui/calendar";
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Label } from "@/components/ui/label";
-import { Network, User, Settings, Shield, RefreshCw, Loader2, Calendar as CalendarIcon, Globe, CheckCircle, AlertCircle, LogOut, ChevronLeft, ChevronRight, Github, Linkedin } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { Network, User, Settings, Shield, RefreshCw, Loader2, Calendar as CalendarIcon, Globe, CheckCircle, AlertCircle, LogOut, ChevronLeft, ChevronRight, Github, Linkedin, FileText, Link2, Plus, X, RotateCcw, Filter, ClipboardList } from "lucide-react";
 import { useAuth } from "@/contexts/AuthContext";
+import { findGameSource, getGameSource, getGameSources } from "@/api/gameSources";
 import { format } from "date-fns";
 import { cn } from "@/lib/utils";
 import { SettingsLoading } from "@/components/ui/settings-loading";
+import ImportReportDialog from "@/components/import/ImportReportDialog";
 
 function createPageUrl(name) {
   return `/${name}`;
@@ -68,17 +71,24 @@ const formatLastOnline = (timestamp) => {
 export default function Layout() {
   const location = useLocation();
   const navigate = useNavigate();
-  const { user, logout, syncUserData, updateImportSettings, isSyncing, isImporting, importProgress, importStatus } = useAuth();
+  const { user, logout, syncUserData, updateImportSettings, cancelImport, linkAccount, unlinkAccount, restorePreviousImport, importReports, isSyncing, isImporting, importProgress, importStatus } = useAuth();
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(() => {
     const savedState = localStorage.getItem('sidebar-collapsed');
     return savedState ? JSON.parse(savedState) : false;
   });
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
   const [tempSettings, setTempSettings] = useState({});
+  const [blocklistText, setBlocklistText] = useState('');
   const [isLoggingOut, setIsLoggingOut] = useState(false);
   const [isLoggingOutTransition, setIsLoggingOutTransition] = useState(false);
   const [showLogoutDialog, setShowLogoutDialog] = useState(false);
   const [settingsSaveStarted, setSettingsSaveStarted] = useState(false);
+  const [linkPlatform, setLinkPlatform] = useState('lichess');
+  const [linkUsername, setLinkUsername] = useState('');
+  const [linkError, setLinkError] = useState('');
+  const [isImportCancelled, setIsImportCancelled] = useState(false);
+  const [settingsError, setSettingsError] = useState('');
+  const [isRestoring, setIsRestoring] = useState(false);
   const [showUserContent, setShowUserContent] = useState(() => {
     const savedState = localStorage.getItem('sidebar-collapsed');
     const isCollapsed = savedState ? JSON.parse(savedState) : false;
@@ -116,21 +126,90 @@ export default function Layout() {
 
   const handleSettingsOpen = () => {
     setTempSettings(user?.importSettings || {});
+    setBlocklistText((user?.importSettings?.opponentBlocklist || []).join(', '));
     setIsSettingsOpen(true);
     setSettingsSaveStarted(false);
+    setLinkUsername('');
+    setLinkError('');
+    setSettingsError('');
+    setIsImportCancelled(false);
+  };
+
+  const handleCancelImport = () => {
+    setIsImportCancelled(true);
+    cancelImport();
+  };
+
+  const handleLinkAccount = async () => {
+    setLinkError('');
+    setSettingsError('');
+    setIsImportCancelled(false);
+    setSettingsSaveStarted(true);
+    const result = await linkAccount(linkPlatform, linkUsername, handleSettingsLoadingComplete);
+    if (!result.success) {
+      setLinkError(result.error);
+      setSettingsSaveStarted(false);
+    }
+  };
+
+  const handleUnlinkAccount = async (account) => {
+    setLinkError('');
+    setSettingsError('');
+    setIsImportCancelled(false);
+    setSettingsSaveStarted(true);
+    const result = await unlinkAccount(`${account.platform}:${account.username}`.toLowerCase(), handleSettingsLoadingComplete);
+    if (!result.success) {
+      setLinkError(result.error);
+      setSettingsSaveStarted(false);
+    }
   };
 
   const handleSettingsSave = async () => {
     try {
       console.log('🎯 Starting settings save');
       setSettingsSaveStarted(true); // Mark that save has started
-      await updateImportSettings(tempSettings, handleSettingsLoadingComplete); // Add callback back
+      setSettingsError('');
+      setIsImportCancelled(false);
+      // The blocklist is edited as comma-separated text and stored as lowercase usernames
+      const opponentBlocklist = blocklistText
+        .split(/[,\s]+/)
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+      const result = await updateImportSettings({ ...tempSettings, opponentBlocklist }, handleSettingsLoadingComplete); // Add callback back
+      
+      // A failed re-import keeps the existing graph; show why and leave the dialog open
+      if (!result.success) {
+        setSettingsError(result.error);
+        setSettingsSaveStarted(false);
+      }
     } catch (error) {
       console.error('Failed to update settings:', error);
       setSettingsSaveStarted(false); // Reset on error
     }
   };
 
+  const hasInvalidRatingRange = Boolean(tempSettings.minOpponentRating && tempSettings.maxOpponentRating &&
+    tempSettings.minOpponentRating > tempSettings.maxOpponentRating);
+
+  // Empty rating/length inputs clear the filter
+  const handleFilterNumberChange = (key, value) => {
+    const number = parseInt(value);
+    setTempSettings(prev => ({ ...prev, [key]: Number.isFinite(number) && number > 0 ? number : null }));
+  };
+
+  const handleRestorePreviousImport = async () => {
+    setSettingsError('');
+    setIsRestoring(true);
+    const result = await restorePreviousImport();
+    setIsRestoring(false);
+    
+    if (result.success) {
+      handleSettingsLoadingComplete();
+    } else {
+      setSettingsError(result.error);
+    }
+  };
+
   const handleSettingsLoadingComplete = () => {
     console.log('🎉 Settings loading complete callback called!');
     
@@ -294,6 +373,14 @@ export default function Layout() {
                                 : 'left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2'
                             }`} 
                           />
+                        ) : user.platform === 'pgn' ? (
+                          <FileText 
+                            className={`w-6 h-6 text-slate-300 absolute transition-all duration-300 ease-in-out ${
+                              showPawnInPosition 
+                                ? 'left-3 top-3' 
+                                : 'left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2'
+                            }`} 
+                          />
                         ) : (
                           <img 
                             src="/chesscom_logo_pawn.svg" 
@@ -355,7 +442,7 @@ export default function Layout() {
                   <TooltipTrigger asChild>
                     <Button
                       onClick={handleManualSync}
-                      disabled={isSyncing || isImporting}
+                      disabled={isSyncing || isImporting || user?.platform === 'pgn'}
                       size="sm"
                       variant="outline"
                       className={`border-slate-600 text-slate-300 hover:bg-slate-700 transition-all duration-200 ${isSidebarCollapsed ? 'px-3' : 'justify-start'}`}
@@ -580,18 +667,7 @@ export default function Layout() {
                   </div>
                 </CardHeader>
                 <CardContent className="space-y-4">
-                  {(user?.platform === 'lichess' ? [
-                    { id: 'bullet', label: 'Bullet', desc: '< 3 minutes' },
-                    { id: 'blitz', label: 'Blitz', desc: '3-8 minutes' },
-                    { id: 'rapid', label: 'Rapid', desc: '8-25 minutes' },
-                    { id: 'classical', label: 'Classical', desc: '> 25 minutes' },
-                    { id: 'correspondence', label: 'Correspondence', desc: 'Several days' }
-                  ] : [
-                    { id: 'bullet', label: 'Bullet', desc: '< 3 minutes' },
-                    { id: 'blitz', label: 'Blitz', desc: '3-10 minutes' },
-                    { id: 'rapid', label: 'Rapid', desc: '10-30 minutes' },
-                    { id: 'daily', label: 'Daily', desc: 'Correspondence' }
-                  ]).map((timeControl) => (
+                  {(findGameSource(user?.platform) || getGameSource('chess.com')).timeControls.map((timeControl) => (
                     <div key={timeControl.id} className="flex items-center space-x-3 p-3 rounded-lg hover:bg-slate-600/30 transition-colors">
                       <Checkbox
                         id={`settings-${timeControl.id}`}
@@ -640,11 +716,34 @@ export default function Layout() {
                         <SelectItem value="2">Last 2 months</SelectItem>
                         <SelectItem value="3">Last 3 months</SelectItem>
                         <SelectItem value="6">Last 6 months</SelectItem>
+                        <SelectItem value="12">Last 12 months</SelectItem>
+                        <SelectItem value="all">All time</SelectItem>
                         <SelectItem value="custom">Custom range</SelectItem>
                       </SelectContent>
                     </Select>
                   </div>
 
+                  <div className="space-y-2">
+                    <Label className="text-slate-200 font-medium">Game Limit</Label>
+                    <Select 
+                      value={String(tempSettings.maxGames || 1500)} 
+                      onValueChange={(value) => setTempSettings(prev => ({...prev, maxGames: value === 'all' ? 'all' : parseInt(value)}))}
+                      disabled={isImporting}
+                    >
+                      <SelectTrigger className="bg-slate-600/50 border-slate-500 text-white disabled:opacity-50">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="bg-slate-700 border-slate-600">
+                        <SelectItem value="500">500 games</SelectItem>
+                        <SelectItem value="1500">1,500 games</SelectItem>
+                        <SelectItem value="5000">5,000 games</SelectItem>
+                        <SelectItem value="10000">10,000 games</SelectItem>
+                        <SelectItem value="all">All games</SelectItem>
+                      </SelectContent>
+                    </Select>
+                    <p className="text-slate-400 text-xs">Most recent games per account. Large imports take longer to build.</p>
+                  </div>
+
                   {tempSettings.selectedDateRange === "custom" && (
                     <div className="space-y-4">
                       <div className="grid grid-cols-2 gap-4">
@@ -724,6 +823,102 @@ export default function Layout() {
                 </CardContent>
               </Card>
 
+              {/* Game Filters */}
+              <Card className="bg-slate-700/30 border-slate-600/50">
+                <CardHeader className="pb-4">
+                  <div className="flex items-center gap-3">
+                    <div className="w-10 h-10 bg-orange-600 rounded-lg flex items-center justify-center">
+                      <Filter className="w-5 h-5 text-white" />
+                    </div>
+                    <div>
+                      <CardTitle className="text-lg text-white">Game Filters</CardTitle>
+                      <p className="text-slate-400 text-sm">Choose which games to import</p>
+                    </div>
+                  </div>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <div className="space-y-2">
+                    <Label className="text-slate-200 font-medium">Game Type</Label>
+                    <Select 
+                      value={tempSettings.ratedFilter || 'all'} 
+                      onValueChange={(value) => setTempSettings(prev => ({...prev, ratedFilter: value}))}
+                      disabled={isImporting}
+                    >
+                      <SelectTrigger className="bg-slate-600/50 border-slate-500 text-white disabled:opacity-50">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="bg-slate-700 border-slate-600">
+                        <SelectItem value="all">Rated and casual</SelectItem>
+                        <SelectItem value="rated">Rated only</SelectItem>
+                        <SelectItem value="casual">Casual only</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label className="text-slate-200 font-medium">Opponent Rating</Label>
+                    <div className="grid grid-cols-2 gap-4">
+                      <Input
+                        type="number"
+                        min="0"
+                        placeholder="Min"
+                        value={tempSettings.minOpponentRating || ''}
+                        onChange={(e) => handleFilterNumberChange('minOpponentRating', e.target.value)}
+                        disabled={isImporting}
+                        className="bg-slate-600/50 border-slate-500 text-white placeholder:text-slate-400"
+                      />
+                      <Input
+                        type="number"
+                        min="0"
+                        placeholder="Max"
+                        value={tempSettings.maxOpponentRating || ''}
+                        onChange={(e) => handleFilterNumberChange('maxOpponentRating', e.target.value)}
+                        disabled={isImporting}
+                        className="bg-slate-600/50 border-slate-500 text-white placeholder:text-slate-400"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label className="text-slate-200 font-medium">Minimum Game Length</Label>
+                    <Input
+                      type="number"
+                      min="0"
+                      placeholder="Any length"
+                      value={tempSettings.minMoves || ''}
+                      onChange={(e) => handleFilterNumberChange('minMoves', e.target.value)}
+                      disabled={isImporting}
+                      className="bg-slate-600/50 border-slate-500 text-white placeholder:text-slate-400"
+                    />
+                    <p className="text-slate-400 text-xs">In moves. Skips aborted and very short games.</p>
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label className="text-slate-200 font-medium">Excluded Opponents</Label>
+                    <Input
+                      placeholder="username1, username2"
+                      value={blocklistText}
+                      onChange={(e) => setBlocklistText(e.target.value)}
+                      disabled={isImporting}
+                      className="bg-slate-600/50 border-slate-500 text-white placeholder:text-slate-400"
+                    />
+                  </div>
+
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <Label className="text-slate-200 font-medium">Exclude Bots</Label>
+                      <p className="text-slate-400 text-xs">Skip games against Lichess bot accounts</p>
+                    </div>
+                    <Checkbox
+                      checked={tempSettings.excludeBots || false}
+                      onCheckedChange={(checked) => setTempSettings(prev => ({...prev, excludeBots: checked}))}
+                      disabled={isImporting}
+                      className="border-slate-500 data-[state=checked]:bg-orange-600 data-[state=checked]:border-orange-600 disabled:opacity-50"
+                    />
+                  </div>
+                </CardContent>
+              </Card>
+
               {/* Auto-Sync Settings */}
               <Card className="bg-slate-700/30 border-slate-600/50">
                 <CardHeader className="pb-4">
@@ -757,21 +952,158 @@ export default function Layout() {
                       <div className="text-sm">
                         <p className="text-slate-200 font-medium mb-1">Current Settings</p>
                         <p className="text-slate-400 text-xs">
-                          Game limit: 1500 games (fixed)
+                          Game limit: {tempSettings.maxGames === 'all' ? 'All games' : `${tempSettings.maxGames || 1500} games`}
                         </p>
                         <p className="text-slate-400 text-xs">
                           Time controls: {(tempSettings.selectedTimeControls || []).join(', ') || 'None selected'}
                         </p>
                         <p className="text-slate-400 text-xs">
-                          Date range: {tempSettings.selectedDateRange === 'custom' ? 'Custom' : `${tempSettings.selectedDateRange || '3'} months`}
+                          Date range: {tempSettings.selectedDateRange === 'custom' ? 'Custom' : tempSettings.selectedDateRange === 'all' ? 'All time' : `${tempSettings.selectedDateRange || '3'} months`}
                         </p>
                       </div>
                     </div>
                   </div>
+
+                  {/* The graph replaced by the last re-import is kept and can be swapped back in */}
+                  {user?.previousImport && (
+                    <div className="flex items-center justify-between gap-3 bg-slate-600/30 p-4 rounded-lg">
+                      <div className="text-sm">
+                        <p className="text-slate-200 font-medium mb-1">Previous Import</p>
+                        <p className="text-slate-400 text-xs">
+                          {user.previousImport.gameCount} games{user.previousImport.lastSync ? `, synced ${formatLastOnline(user.previousImport.lastSync)}` : ''}
+                        </p>
+                      </div>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={handleRestorePreviousImport}
+                        disabled={isImporting || isRestoring}
+                        className="border-slate-500 text-slate-200 hover:bg-slate-700 disabled:opacity-50"
+                      >
+                        {isRestoring ? (
+                          <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                        ) : (
+                          <RotateCcw className="w-4 h-4 mr-2" />
+                        )}
+                        Restore
+                      </Button>
+                    </div>
+                  )}
+
+                  {/* What the last import and sync fetched, imported and skipped */}
+                  {(importReports.import || importReports.sync) && (
+                    <div className="flex items-center justify-between gap-3 bg-slate-600/30 p-4 rounded-lg">
+                      <div className="text-sm">
+                        <p className="text-slate-200 font-medium mb-1">Import Report</p>
+                        <p className="text-slate-400 text-xs">
+                          Skipped games, failed archives and games with illegal moves or unknown results
+                        </p>
+                      </div>
+                      <ImportReportDialog reports={importReports}>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          className="border-slate-500 text-slate-200 hover:bg-slate-700"
+                        >
+                          <ClipboardList className="w-4 h-4 mr-2" />
+                          View
+                        </Button>
+                      </ImportReportDialog>
+                    </div>
+                  )}
                 </CardContent>
               </Card>
             </div>
 
+            {/* Linked Accounts (games from every account are merged into one graph) */}
+            {user?.platform !== 'pgn' && (
+              <Card className="bg-slate-700/30 border-slate-600/50 mb-6">
+                <CardHeader className="pb-4">
+                  <div className="flex items-center gap-3">
+                    <div className="w-10 h-10 bg-orange-600 rounded-lg flex items-center justify-center">
+                      <Link2 className="w-5 h-5 text-white" />
+                    </div>
+                    <div>
+                      <CardTitle className="text-lg text-white">Linked Accounts</CardTitle>
+                      <p className="text-slate-400 text-sm">Combine games from other Chess.com and Lichess accounts into one graph</p>
+                    </div>
+                  </div>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  <div className="space-y-2">
+                    <div className="flex items-center gap-3 p-3 rounded-lg bg-slate-600/30">
+                      <User className="w-4 h-4 text-slate-400" />
+                      <span className="text-slate-200 font-medium flex-1">{user?.username}</span>
+                      <Badge variant="outline" className="text-xs bg-slate-700/50 text-slate-300">
+                        {findGameSource(user?.platform)?.name || 'PGN'}
+                      </Badge>
+                      <span className="text-slate-500 text-xs">Primary</span>
+                    </div>
+                    {(user?.linkedAccounts || []).map((account) => (
+                      <div key={`${account.platform}:${account.username}`} className="flex items-center gap-3 p-3 rounded-lg bg-slate-600/30">
+                        <User className="w-4 h-4 text-slate-400" />
+                        <span className="text-slate-200 font-medium flex-1">{account.username}</span>
+                        <Badge variant="outline" className="text-xs bg-slate-700/50 text-slate-300">
+                          {getGameSource(account.platform).name}
+                        </Badge>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleUnlinkAccount(account)}
+                          disabled={isImporting}
+                          className="h-7 w-7 p-0 text-slate-400 hover:text-white"
+                        >
+                          <X className="w-4 h-4" />
+                        </Button>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div className="flex flex-col md:flex-row gap-3">
+                    <Select value={linkPlatform} onValueChange={setLinkPlatform} disabled={isImporting}>
+                      <SelectTrigger className="md:w-40 bg-slate-600/50 border-slate-500 text-white disabled:opacity-50">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="bg-slate-700 border-slate-600">
+                        {getGameSources().map(source => (
+                          <SelectItem key={source.id} value={source.id}>{source.name}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Input
+                      value={linkUsername}
+                      onChange={(e) => setLinkUsername(e.target.value)}
+                      placeholder="Username to link"
+                      disabled={isImporting}
+                      className="flex-1 bg-slate-600/50 border-slate-500 text-white placeholder:text-slate-400"
+                    />
+                    <Button
+                      onClick={handleLinkAccount}
+                      disabled={isImporting || !linkUsername.trim()}
+                      className="bg-orange-600 hover:bg-orange-700 text-white disabled:opacity-50"
+                    >
+                      <Plus className="w-4 h-4 mr-2" />
+                      Link & Re-import
+                    </Button>
+                  </div>
+
+                  {linkError && (
+                    <p className="text-red-400 text-sm">{linkError}</p>
+                  )}
+                </CardContent>
+              </Card>
+            )}
+
+            {/* Import errors (the existing games are kept when an import fails) */}
+            {settingsError && (
+              <Alert className="bg-red-500/10 border-red-500/50">
+                <AlertCircle className="h-4 w-4 text-red-400" />
+                <AlertDescription className="text-red-300">
+                  {settingsError}
+                </AlertDescription>
+              </Alert>
+            )}
+
             {/* Validation */}
             {(tempSettings.selectedTimeControls || []).length === 0 && (
               <Alert className="bg-red-500/10 border-red-500/50">
@@ -791,6 +1123,15 @@ export default function Layout() {
               </Alert>
             )}
 
+            {hasInvalidRatingRange && (
+              <Alert className="bg-red-500/10 border-red-500/50">
+                <AlertCircle className="h-4 w-4 text-red-400" />
+                <AlertDescription className="text-red-300">
+                  The minimum opponent rating must not be above the maximum.
+                </AlertDescription>
+              </Alert>
+            )}
+
             {/* Loading / Success indicator – always shown at the bottom */}
             {isImporting ? (
               <SettingsLoading 
@@ -798,6 +1139,8 @@ export default function Layout() {
                 progress={importProgress}
                 status={importStatus}
                 onComplete={handleSettingsLoadingComplete}
+                onCancel={handleCancelImport}
+                isCancelled={isImportCancelled}
                 className="border-t border-b border-slate-700/50 my-4"
               />
             ) : (
@@ -816,7 +1159,8 @@ export default function Layout() {
               <Button 
                 onClick={handleSettingsSave}
                 disabled={isImporting || (tempSettings.selectedTimeControls || []).length === 0 || 
-                         (tempSettings.selectedDateRange === "custom" && (!tempSettings.customDateRange?.from || !tempSettings.customDateRange?.to))}
+                         (tempSettings.selectedDateRange === "custom" && (!tempSettings.customDateRange?.from || !tempSettings.customDateRange?.to)) ||
+                         hasInvalidRatingRange}
                 className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white disabled:opacity-50"
               >
                 {(isImporting || settingsSaveStarted) ? (
@@ -11,16 +11,17 @@ import { Checkbox } from '@/components/ui/checkbox';
 import { Calendar } from '@/components/ui/calendar';
 import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
-import { Shield, User, Settings, Globe, ChevronRight, Calendar as CalendarIcon, Loader2, AlertCircle, ArrowLeft, Cloud } from 'lucide-react';
+import { Shield, User, Settings, Globe, ChevronRight, Calendar as CalendarIcon, Loader2, AlertCircle, ArrowLeft, Cloud, FileText, Upload } from 'lucide-react';
 import { format } from "date-fns";
 import { cn } from "@/lib/utils";
 import { useToast } from '@/components/ui/use-toast';
 import { SettingsLoading } from '@/components/ui/settings-loading';
+import { PgnFileDropzone } from '@/components/chess/PgnFileDropzone';
 
 export default function LoginPage() {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, isImporting, importProgress, importStatus } = useAuth();
+  const { login, loginWithPgn, cancelImport, isImporting, importProgress, importStatus } = useAuth();
   const { toast } = useToast();
   const [isVisible, setIsVisible] = useState(false);
   const [isLeaving, setIsLeaving] = useState(false);
@@ -30,6 +31,8 @@ export default function LoginPage() {
   const [username, setUsername] = useState('');
   const [chessComUsername, setChessComUsername] = useState('');
   const [googleAccount, setGoogleAccount] = useState('');
+  const [pgnFiles, setPgnFiles] = useState([]);
+  const [pgnAliases, setPgnAliases] = useState('');
   const [error, setError] = useState('');
   const [step, setStep] = useState(0); // 0: Platform Selection, 1: Connect Account, 2: Google Drive (optional)
   
@@ -42,6 +45,8 @@ export default function LoginPage() {
   });
   const [showCustomDatePicker, setShowCustomDatePicker] = useState(false);
   const [autoSync, setAutoSync] = useState(true);
+  const [maxGames, setMaxGames] = useState(1500); // Most recent games to import ('all' = no limit)
+  const [isImportCancelled, setIsImportCancelled] = useState(false);
 
   // Entrance animation effect
   useEffect(() => {
@@ -132,8 +137,48 @@ export default function LoginPage() {
     }, 150);
   };
 
+  const handlePgnSubmit = async () => {
+    if (pgnFiles.length === 0) {
+      setError('Please select at least one PGN file');
+      return;
+    }
+    if (!username.trim()) {
+      setError('Please enter your player name as it appears in the PGN files');
+      return;
+    }
+    if (selectedTimeControls.length === 0) {
+      setError('Please select at least one time control to import');
+      return;
+    }
+
+    setError('');
+
+    try {
+      const importSettings = {
+        selectedTimeControls,
+        selectedDateRange: 'all',
+        customDateRange: { from: null, to: null },
+        maxGames: 'all',
+        autoSync: false
+      };
+      const playerNames = [username, ...pgnAliases.split(',')];
+
+      const result = await loginWithPgn(pgnFiles, playerNames, importSettings);
+      if (!result.success) {
+        setError(result.error || 'Failed to import PGN files');
+      }
+    } catch {
+      setError('Import failed. Please check your PGN files and try again.');
+    }
+  };
+
   const handleAccountSubmit = async (e) => {
     e.preventDefault();
+    setIsImportCancelled(false);
+    if (selectedPlatform === 'pgn') {
+      await handlePgnSubmit();
+      return;
+    }
     if (!username.trim()) {
       setError(`Please enter your ${selectedPlatform === 'lichess' ? 'Lichess' : 'Chess.com'} username`);
       return;
@@ -164,6 +209,7 @@ export default function LoginPage() {
         selectedTimeControls,
         selectedDateRange,
         customDateRange,
+        maxGames,
         autoSync
       };
       
@@ -230,7 +276,7 @@ export default function LoginPage() {
           Back
         </Button>
 
-        <div className={`w-full max-w-4xl transition-all duration-300 ${
+        <div className={`w-full max-w-6xl transition-all duration-300 ${
           isLeaving ? 'opacity-0 transform -translate-x-8' :
           isVisible ? 'opacity-100 transform translate-x-0' : 
           'opacity-0 transform translate-x-8'
@@ -251,7 +297,7 @@ export default function LoginPage() {
             </p>
           </div>
 
-          <div className={`grid grid-cols-1 md:grid-cols-2 gap-8 max-w-4xl mx-auto transition-all duration-300 delay-100 ${
+          <div className={`grid grid-cols-1 md:grid-cols-3 gap-8 max-w-6xl mx-auto transition-all duration-300 delay-100 ${
             isLeaving ? 'opacity-0 transform -translate-x-4' :
             isVisible ? 'opacity-100 transform translate-x-0' : 
             'opacity-0 transform translate-x-4'
@@ -317,6 +363,37 @@ export default function LoginPage() {
                 </div>
               </CardContent>
             </Card>
+
+            {/* PGN File Import */}
+            <Card 
+              className="bg-slate-800/50 backdrop-blur-xl border-slate-700/50 hover:bg-slate-800/70 transition-all duration-300 cursor-pointer group"
+              onClick={() => handlePlatformSelection('pgn')}
+            >
+              <CardContent className="p-8">
+                <div className="flex flex-col items-center space-y-6">
+                  <div className="w-20 h-20 bg-white rounded-2xl flex items-center justify-center group-hover:scale-105 transition-transform duration-300">
+                    <FileText className="w-12 h-12 text-slate-800" />
+                  </div>
+                  <div className="text-center">
+                    <h3 className="text-2xl font-bold text-white mb-2">PGN Files</h3>
+                    <p className="text-slate-400 text-sm">
+                      Import games from OTB tournaments, other sites or databases
+                    </p>
+                  </div>
+                  <div className="bg-slate-700/30 p-4 rounded-lg border border-slate-600/50 w-full">
+                    <div className="flex items-start gap-3">
+                      <Shield className="w-5 h-5 text-green-400 mt-0.5 flex-shrink-0" />
+                      <div className="text-sm">
+                        <p className="text-slate-200 font-medium mb-1">Stays Local</p>
+                        <p className="text-slate-400">
+                          Files are read in your browser and never leave your device
+                        </p>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
           </div>
         </div>
       </div>
@@ -354,7 +431,9 @@ export default function LoginPage() {
                 <Shield className="w-8 h-8 text-slate-900" />
               </div>
             </div>
-            <h1 className="text-4xl font-bold text-white mb-3">Connect Your {selectedPlatform === 'lichess' ? 'Lichess' : 'Chess.com'} Account</h1>
+            <h1 className="text-4xl font-bold text-white mb-3">
+              {selectedPlatform === 'pgn' ? 'Import Your PGN Files' : `Connect Your ${selectedPlatform === 'lichess' ? 'Lichess' : 'Chess.com'} Account`}
+            </h1>
             <p className="text-slate-400 text-lg max-w-2xl mx-auto">
               Configure your import settings and connect to analyze your opening performance and discover patterns in your games
             </p>
@@ -366,7 +445,57 @@ export default function LoginPage() {
               isVisible ? 'opacity-100 transform translate-x-0' : 
               'opacity-0 transform translate-x-4'
             }`}>
-              {/* Left Column - Account Connection */}
+              {/* Left Column - Account Connection (or PGN files and player names) */}
+              {selectedPlatform === 'pgn' ? (
+              <Card className="bg-slate-800/50 backdrop-blur-xl border-slate-700/50">
+                <CardHeader className="pb-4">
+                  <div className="flex items-center gap-3">
+                    <div className="w-10 h-10 bg-blue-600 rounded-lg flex items-center justify-center">
+                      <Upload className="w-5 h-5 text-white" />
+                    </div>
+                    <div>
+                      <CardTitle className="text-xl text-white">PGN Files</CardTitle>
+                      <p className="text-slate-400 text-sm">Select the games to analyze</p>
+                    </div>
+                  </div>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                  <PgnFileDropzone
+                    files={pgnFiles}
+                    onFilesChange={setPgnFiles}
+                    disabled={isImporting}
+                  />
+
+                  <div className="space-y-2">
+                    <Label htmlFor="username" className="text-slate-200 font-medium">Player Name</Label>
+                    <Input
+                      id="username"
+                      type="text"
+                      value={username}
+                      onChange={(e) => setUsername(e.target.value)}
+                      placeholder="e.g. Carlsen, Magnus"
+                      className="bg-slate-700/50 border-slate-600 text-white placeholder:text-slate-400 focus:border-blue-500"
+                      disabled={isImporting}
+                      required
+                    />
+                  </div>
+
+                  <div className="space-y-2">
+                    <Label htmlFor="pgnAliases" className="text-slate-200 font-medium">Aliases</Label>
+                    <Input
+                      id="pgnAliases"
+                      type="text"
+                      value={pgnAliases}
+                      onChange={(e) => setPgnAliases(e.target.value)}
+                      placeholder="Other names, separated by commas"
+                      className="bg-slate-700/50 border-slate-600 text-white placeholder:text-slate-400 focus:border-blue-500"
+                      disabled={isImporting}
+                    />
+                    <p className="text-slate-400 text-xs">Your color in each game is detected from the White/Black headers</p>
+                  </div>
+                </CardContent>
+              </Card>
+              ) : (
               <Card className="bg-slate-800/50 backdrop-blur-xl border-slate-700/50">
                 <CardHeader className="pb-4">
                   <div className="flex items-center gap-3">
@@ -417,6 +546,7 @@ export default function LoginPage() {
                   </div>
                 </CardContent>
               </Card>
+              )}
 
               {/* Middle Column - Time Controls */}
               <Card className="bg-slate-800/50 backdrop-blur-xl border-slate-700/50">
@@ -432,7 +562,7 @@ export default function LoginPage() {
                   </div>
                 </CardHeader>
                 <CardContent className="space-y-4">
-                  {(selectedPlatform === 'lichess' ? [
+                  {(selectedPlatform === 'lichess' || selectedPlatform === 'pgn' ? [
                     { id: 'bullet', label: 'Bullet', desc: '< 3 minutes' },
                     { id: 'blitz', label: 'Blitz', desc: '3-8 minutes' },
                     { id: 'rapid', label: 'Rapid', desc: '8-25 minutes' },
@@ -463,7 +593,34 @@ export default function LoginPage() {
                 </CardContent>
               </Card>
 
-              {/* Right Column - Date Range & Auto-Sync */}
+              {/* Right Column - Date Range & Auto-Sync (PGN imports include every game in the files) */}
+              {selectedPlatform === 'pgn' ? (
+              <Card className="bg-slate-800/50 backdrop-blur-xl border-slate-700/50">
+                <CardHeader className="pb-4">
+                  <div className="flex items-center gap-3">
+                    <div className="w-10 h-10 bg-green-600 rounded-lg flex items-center justify-center">
+                      <Globe className="w-5 h-5 text-white" />
+                    </div>
+                    <div>
+                      <CardTitle className="text-xl text-white">Import Settings</CardTitle>
+                      <p className="text-slate-400 text-sm">How PGN games are read</p>
+                    </div>
+                  </div>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  <div className="bg-slate-700/30 p-4 rounded-lg border border-slate-600/50">
+                    <div className="flex items-start gap-3">
+                      <Shield className="w-5 h-5 text-green-400 mt-0.5 flex-shrink-0" />
+                      <div className="text-sm text-slate-400 space-y-2">
+                        <p>Files with multiple games are split automatically.</p>
+                        <p>Games where none of your names appear, or without a result, are skipped.</p>
+                        <p>Games without a TimeControl header are always included.</p>
+                      </div>
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+              ) : (
               <Card className="bg-slate-800/50 backdrop-blur-xl border-slate-700/50">
                 <CardHeader className="pb-4">
                   <div className="flex items-center gap-3">
@@ -492,11 +649,33 @@ export default function LoginPage() {
                         <SelectItem value="2">Last 2 months</SelectItem>
                         <SelectItem value="3">Last 3 months</SelectItem>
                         <SelectItem value="6">Last 6 months</SelectItem>
+                        <SelectItem value="12">Last 12 months</SelectItem>
+                        <SelectItem value="all">All time</SelectItem>
                         <SelectItem value="custom">Custom range</SelectItem>
                       </SelectContent>
                     </Select>
                   </div>
 
+                  <div className="space-y-2">
+                    <Label className="text-slate-200 font-medium">Game Limit</Label>
+                    <Select 
+                      value={String(maxGames)} 
+                      onValueChange={(value) => setMaxGames(value === 'all' ? 'all' : parseInt(value))}
+                      disabled={isImporting}
+                    >
+                      <SelectTrigger className="bg-slate-700/50 border-slate-600 text-white">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="bg-slate-800 border-slate-700">
+                        <SelectItem value="500">500 games</SelectItem>
+                        <SelectItem value="1500">1,500 games</SelectItem>
+                        <SelectItem value="5000">5,000 games</SelectItem>
+                        <SelectItem value="10000">10,000 games</SelectItem>
+                        <SelectItem value="all">All games</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+
                   {selectedDateRange === "custom" && (
                     <div className="space-y-4">
                       <div className="grid grid-cols-2 gap-4">
@@ -587,6 +766,7 @@ export default function LoginPage() {
                   </div>
                 </CardContent>
               </Card>
+              )}
             </div>
 
             {/* Error Display */}
@@ -612,6 +792,11 @@ export default function LoginPage() {
                   status={importStatus}
                   onComplete={handleImportComplete}
                   successMessage="Games Imported Successfully!"
+                  onCancel={() => {
+                    setIsImportCancelled(true);
+                    cancelImport();
+                  }}
+                  isCancelled={isImportCancelled}
                   className="border-t border-b border-slate-700/50 my-6"
                 />
               )}
@@ -641,7 +826,7 @@ export default function LoginPage() {
                 ) : (
                   <div className="flex items-center gap-3">
                     <ChevronRight className="w-5 h-5" />
-                    Connect & Import Games
+                    {selectedPlatform === 'pgn' ? 'Import Games' : 'Connect & Import Games'}
                   </div>
                 )}
               </Button>
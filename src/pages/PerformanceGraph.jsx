@@ -8,7 +8,7 @@ import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Slider } from '@/components/ui/slider';
 import { Alert, AlertDescription } from '@/components/ui/alert';
-import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '@/components/ui/dropdown-menu';
+import { DropdownMenu, DropdownMenuCheckboxItem, DropdownMenuContent, DropdownMenuItem, DropdownMenuLabel, DropdownMenuTrigger } from '@/components/ui/dropdown-menu';
 import { NavigationButtons, NavigationPresets } from '@/components/ui/navigation-buttons';
 import { 
   Target, 
@@ -30,10 +30,14 @@ import {
   RefreshCw,
   Loader2,
   Grid3x3,
-  Network
+  Network,
+  Users,
+  GitMerge
 } from 'lucide-react';
 import { useChessboardSync } from '../hooks/useChessboardSync';
 import { loadOpeningGraph } from '../api/graphStorage';
+import GameFilterPopover from '@/components/chess/GameFilterPopover';
+import { VARIANT_LABELS, DEFAULT_GAME_FILTER } from '../api/openingGraph';
 
 
 
@@ -63,6 +67,17 @@ const getPerformanceData = (winRate, gameCount) => {
   return PERFORMANCE_COLORS.difficult;
 };
 
+// Confidence-adjusted win rate and rating-aware metrics of a move for graph node and edge data
+// (rating metrics are null without rated games)
+const getMoveMetrics = (details) => ({
+  adjustedWinRate: details?.adjustedWinRate ?? null,
+  winRateInterval: details?.winRateInterval ?? null,
+  expectedScore: details?.expectedScore ?? null,
+  scoreDelta: details?.scoreDelta ?? null,
+  performanceRating: details?.performanceRating ?? null,
+  averagePlayerRating: details?.averagePlayerRating ?? null
+});
+
 // Function to get distinct color for each opening (no similarity grouping)
 const getOpeningColorIndex = (openingName, allOpeningNames = []) => {
   // Sort all opening names to ensure consistent ordering
@@ -575,6 +590,23 @@ const createOpeningClusters = (nodes) => {
   return clusters;
 };
 
+// Format a "platform:username" source tag for display
+const formatSource = (source) => {
+  const [platform, ...rest] = source.split(':');
+  const platformName = platform === 'lichess' ? 'Lichess' : platform === 'pgn' ? 'PGN' : 'Chess.com';
+  return `${rest.join(':')} (${platformName})`;
+};
+
+// Format a non-standard starting position for the variant selector
+// (Chess960 positions are recognizable by their back rank)
+const formatVariant = (variant, startFen) => {
+  const board = startFen.split(' ')[0];
+  const label = VARIANT_LABELS[variant] || VARIANT_LABELS.fromPosition;
+  return variant === 'chess960'
+    ? `${label} ${board.split('/').pop()}`
+    : `${label} ${board.length > 24 ? `${board.slice(0, 24)}…` : board}`;
+};
+
 // Main Performance Graph Component
 function PerformanceGraphContent() {
   // Component lifecycle logging
@@ -599,8 +631,16 @@ function PerformanceGraphContent() {
   const [graphLoaded, setGraphLoaded] = useState(false); // Track when graph is loaded
   const [winRateFilter, setWinRateFilter] = useState([0, 100]); // [min, max] win rate filter (applied)
   const [tempWinRateFilter, setTempWinRateFilter] = useState([0, 100]); // [min, max] win rate filter (temporary)
+  const [colorMetric, setColorMetric] = useState('winRate'); // Metric graph nodes are colored by (see utils/performanceMetrics)
   const [isGenerating, setIsGenerating] = useState(false); // Track graph generation
   const [initialLoad, setInitialLoad] = useState(true); // Track initial page load
+  const [availableSources, setAvailableSources] = useState([]); // Linked accounts that contributed games
+  const [availableTimeClasses, setAvailableTimeClasses] = useState([]); // Time classes of the stored games
+  // Source filter (null = all accounts), period/time class/rated filters (stats are recounted from the
+  // stored games) and whether positions reached by different move orders are merged
+  const [gameFilter, setGameFilter] = useState({ sources: null, mergeTranspositions: true, ...DEFAULT_GAME_FILTER });
+  const [availableVariants, setAvailableVariants] = useState([]); // Other starting positions (Chess960, from position)
+  const [selectedStartFen, setSelectedStartFen] = useState(null); // Shown starting position (null = standard)
   
   // Opening clustering state
   const [openingClusteringEnabled, setOpeningClusteringEnabled] = useState(false);
@@ -653,7 +693,8 @@ function PerformanceGraphContent() {
     setNodes
   });
 
-  const openingGraphRef = useRef(null);
+  const openingGraphRef = useRef(null); // Graph for the selected starting position
+  const loadedGraphRef = useRef(null); // Graph as loaded, holding the graphs for every starting position
   
   // Canvas fitView function reference
   const [canvasFitView, setCanvasFitView] = useState(null);
@@ -719,6 +760,12 @@ function PerformanceGraphContent() {
         }
         
         openingGraphRef.current = graph;
+        loadedGraphRef.current = graph;
+        setAvailableVariants(graph.getVariants());
+        setSelectedStartFen(null); // Always start with the standard starting position
+        setAvailableSources(graph.getSources());
+        setAvailableTimeClasses(graph.getTimeClasses());
+        setGameFilter(prev => ({ ...prev, sources: null })); // Reset the source filter whenever the graph is reloaded
         setGraphLoaded(true); // Trigger recalculation
         setInitialLoad(false); // Mark initial load as complete
         
@@ -767,6 +814,7 @@ function PerformanceGraphContent() {
       
       // Clear all cached state
       openingGraphRef.current = null;
+      loadedGraphRef.current = null;
       setOpeningGraph(null);
       setMovesStats(null);
       setGraphData({ nodes: [], edges: [], maxGameCount: 0 });
@@ -841,7 +889,7 @@ function PerformanceGraphContent() {
     if (openingGraphRef.current && !loading && !initialLoad) {
       setIsGenerating(true);
     }
-  }, [selectedPlayer, maxDepth, minGameCount, winRateFilter]);
+  }, [selectedPlayer, maxDepth, minGameCount, winRateFilter, gameFilter, selectedStartFen]);
   
   // Function to enrich nodes with opening cluster information and current position
   const enrichNodesWithOpeningClusters = (nodes, clusters) => {
@@ -1001,12 +1049,12 @@ function PerformanceGraphContent() {
       
       try {
       // Get root moves
-      const rootMoves = openingGraphRef.current.getRootMoves(selectedPlayer === 'white');
+      const rootMoves = openingGraphRef.current.getRootMoves(selectedPlayer === 'white', gameFilter);
       
       if (!rootMoves || rootMoves.length === 0) {
         console.warn(`No root moves found for ${selectedPlayer} - showing default empty moves`);
         // Return a default moves with just the root node so it's never completely empty
-        const rootFen = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+        const rootFen = openingGraphRef.current.startFen;
         const defaultRootNode = {
           id: rootFen,
           type: 'chessPosition',
@@ -1039,8 +1087,8 @@ function PerformanceGraphContent() {
       const LEVEL_HEIGHT = 350; // Even larger spacing for bigger nodes  
       const NODE_SPACING = 240; // More horizontal spacing for 180px nodes (was 200 for 140px nodes)
       
-      // Add root node at the top center
-      const rootFen = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+      // Add root node at the top center (the selected starting position)
+      const rootFen = openingGraphRef.current.startFen;
       const totalGames = rootMoves.reduce((sum, move) => sum + (move.gameCount || 0), 0);
       
       rawNodes.push({
@@ -1152,12 +1200,16 @@ function PerformanceGraphContent() {
               // First level - use root moves
               movesToGet = finalRootMoves;
             } else {
+              // Positions nobody played on from have nothing to expand
+              if (parentNode.continuations === 0) continue;
+              
               // Deeper levels - get moves from position using the SAME logic as Opening Tree
               const moveSequence = parentNode.moveSequence || [];
               // Use the EXACT same method as ChunkVisualization
               movesToGet = openingGraphRef.current.getMovesFromPosition(
                 moveSequence, 
-                selectedPlayer === 'white'
+                selectedPlayer === 'white',
+                gameFilter
               );
             }
             
@@ -1237,12 +1289,34 @@ function PerformanceGraphContent() {
               const gameCount = move.gameCount || 0;
               maxGameCount = Math.max(maxGameCount, gameCount);
               
-              const nodeId = move.toFen || `${parentNode.id}-${move.san}-${currentLevel}-${index}`;
               const parentMoveSequence = parentNode.moveSequence || [];
               const moveSequence = [...parentMoveSequence, move.san];
+              // Merged transpositions share one node per position; otherwise each move order has its own
+              const nodeId = gameFilter.mergeTranspositions
+                ? (move.positionKey || `${parentNode.id}-${move.san}-${currentLevel}-${index}`)
+                : moveSequence.join(' ');
               
-              // Prevent duplicates
+              // A position already in the tree was reached by another move order: link it instead
               if (rawNodes.some(n => n.id === nodeId)) {
+                if (nodeId !== parentNode.id) {
+                  rawEdges.push({
+                    id: `${parentNode.id}-${nodeId}`,
+                    source: parentNode.id,
+                    target: nodeId,
+                    sourceHandle: 'bottom',
+                    targetHandle: 'top',
+                    type: 'chessMove',
+                    animated: false,
+                    data: {
+                      san: move.san,
+                      winRate: move.details?.winRate || move.winRate || 0,
+                      ...getMoveMetrics(move.details),
+                      gameCount: gameCount,
+                      maxGameCount: maxGameCount,
+                      isTransposition: true
+                    }
+                  });
+                }
                 return;
               }
               
@@ -1262,6 +1336,7 @@ function PerformanceGraphContent() {
                 data: {
                   fen: move.toFen,
                   winRate: calculatedWinRate,
+                  ...getMoveMetrics(move.details),
                   gameCount: gameCount,
                   san: move.san,
                   openingName: move.openingInfo?.name || 'Unknown Opening',
@@ -1274,7 +1349,8 @@ function PerformanceGraphContent() {
                   moveSequence: moveSequence
                 },
                 // Store moveSequence at top level for next iteration
-                moveSequence: moveSequence
+                moveSequence: moveSequence,
+                continuations: move.continuations
               };
               
               rawNodes.push(childNode);
@@ -1307,6 +1383,7 @@ function PerformanceGraphContent() {
                   data: {
                     san: move.san,
                     winRate: move.details?.winRate || move.winRate || 0,
+                    ...getMoveMetrics(move.details),
                     gameCount: gameCount,
                     maxGameCount: maxGameCount
                   }
@@ -1574,11 +1651,11 @@ function PerformanceGraphContent() {
           return;
         }
         
-        // Validate parent-child relationship
+        // Validate parent-child relationship (transpositions join a position reached by another move order)
         const sourceNode = validNodes.find(n => n.id === edge.source);
         const targetNode = validNodes.find(n => n.id === edge.target);
         
-        if (sourceNode && targetNode) {
+        if (sourceNode && targetNode && !edge.data?.isTransposition) {
           const sourceSequence = sourceNode.data.moveSequence || [];
           const targetSequence = targetNode.data.moveSequence || [];
           
@@ -1644,7 +1721,7 @@ function PerformanceGraphContent() {
   };
   
   generateGraph();
-}, [selectedPlayer, maxDepth, minGameCount, winRateFilter, loading, graphLoaded, initialLoad]);
+}, [selectedPlayer, maxDepth, minGameCount, winRateFilter, gameFilter, selectedStartFen, loading, graphLoaded, initialLoad]);
 
   // Update nodes and edges when data changes
   useEffect(() => {
@@ -1769,6 +1846,50 @@ function PerformanceGraphContent() {
     setTempWinRateFilter(newTempFilter);
   };
 
+  // Switch between the standard graph and the graph for another starting position
+  const handleVariantChange = (startFen) => {
+    const loadedGraph = loadedGraphRef.current;
+    const graph = startFen ? loadedGraph?.getVariantGraph(startFen) : loadedGraph;
+    if (!graph) return;
+    
+    openingGraphRef.current = graph;
+    setSelectedStartFen(startFen);
+    setOpeningGraph(graph);
+    setMovesStats(graph.getOverallStats());
+    setAvailableSources(graph.getSources());
+    setAvailableTimeClasses(graph.getTimeClasses());
+    setGameFilter(prev => ({ ...prev, sources: null }));
+    
+    // Move sequences from the previous starting position don't apply to the new one
+    chessboardSync.syncMovesToChessboard([]);
+    setSelectedNode(null);
+    setCurrentNodeId(null);
+    setCurrentPositionFen(null);
+    setMovesCurrentPath([]);
+  };
+
+  // Toggle one linked account in the source filter (at least one account stays selected)
+  const handleSourceToggle = (source, checked) => {
+    const allSources = availableSources.map(entry => entry.source);
+    const currentSources = gameFilter.sources || allSources;
+    const nextSources = checked
+      ? [...new Set([...currentSources, source])]
+      : currentSources.filter(s => s !== source);
+    
+    if (nextSources.length === 0) return;
+    setGameFilter(prev => ({ ...prev, sources: nextSources.length === allSources.length ? null : nextSources }));
+  };
+
+  // Apply changes from the period/time class/rated filter
+  const handleGameFilterChange = (changes) => {
+    setGameFilter(prev => ({ ...prev, ...changes }));
+  };
+
+  // Switch between one node per position (transpositions merged) and one node per move order
+  const handleMergeTranspositionsToggle = () => {
+    setGameFilter(prev => ({ ...prev, mergeTranspositions: !prev.mergeTranspositions }));
+  };
+
   // Trigger layout updates for components when layout changes
   const triggerCanvasResize = () => {
     // Force window resize event to trigger chessboard recalculation
@@ -2109,6 +2230,101 @@ function PerformanceGraphContent() {
                 </DropdownMenuItem>
               </DropdownMenuContent>
             </DropdownMenu>
+
+            {/* Source filter (only when games come from more than one linked account) */}
+            {availableSources.length > 1 && (
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="outline" size="sm" className="bg-slate-700 border-slate-600 text-slate-200 hover:bg-slate-600 hover:text-white">
+                    <div className="flex items-center gap-2">
+                      <Users className="w-4 h-4 text-blue-400" />
+                      <span className="hidden sm:inline">
+                        {gameFilter.sources ? `${gameFilter.sources.length}/${availableSources.length} accounts` : 'All accounts'}
+                      </span>
+                    </div>
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="start" className="bg-slate-800 border-slate-700">
+                  <DropdownMenuLabel className="text-slate-400 text-xs">Show games from</DropdownMenuLabel>
+                  {availableSources.map(({ source, gameCount }) => (
+                    <DropdownMenuCheckboxItem
+                      key={source}
+                      checked={!gameFilter.sources || gameFilter.sources.includes(source)}
+                      onCheckedChange={(checked) => handleSourceToggle(source, checked)}
+                      onSelect={(e) => e.preventDefault()} // Keep the menu open while toggling
+                      className="text-slate-200 hover:text-white hover:bg-slate-700"
+                    >
+                      <span className="flex-1">{formatSource(source)}</span>
+                      <span className="ml-3 text-xs text-slate-400">{gameCount}</span>
+                    </DropdownMenuCheckboxItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
+            )}
+
+            {/* Period, time class and rated filters */}
+            <GameFilterPopover
+              filter={gameFilter}
+              timeClasses={availableTimeClasses}
+              onChange={handleGameFilterChange}
+            />
+
+            {/* Transpositions: merge positions reached by different move orders */}
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleMergeTranspositionsToggle}
+              title={gameFilter.mergeTranspositions
+                ? 'Positions reached by different move orders are merged'
+                : 'Each move order is shown separately'}
+              className={gameFilter.mergeTranspositions
+                ? 'bg-slate-600 border-slate-500 text-white hover:bg-slate-500'
+                : 'bg-slate-700 border-slate-600 text-slate-300 hover:bg-slate-600 hover:text-white'}
+            >
+              <div className="flex items-center gap-2">
+                <GitMerge className={`w-4 h-4 ${gameFilter.mergeTranspositions ? 'text-emerald-400' : 'text-slate-400'}`} />
+                <span className="hidden sm:inline">
+                  {gameFilter.mergeTranspositions ? 'Transpositions merged' : 'By move order'}
+                </span>
+              </div>
+            </Button>
+
+            {/* Variant selector (Chess960 and from-position games have their own graphs) */}
+            {availableVariants.length > 0 && (
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="outline" size="sm" className="bg-slate-700 border-slate-600 text-slate-200 hover:bg-slate-600 hover:text-white">
+                    <div className="flex items-center gap-2">
+                      <Grid3x3 className="w-4 h-4 text-purple-400" />
+                      <span className="hidden sm:inline">
+                        {selectedStartFen ? VARIANT_LABELS[openingGraph?.variant] || VARIANT_LABELS.fromPosition : VARIANT_LABELS.standard}
+                      </span>
+                    </div>
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="start" className="bg-slate-800 border-slate-700">
+                  <DropdownMenuLabel className="text-slate-400 text-xs">Starting position</DropdownMenuLabel>
+                  <DropdownMenuCheckboxItem
+                    checked={!selectedStartFen}
+                    onCheckedChange={() => handleVariantChange(null)}
+                    className="text-slate-200 hover:text-white hover:bg-slate-700"
+                  >
+                    {VARIANT_LABELS.standard}
+                  </DropdownMenuCheckboxItem>
+                  {availableVariants.map(({ startFen, variant, gameCount }) => (
+                    <DropdownMenuCheckboxItem
+                      key={startFen}
+                      checked={selectedStartFen === startFen}
+                      onCheckedChange={() => handleVariantChange(startFen)}
+                      className="text-slate-200 hover:text-white hover:bg-slate-700"
+                    >
+                      <span className="flex-1 font-mono text-xs">{formatVariant(variant, startFen)}</span>
+                      <span className="ml-3 text-xs text-slate-400">{gameCount}</span>
+                    </DropdownMenuCheckboxItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
+            )}
           </div>
 
           {/* Center placeholder removed */}
@@ -2270,6 +2486,7 @@ function PerformanceGraphContent() {
                       maxDepth={maxDepth}
                       minGameCount={minGameCount}
                       winRateFilter={winRateFilter}
+                      gameFilter={gameFilter}
                     />
                   </div>
                 ) : (
@@ -2305,6 +2522,7 @@ function PerformanceGraphContent() {
                   graphNodes={nodes}
                   hoveredMove={movesHoveredMove || hoveredMove}
                   onFlip={handleUniversalFlip}
+                  gameFilter={gameFilter}
                   className="w-full max-w-none"
                 />
               </div>
@@ -2358,6 +2576,8 @@ function PerformanceGraphContent() {
               onWinRateFilterChange={handleWinRateFilterChange}
               onTempWinRateFilterChange={handleTempWinRateFilterChange}
               onApplyWinRateFilter={applyWinRateFilter}
+              colorMetric={colorMetric}
+              onColorMetricChange={setColorMetric}
               selectedPlayer={selectedPlayer}
               onPlayerChange={setSelectedPlayer}
               isGenerating={isGenerating}
@@ -1,6 +1,12 @@
 // Clustering Analysis for Chess Performance Graph
 // Supports both DBSCAN (density-based) and K-means (centroid-based) clustering
 
+// Win rate a node is clustered by: the confidence-adjusted win rate when the graph provides it,
+// so a few lucky games don't pull a position into the strong (or weak) clusters
+function getNodeWinRate(node) {
+  return node.data.adjustedWinRate ?? (node.data.winRate || 50);
+}
+
 // K-means clustering for win/loss/draw pattern analysis
 class KMeansCluster {
   constructor(k = 3, maxIterations = 100) {
@@ -47,7 +53,7 @@ class KMeansCluster {
     };
 
     return nodes.map(node => {
-      const winRate = node.data.winRate || 50;
+      const winRate = getNodeWinRate(node);
       const gameCount = node.data.gameCount || 0;
       
       // Calculate win/loss/draw probabilities
@@ -188,7 +194,7 @@ class KMeansCluster {
   }
 
   calculateClusterStats(nodes) {
-    const winRates = nodes.map(n => n.data.winRate || 50);
+    const winRates = nodes.map(n => getNodeWinRate(n));
     const gameCounts = nodes.map(n => n.data.gameCount || 0);
     const depths = nodes.map(n => n.data.depth || 0);
     const openings = nodes.map(n => n.data.openingName || 'Unknown');
@@ -299,7 +305,7 @@ class DBSCANCluster {
     return nodes.map(node => ({
       nodeId: node.id,
       features: [
-        (node.data.winRate || 50) / 100 * weights.winRate,       // CHESS: Win rate (adjustable weight)
+        getNodeWinRate(node) / 100 * weights.winRate,       // CHESS: Win rate (adjustable weight)
         Math.log(node.data.gameCount + 1) / 10 * weights.gameCount, // CHESS: Game count reliability (adjustable weight)
         (node.data.depth || 0) / 20 * weights.depth,             // CHESS: Depth (adjustable weight)
         node.position.x / 2000 * weights.position,               // CHESS: Tree position X (fixed weight)
@@ -373,7 +379,7 @@ class DBSCANCluster {
   }
 
   calculateClusterStats(nodes) {
-    const winRates = nodes.map(n => n.data.winRate || 50);
+    const winRates = nodes.map(n => getNodeWinRate(n));
     const gameCounts = nodes.map(n => n.data.gameCount || 0);
     const depths = nodes.map(n => n.data.depth || 0);
     const openings = nodes.map(n => n.data.openingName || 'Unknown');
@@ -773,7 +779,7 @@ function calculateClusteringEntropy(clusters, totalNodes) {
       const probability = cluster.nodes.length / totalNodes;
       
       // Calculate performance distribution entropy within cluster
-      const winRates = cluster.nodes.map(n => n.data.winRate || 50);
+      const winRates = cluster.nodes.map(n => getNodeWinRate(n));
       const performanceEntropy = calculatePerformanceEntropy(winRates);
       
       // Combine cluster size entropy with performance entropy
@@ -796,7 +802,7 @@ function calculateWeightedClusteringEntropy(clusters, totalNodes, normalizedWeig
       const probability = cluster.nodes.length / totalNodes;
       
       // Calculate weighted feature entropies within cluster
-      const winRates = cluster.nodes.map(n => n.data.winRate || 50);
+      const winRates = cluster.nodes.map(n => getNodeWinRate(n));
       const gameCounts = cluster.nodes.map(n => n.data.gameCount || 0);
       const depths = cluster.nodes.map(n => n.data.depth || 0);
       
@@ -1069,7 +1075,7 @@ function calculateFeatureImportanceScore(clusters, normalizedWeights) {
     if (!cluster.nodes || cluster.nodes.length === 0) return;
 
     // Calculate feature variance within cluster (lower is better for important features)
-    const winRates = cluster.nodes.map(n => n.data.winRate || 50);
+    const winRates = cluster.nodes.map(n => getNodeWinRate(n));
     const gameCounts = cluster.nodes.map(n => n.data.gameCount || 0);
     const depths = cluster.nodes.map(n => n.data.depth || 0);
 
@@ -1122,7 +1128,7 @@ function weightedEuclideanDistance(a, b, weights) {
 }
 
 function calculateNodeImportance(node, normalizedWeights) {
-  const winRate = node.data.winRate || 50;
+  const winRate = getNodeWinRate(node);
   const gameCount = node.data.gameCount || 0;
   const depth = node.data.depth || 0;
 
@@ -0,0 +1,116 @@
+// Metrics the performance graph can be colored by and the move list sorted by.
+// Win rate comes straight from the results and the confidence-adjusted win rate discounts small
+// samples (see getAdjustedWinRate in api/openingGraph); the rating-aware metrics come from the
+// ratings at game time (see summarizeRatingStats) and are null without rated games.
+//
+// Each metric has a value getter for move / graph node data, a formatter and the thresholds of
+// the five performance levels (excellent, good, solid, challenging, difficult), best first.
+// Metrics whose levels aren't read from the value itself have a getLevelValue getter.
+
+// Helper function to format a signed number ("+5", "-12")
+const formatSigned = (value, suffix = '') => `${value > 0 ? '+' : ''}${Math.round(value)}${suffix}`;
+
+export const PERFORMANCE_METRICS = {
+  winRate: {
+    label: 'Win Rate',
+    shortLabel: 'Win',
+    description: 'Share of games won',
+    getValue: (data) => data.winRate ?? 0,
+    format: (value) => `${Math.round(value)}%`,
+    thresholds: [70, 60, 50, 40]
+  },
+  adjustedWinRate: {
+    label: 'Confidence-Adjusted',
+    shortLabel: 'Adj',
+    description: 'Win rate pulled toward the previous position\'s by as much as a few games, so small samples count less',
+    getValue: (data) => data.adjustedWinRate ?? data.winRate ?? 0,
+    format: (value) => `${Math.round(value)}%`,
+    thresholds: [70, 60, 50, 40]
+  },
+  scoreDelta: {
+    label: 'Score vs Expected',
+    shortLabel: 'Δ',
+    description: 'Score (draws count half) minus the Elo-expected score from the ratings at game time',
+    getValue: (data) => data.scoreDelta ?? null,
+    format: (value) => formatSigned(value, '%'),
+    thresholds: [10, 5, -5, -10]
+  },
+  performanceRating: {
+    label: 'Performance Rating',
+    shortLabel: 'Perf',
+    description: 'Rating the score corresponds to against these opponents, colored against your own rating',
+    getValue: (data) => data.performanceRating ?? null,
+    // Colored by the difference to the player's own rating in these games
+    getLevelValue: (data) => (data.performanceRating != null && data.averagePlayerRating != null
+      ? data.performanceRating - data.averagePlayerRating
+      : null),
+    format: (value) => `${Math.round(value)}`,
+    formatThreshold: (value) => formatSigned(value),
+    thresholds: [100, 50, -50, -100]
+  },
+  expectedScore: {
+    label: 'Expected Score',
+    shortLabel: 'Exp',
+    description: 'Elo-expected score from the ratings at game time (higher means weaker opponents)',
+    getValue: (data) => data.expectedScore ?? null,
+    format: (value) => `${Math.round(value)}%`,
+    thresholds: [70, 60, 50, 40]
+  }
+};
+
+export const PERFORMANCE_LEVELS = ['excellent', 'good', 'solid', 'challenging', 'difficult'];
+
+// Sort keys of the move list: most played first, or best first by a performance metric
+export const MOVE_SORT_KEYS = [
+  { id: 'gameCount', label: 'Most played' },
+  ...Object.entries(PERFORMANCE_METRICS).map(([id, metric]) => ({ id, label: metric.label }))
+];
+
+// Metric value of move or graph node data (null when the metric can't be worked out)
+export const getMetricValue = (data, metricId = 'winRate') => {
+  const metric = PERFORMANCE_METRICS[metricId] || PERFORMANCE_METRICS.winRate;
+  return data ? metric.getValue(data) : null;
+};
+
+// Performance level of move or graph node data, or null without a metric value
+export const getPerformanceLevel = (data, metricId = 'winRate') => {
+  if (!data) return null;
+  const { thresholds, getValue, getLevelValue = getValue } = PERFORMANCE_METRICS[metricId] || PERFORMANCE_METRICS.winRate;
+  const value = getLevelValue(data);
+  if (value === null) return null;
+
+  const levelIndex = thresholds.findIndex(threshold => value >= threshold);
+  return PERFORMANCE_LEVELS[levelIndex === -1 ? PERFORMANCE_LEVELS.length - 1 : levelIndex];
+};
+
+// Display text of a metric for move or graph node data ('–' without a value)
+export const formatMetricValue = (data, metricId = 'winRate') => {
+  const metric = PERFORMANCE_METRICS[metricId] || PERFORMANCE_METRICS.winRate;
+  const value = getMetricValue(data, metricId);
+  return value === null ? '–' : metric.format(value);
+};
+
+// Legend entries of a metric: the lowest value of each level, best first
+export const getMetricLegend = (metricId = 'winRate') => {
+  const { thresholds, format, formatThreshold = format } = PERFORMANCE_METRICS[metricId] || PERFORMANCE_METRICS.winRate;
+  return PERFORMANCE_LEVELS.map((level, index) => ({
+    level,
+    label: index < thresholds.length
+      ? formatThreshold(thresholds[index])
+      : `< ${formatThreshold(thresholds[thresholds.length - 1])}`
+  }));
+};
+
+// Compare moves for the move list (metric sorts put moves without a value last, then most played)
+export const compareMoves = (sortKey) => (a, b) => {
+  if (sortKey !== 'gameCount' && PERFORMANCE_METRICS[sortKey]) {
+    const valueA = getMetricValue(a.details || a, sortKey);
+    const valueB = getMetricValue(b.details || b, sortKey);
+    if (valueA !== valueB) {
+      if (valueA === null) return 1;
+      if (valueB === null) return -1;
+      return valueB - valueA;
+    }
+  }
+  return b.gameCount - a.gameCount;
+};
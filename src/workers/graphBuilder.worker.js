@@ -0,0 +1,68 @@
+// Web Worker that builds an OpeningGraph off the main thread
+// Games arrive in batches; progress messages are posted back and the finished graph
+// is returned serialized
+
+import { OpeningGraph } from '../api/openingGraph.js';
+import { buildOpeningGraph } from '../api/graphBuilder.js';
+
+let openingGraph = null;
+let knownGameIds = new Set();
+let processedGames = 0;
+let addedGames = 0;
+
+const handleMessage = async ({ type, requestId, username, graphData, games }) => {
+  switch (type) {
+    case 'start':
+      // Start from the stored graph when merging new games, otherwise from scratch;
+      // games already in the graph are skipped
+      openingGraph = graphData ? OpeningGraph.deserialize(graphData) : new OpeningGraph(username);
+      knownGameIds = openingGraph.getGameIds();
+      processedGames = 0;
+      addedGames = 0;
+      self.postMessage({ type: 'started', requestId });
+      break;
+
+    case 'addGames': {
+      const result = await buildOpeningGraph(openingGraph, games, {
+        knownGameIds,
+        onProgress: ({ processed }) => {
+          self.postMessage({ type: 'progress', processed: processedGames + processed, added: addedGames });
+        }
+      });
+      processedGames += games.length;
+      addedGames += result.addedGames;
+      self.postMessage({ type: 'batchDone', requestId, result: { processed: processedGames, added: addedGames, issues: result.issues } });
+      break;
+    }
+
+    // A checkpoint is a snapshot of the partial graph; finish is simply the last snapshot
+    case 'checkpoint':
+    case 'finish':
+      self.postMessage({
+        type: 'done',
+        requestId,
+        result: {
+          username: openingGraph.username,
+          data: openingGraph.serialize(),
+          stats: openingGraph.getOverallStats(),
+          addedGames
+        }
+      });
+      break;
+
+    default:
+      console.warn(`Unknown graph worker message: ${type}`);
+  }
+};
+
+// Handle messages strictly in order, even though building a batch is async
+let queue = Promise.resolve();
+
+self.onmessage = (event) => {
+  queue = queue
+    .then(() => handleMessage(event.data))
+    .catch((error) => {
+      console.error('❌ Opening graph worker error:', error);
+      self.postMessage({ type: 'error', error: error.message || 'Failed to build opening graph' });
+    });
+};